@@ -0,0 +1,124 @@
+// browser.mjs — Playwright plumbing shared by the dom and jsonld modes.
+import { chromium } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import { USER_AGENT } from './http.mjs';
+import { createContextPool } from './scheduler.mjs';
+import { DEBUG_DIR, UA_DESKTOP, UA_MOBILE, safe, sleep } from './util.mjs';
+
+export const LOAD_MORE_SEL = [
+  '.mec-load-more a',
+  '.mec-load-more-button',
+  '.tribe-events-c-nav__next, .tribe-events-c-nav__next a',
+  '.load-more a', 'button.load-more'
+].join(',');
+export const NEXT_LINK_SEL = "a[rel='next'], a.tribe-events-c-nav__next, .tribe-events-c-nav__next a, .pagination a.next, a.next, .nav-next a";
+
+// pagination.type: click (load more / next button until gone), next-link (follow href),
+// url (template with {page}), scroll (infinite scroll until the card count stops growing).
+// Without a pagination block a site gets the old behaviour: one "load more" click.
+export const DEFAULT_PAGINATION = { type: 'click', maxPages: 2, waitMs: 1200 };
+
+export async function firstExistingSelector(page, candidates, timeoutMs = 8000) {
+  if (!candidates) return null;
+  const list = candidates.split(',').map(s => s.trim()).filter(Boolean);
+  const start = Date.now();
+  for (;;) {
+    for (const sel of list) {
+      try {
+        const count = await page.locator(sel).count();
+        if (count > 0) return sel;
+      } catch {}
+    }
+    if (Date.now() - start > timeoutMs) return null;
+    await sleep(250);
+  }
+}
+
+export async function innerTextSafe(handle) {
+  if (!handle) return '';
+  try { return safe(await (await handle.getProperty('innerText')).jsonValue()); }
+  catch { return ''; }
+}
+
+export async function autoScroll(page, pixels = 2400) {
+  await page.evaluate(async (step) => {
+    await new Promise((resolve) => {
+      let scrolled = 0;
+      const timer = setInterval(() => {
+        window.scrollBy(0, step);
+        scrolled += step;
+        if (scrolled >= document.body.scrollHeight * 0.95) { clearInterval(timer); resolve(); }
+      }, 100);
+    });
+  }, Math.max(200, Math.floor(pixels / 10)));
+}
+
+export async function clickCookieBanners(page) {
+  const sels = [
+    '#onetrust-accept-btn-handler',
+    '.cky-btn-accept, .cmplz-accept',
+    'button[aria-label="Accept"]',
+    'button:has-text("I Accept")',
+    'button:has-text("Accept All")',
+    'button:has-text("Allow all")'
+  ].join(',');
+  try {
+    const b = await page.$(sels);
+    if (b) { await b.click({ delay: 30 }); await sleep(500); }
+  } catch {}
+}
+
+export async function saveDebug(page, cfg, reason) {
+  try {
+    if (!fs.existsSync(DEBUG_DIR)) fs.mkdirSync(DEBUG_DIR, { recursive: true });
+    const html = await page.content();
+    fs.writeFileSync(path.join(DEBUG_DIR, `${cfg.key}-${reason}.html`), html, 'utf8');
+    await page.screenshot({ path: path.join(DEBUG_DIR, `${cfg.key}-${reason}.png`), fullPage: true });
+    console.log(`Saved debug → docs/debug/${cfg.key}-${reason}.{html,png}`);
+  } catch (e) {
+    console.warn(`Could not save debug for ${cfg.key}: ${e.message}`);
+  }
+}
+
+// The browser's own user agent, with ours appended unless the site has `identify: false`.
+export const contextOptions = (cfg) => {
+  const ua = cfg.ua === 'mobile' ? UA_MOBILE : UA_DESKTOP;
+  return {
+    userAgent: cfg.identify === false ? ua : `${ua} ${cfg._http?.userAgent || USER_AGENT}`,
+    locale: 'en-US',
+    viewport: { width: ua === UA_MOBILE ? 390 : 1366, height: ua === UA_MOBILE ? 844 : 900 }
+  };
+};
+
+// A page on `cfg.url` set up the way scrapeDOM sees it: the site's UA, trackers
+// blocked, cookie banner dismissed, waited and scrolled. Caller releases `ctx`.
+export async function openSitePage(pool, cfg) {
+  // fresh context per site (UA per site) helps some CF setups
+  const ctx = await pool.acquire(contextOptions(cfg), cfg.key);
+  const page = await ctx.newPage();
+
+  await page.route('**/*', (route) => {
+    const url = route.request().url();
+    // speed: block heavy analytics/ads/fonts
+    if (/\b(googletagmanager|google-analytics|doubleclick|facebook|hotjar|fullstory|fonts\.gstatic)\b/i.test(url)) {
+      return route.abort();
+    }
+    route.continue();
+  });
+
+  await cfg._http?.admit(cfg.url);
+  await page.goto(cfg.url, { waitUntil: 'networkidle', timeout: 60000 });
+  await page.setExtraHTTPHeaders({ 'Accept-Language': 'en-US,en;q=0.9' });
+  await clickCookieBanners(page);
+  await sleep(cfg.waitMs);
+  await autoScroll(page);
+  return { ctx, page };
+}
+
+// Launches Chromium with the context pool the modes draw from.
+export async function openBrowser({ poolSize = 2 } = {}) {
+  const browser = await chromium.launch({ args: ['--no-sandbox'] });
+  const pool = createContextPool(browser, { size: poolSize });
+  return { browser, pool };
+}
@@ -0,0 +1,211 @@
+// build.mjs — the full run: scrape every site, merge, write feeds and the status report.
+import fs from 'fs';
+import path from 'path';
+import { openBrowser } from './browser.mjs';
+import { annotate } from './changes.mjs';
+import { now } from './dates.mjs';
+import { mergeDuplicates } from './dedupe.mjs';
+import { digestDue, lastSent, markSent, selectDigest, sendDigest, writeDigest } from './digest.mjs';
+import { DETAIL_DEFAULTS, loadDetailCache, saveDetailCache } from './enrich.mjs';
+import { scrapeSite, usesBrowser } from './modes.mjs';
+import { deliver, loadQueue, newEvents, queueEvents, saveQueue } from './notify.mjs';
+import { validateRSS } from './feedcheck.mjs';
+import { createClient, describeHttpStats, loadHttpCache, saveHttpCache } from './http.mjs';
+import { IMG_DIR, loadImageCache, pruneImages, saveImageCache } from './images.mjs';
+import { CHANNEL, writeChecked, writeOutputs, buildUpdatesRSS } from './outputs.mjs';
+import { writeSite } from './pages.mjs';
+import { loadStatus, updateStatus, buildStatusHTML, buildIssueMarkdown } from './report.mjs';
+import { runTasks, withTimeout } from './scheduler.mjs';
+import { applyDefaults } from './sites.mjs';
+import { byStart, loadStore, saveStore, updateStore } from './store.mjs';
+import { OUT_DIR, DEBUG_DIR, SITE_URL, sourceUrl } from './util.mjs';
+
+const STATUS_FILE = path.join(OUT_DIR, 'status.json');
+const ISSUE_FILE  = path.join(OUT_DIR, 'status-issue.md');
+const STORE_FILE  = path.join(process.cwd(), 'data', 'events.json');
+const DETAIL_FILE = path.join(process.cwd(), 'data', 'details.json');
+// conditional-request cache; kept between runs by the workflow's cache step, not committed
+const HTTP_CACHE_FILE = path.join(process.cwd(), '.cache', 'http.json');
+// source image URL → its stored copy under docs/img/, committed alongside them
+const IMAGE_CACHE_FILE = path.join(process.cwd(), 'data', 'images.json');
+// the last digest window mailed, committed with the digests so each window goes out once however late the run
+const DIGEST_SENT_FILE = path.join(OUT_DIR, 'digest', 'sent.json');
+// new events waiting for `notify`, which runs once the feeds are pushed; cached like the above
+const NOTIFY_FILE = path.join(process.cwd(), '.cache', 'notify.json');
+
+// Scheduler limits; sites.json can override `timeoutMs` and `retries` per site.
+const CONCURRENCY     = +(process.env.SCRAPE_CONCURRENCY || 4);
+const PER_HOST_LIMIT  = +(process.env.SCRAPE_PER_HOST || 1);
+const CONTEXT_POOL    = +(process.env.SCRAPE_CONTEXTS || 2);
+const SITE_TIMEOUT_MS = +(process.env.SITE_TIMEOUT_MS || 180000);
+
+const hostOf = (cfg) => { try { return new URL(sourceUrl(cfg)).hostname; } catch { return ''; } };
+
+// One site under its timeout; failures come back as { ok: false } rather than throwing.
+async function runSite(cfg, pool) {
+  console.log(`\n=== ${cfg.key} (${cfg.mode}) → ${sourceUrl(cfg) || cfg.plugin} ===`);
+  const started = Date.now();
+  const result = { key: cfg.key, mode: cfg.mode, ok: true, count: 0, items: [] };
+  try {
+    const part = await withTimeout(cfg.timeoutMs || SITE_TIMEOUT_MS, cfg.key, (signal) => {
+      cfg._signal = signal;
+      return scrapeSite(cfg, pool);
+    });
+
+    if (part.length === 0) console.warn(`[${cfg.key}] yielded 0 items`);
+    else console.log(`[${cfg.key}] collected ${part.length} item(s) in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+    const undated = part.filter(it => it.dateUnparsed);
+    if (undated.length) {
+      console.warn(`[${cfg.key}] ${undated.length} item(s) with unparseable dates, e.g. "${undated[0].description}"`);
+    }
+
+    for (const it of part) it.source = cfg.key;
+    Object.assign(result, { items: part, count: part.length });
+  } catch (e) {
+    console.error(`FAIL: ${cfg.key} → ${e.message}`);
+    Object.assign(result, { ok: false, error: e.message });
+  } finally {
+    if (pool) await pool.releaseOwner(cfg.key);
+  }
+  return { ...result, durationMs: Date.now() - started, selector: cfg._stats.selector || '' };
+}
+
+/**
+ * Scrapes `sites` and writes everything under docs/; `config` is config.json.
+ * Returns the alerts raised this run.
+ */
+export async function build(sites, config = {}) {
+  if (!fs.existsSync(OUT_DIR))   fs.mkdirSync(OUT_DIR,   { recursive: true });
+  if (!fs.existsSync(DEBUG_DIR)) fs.mkdirSync(DEBUG_DIR, { recursive: true });
+  if (!fs.existsSync(IMG_DIR))   fs.mkdirSync(IMG_DIR,   { recursive: true });
+
+  console.log(`Loaded ${sites.length} site(s):`, sites.map(s => s.key).join(', ') || '(none)');
+
+  // the browser is only started when a site needs it
+  const needsBrowser = sites.some(usesBrowser);
+  const { browser, pool } = needsBrowser ? await openBrowser({ poolSize: CONTEXT_POOL }) : {};
+
+  const runStarted = Date.now();
+  const detailCache = loadDetailCache(DETAIL_FILE);
+  const http = createClient({ userAgent: config.http?.userAgent, cache: loadHttpCache(HTTP_CACHE_FILE) });
+  const images = config.images?.enabled === false ? null
+    : { cache: loadImageCache(IMAGE_CACHE_FILE), dir: IMG_DIR, options: config.images };
+  const tasks = sites.map(rawCfg => {
+    const cfg = { ...rawCfg };
+    applyDefaults(cfg, config);
+    cfg._stats = {};
+    cfg._detailCache = detailCache;
+    cfg._http = http;
+    cfg._images = images;
+    return { host: hostOf(cfg), run: () => runSite(cfg, pool) };
+  });
+
+  const results = (await runTasks(tasks, { concurrency: CONCURRENCY, perHost: PER_HOST_LIMIT })).map(r => r.value);
+  const items = results.flatMap(r => r.items);
+
+  if (browser) await browser.close();
+  saveDetailCache(DETAIL_FILE, detailCache, Math.max(DETAIL_DEFAULTS.ttlDays, ...sites.map(s => s.detail?.ttlDays || 0)));
+  saveHttpCache(HTTP_CACHE_FILE, http.cache);
+  if (images) saveImageCache(IMAGE_CACHE_FILE, images.cache, config.images?.ttlDays);
+  console.log(`HTTP: ${describeHttpStats(http.stats)}`);
+
+  // De-dup across sources; sites.json `priority` picks the winning record
+  const dedup = mergeDuplicates(items, { sites });
+
+  console.log(`\nTotal items before de-dup: ${items.length}, after: ${dedup.length}`);
+
+  // Fold into the persistent store: past events drop out, a failing source's events linger a while
+  const store = loadStore(STORE_FILE);
+  const previous = Object.values(store.events);
+  const { events, added, kept, dropped, updates, held } = updateStore(store, dedup, results, { now: now() });
+  saveStore(STORE_FILE, store);
+  if (held.length) console.warn(`Holding the stored events of ${held.join(', ')}: empty or far fewer than last run`);
+  console.log(`Store: ${events.length} event(s) — ${added.length} new, ${kept.length} kept from failing sources, ${dropped.length} dropped, ${updates.length} change(s)`);
+  for (const u of updates) console.log(`  ${u.type}: ${u.title}`);
+  if (images) {
+    const pruned = pruneImages(events);
+    if (pruned) console.log(`Images: removed ${pruned} no event uses any more`);
+  }
+
+  const fresh = newEvents(previous, events);
+  queueEvents(NOTIFY_FILE, fresh, { changed: fresh.length > 0 || updates.length > 0 });
+  if (fresh.length) console.log(`Queued ${fresh.length} new event(s) for webhooks`);
+
+  // config.json `channel` titles and describes the feeds
+  const channel = { ...CHANNEL, ...config.channel };
+  const listed = events.slice(0, 500);
+  const manifest = writeOutputs(listed.map(annotate), channel);
+  const updatesProblems = writeChecked(OUT_DIR, 'updates.xml', buildUpdatesRSS(store.updates, {
+    ...channel,
+    title: `${channel.title} — updates`,
+    description: 'Cancellations, reschedules, venue changes and sold-out shows',
+    feedUrl: SITE_URL + 'updates.xml'
+  }), validateRSS);
+  if (updatesProblems.length) manifest.invalid.push({ file: 'updates.xml', problems: updatesProblems });
+  if (fs.existsSync(path.join(OUT_DIR, 'updates.xml'))) manifest.main.push({ label: 'Updates (RSS)', href: 'updates.xml' });
+  // the pages show status and changes on their own, so they get the events as stored
+  writeSite(listed, manifest, channel);
+  writeDigest(selectDigest(events, config.digest, { sites }));
+
+  // Run report + source health
+  const { status, alerts, newAlerts } = updateStatus(loadStatus(STATUS_FILE), results, {
+    now: now(),
+    durationMs: Date.now() - runStarted,
+    extra: {
+      merged: dedup.length, stored: events.length, added: added.length, changes: updates.length, http: http.stats,
+      ...(manifest.invalid.length ? { invalidFeeds: manifest.invalid } : {})
+    }
+  });
+  // a feed failing its own check is our bug, not a source's: flag it every run until fixed
+  if (manifest.invalid.length) {
+    const alert = { key: 'feeds', reasons: manifest.invalid.map(f => `${f.file} failed its check (${f.problems[0]}), previous copy kept`), since: status.updated };
+    alerts.push(alert);
+    if (!status.runs.at(-2)?.invalidFeeds) newAlerts.push(alert);
+  }
+  fs.writeFileSync(STATUS_FILE, JSON.stringify(status, null, 2), 'utf8');
+  fs.writeFileSync(path.join(OUT_DIR, 'status.html'), buildStatusHTML(status), 'utf8');
+  fs.rmSync(ISSUE_FILE, { force: true });
+  if (newAlerts.length) {
+    fs.writeFileSync(ISSUE_FILE, buildIssueMarkdown(newAlerts, status), 'utf8');
+    console.log(`Wrote issue summary → ${ISSUE_FILE}`);
+  }
+  if (alerts.length) {
+    console.error(`\n${alerts.length} source(s) flagged:`);
+    for (const a of alerts) console.error(`  - ${a.key}: ${a.reasons.join('; ')}`);
+  }
+  return alerts;
+}
+
+/**
+ * Writes this window's digest from the stored events, without scraping, and
+ * mails it when `send` is set and config.json has a `digest.email` block.
+ */
+export async function digest(sites, config = {}, { send = false } = {}) {
+  const events = Object.values(loadStore(STORE_FILE).events).sort(byStart);
+  const d = selectDigest(events, config.digest, { sites });
+  writeDigest(d);
+  if (!send) return d;
+  if (!config.digest?.email) throw new Error('config.json has no digest.email block to send with');
+  if (!digestDue(d, lastSent(DIGEST_SENT_FILE))) {
+    console.log(`Digest for ${d.start} to ${d.end} not due or already sent`);
+    return d;
+  }
+  await sendDigest(d, config.digest.email);
+  markSent(DIGEST_SENT_FILE, d);
+  return d;
+}
+
+/**
+ * Sends what the last builds queued to config.json `webhooks` and pings the
+ * WebSub hub (`channel.hub`) for the main feeds. Only what failed stays queued.
+ */
+export async function notify(config = {}) {
+  const queue = loadQueue(NOTIFY_FILE);
+  const channel = { ...CHANNEL, ...config.channel };
+  const result = await deliver(queue, config.webhooks, { channel, topics: [SITE_URL + 'feed.xml', SITE_URL + 'feed.atom'] });
+  // what didn't go out waits for the next run; the queue goes once everything has
+  if (result.left.events.length || result.left.changed) saveQueue(NOTIFY_FILE, result.left);
+  else fs.rmSync(NOTIFY_FILE, { force: true });
+  return result;
+}
@@ -0,0 +1,93 @@
+// changes.mjs — what changed about an event between runs: status markers in
+// the title, a new date/time or venue, or the listing disappearing.
+import { DEFAULT_TZ, formatWhen } from './dates.mjs';
+import { esc } from './util.mjs';
+
+// Title markers, most severe first; a title with several takes the first.
+const MARKERS = [
+  ['cancelled', 'cancell?ed'],
+  ['postponed', 'postponed'],
+  ['sold-out',  'sold[\\s-]*out']
+];
+
+const LABELS = {
+  cancelled: 'CANCELLED',
+  postponed: 'POSTPONED',
+  'sold-out': 'SOLD OUT',
+  removed: 'NO LONGER LISTED'
+};
+
+// A marker counts when shouted ("CANCELLED") or set apart ("Band (Sold out)",
+// "Cancelled: Band", "Band - postponed"), so a band called Cancelled Plans isn't.
+const isMarked = (title, m) => {
+  const hit = title.match(new RegExp(`\\b${m}\\b`, 'i'))?.[0];
+  if (!hit) return false;
+  return hit === hit.toUpperCase() || new RegExp(`(^|[\\[(:–—-])\\s*${m}\\s*([\\])!:–—-]|$)`, 'i').test(title);
+};
+
+// A detail page's schema.org eventStatus outranks the title.
+export const statusOf = (it) => (['cancelled', 'postponed'].includes(it.eventStatus) && it.eventStatus)
+  || MARKERS.find(([, m]) => isMarked(it.title || '', m))?.[0] || 'scheduled';
+
+// "CANCELLED: The Band (Sold Out)" → "The Band", so a marker doesn't change identity.
+export const stripMarkers = (title) => MARKERS.reduce(
+  (t, [, m]) => (isMarked(t, m) ? t.replace(new RegExp(`[\\[(]?\\s*\\b${m}\\b\\s*[\\])]?\\s*[:!–—-]*`, 'gi'), ' ') : t),
+  title || ''
+).replace(/\s*[–—-]\s*$/, '').replace(/\s+/g, ' ').trim();
+
+const sameText = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+/** Changes from `prev` to `next` (same event, consecutive runs): [{ type, from, to }]. */
+export function diffEvent(prev, next) {
+  const out = [];
+  // an all-day date gaining a time that day (say, from its detail page) is a refinement, not a move
+  const refined = prev.allDay && !next.allDay && prev.start.slice(0, 10) === next.start?.slice(0, 10);
+  if (prev.start && next.start && Date.parse(prev.start) !== Date.parse(next.start) && !refined) {
+    out.push({ type: 'moved', from: prev.start, to: next.start });
+  }
+  if (prev.venue && next.venue && !sameText(prev.venue, next.venue)) {
+    out.push({ type: 'venue', from: prev.venue, to: next.venue });
+  }
+  const was = prev.status || 'scheduled';
+  if (next.status !== was && LABELS[next.status]) out.push({ type: next.status, from: was, to: next.status });
+  return out;
+}
+
+const when = (iso) => formatWhen(new Date(iso), { tz: DEFAULT_TZ });
+
+export const HEADLINES = {
+  moved: 'Rescheduled',
+  venue: 'Venue change',
+  cancelled: 'Cancelled',
+  postponed: 'Postponed',
+  'sold-out': 'Sold out',
+  removed: 'No longer listed'
+};
+
+/** One-line summary of a change, for the updates feed. */
+export function describeChange(c) {
+  if (c.type === 'moved') return `Rescheduled from ${when(c.from)} to ${when(c.to)}`;
+  if (c.type === 'venue') return `Moved from ${c.from} to ${c.to}`;
+  if (c.type === 'removed') return 'No longer listed by the source — it may have been cancelled';
+  return LABELS[c.type] ? `Now ${LABELS[c.type].toLowerCase()}` : c.type;
+}
+
+/** The event as subscribers should see it: status in the title, recent changes up front in the description. */
+export function annotate(ev) {
+  const notes = [];
+  const last = (type) => [...(ev.changes || [])].reverse().find(c => c.type === type);
+  const moved = last('moved'), venue = last('venue');
+  if (moved) notes.push(`Rescheduled from ${when(moved.from)}.`);
+  if (venue) notes.push(`Venue changed from ${venue.from}.`);
+
+  let title = ev.title;
+  const label = LABELS[ev.status];
+  if (label && statusOf(ev) !== ev.status) title = title.replace(/^(\[[^\]]*\]\s*)?/, `$1${label}: `);
+  if (!notes.length && title === ev.title) return ev;
+  const note = notes.join(' ');
+  return {
+    ...ev, title,
+    description: [note, ev.description].filter(Boolean).join(' '),
+    ...(ev.html && note ? { html: `<p>${esc(note)}</p>${ev.html}` } : {})
+  };
+}
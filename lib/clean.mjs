@@ -0,0 +1,196 @@
+// clean.mjs — tidies every scraped item before it reaches the feeds: HTML
+// descriptions are sanitized against an allowlist, text is decoded and
+// whitespace-collapsed, boilerplate ("Buy Tickets") is stripped, long
+// descriptions are cut down, and relative links resolve against the source;
+// the item's own links are kept only when they end up http(s).
+import * as cheerio from 'cheerio';
+import { compilePattern } from './rules.mjs';
+import { httpUrl, safe, sourceUrl, toAbs } from './util.mjs';
+
+// sites.json `clean` overrides these per site.
+export const CLEAN_DEFAULTS = { maxLength: 2000, summaryLength: 280 };
+
+// Button and badge text that ends up in titles and descriptions; sites.json `clean.strip` adds to it.
+export const BOILERPLATE = [
+  'buy tickets', 'get tickets', 'book now', 'register now', 'learn more', 'read more',
+  'more info', 'view details', 'view event', 'add to calendar', 'just added'
+];
+
+// ---------- HTML ----------
+// tag → the attributes it keeps; anything else is unwrapped to its contents
+const ALLOWED = {
+  a: ['href', 'title'], img: ['src', 'alt'],
+  p: [], br: [], hr: [], strong: [], b: [], em: [], i: [], u: [], s: [], small: [], sub: [], sup: [],
+  ul: [], ol: [], li: [], blockquote: [], pre: [], code: [], h2: [], h3: [], h4: [], h5: [], h6: []
+};
+// removed along with everything inside them
+const DROPPED = new Set([
+  'script', 'style', 'noscript', 'template', 'iframe', 'frame', 'object', 'embed', 'applet', 'svg', 'math',
+  'form', 'input', 'button', 'select', 'textarea', 'head', 'title', 'meta', 'link', 'base', 'video', 'audio', 'canvas'
+]);
+// containers that become paragraphs when they hold no blocks of their own
+const BLOCKS = new Set(['div', 'section', 'article', 'header', 'footer', 'aside', 'figure', 'figcaption', 'dd', 'dt', 'tr', 'address']);
+const RENAMED = { h1: 'h2', dl: 'ul' };
+const SAFE_URL = /^(https?:|mailto:|tel:)/i;
+// the usual analytics endpoints; 1×1 images are caught by their size
+const TRACKER = /\/(pixel|beacon|track(ing)?|open)\b|facebook\.com\/tr\b|google-analytics\.com|doubleclick\.net|\/b\/ss\//i;
+const tiny = (v) => /^\s*[01](px)?\s*$/.test(v || '');
+
+export const looksLikeHtml = (s) => /<\/?(p|br|div|span|a|img|strong|em|b|i|ul|ol|li|h[1-6]|script|style|iframe|table|font)\b[^>]*>/i.test(s || '');
+
+const isElement = (el) => ['tag', 'script', 'style'].includes(el.type);
+const hasBlocks = ($, el) => $(el).find([...BLOCKS, 'p', 'ul', 'ol', 'blockquote', 'pre', 'h2', 'h3', 'h4', 'h5', 'h6'].join(',')).length > 0;
+
+function sanitizeNode($, node, base) {
+  for (const el of $(node).contents().toArray()) {
+    if (el.type === 'text') { el.data = el.data.replace(/\s+/g, ' '); continue; }
+    if (!isElement(el)) { $(el).remove(); continue; }
+    const name = el.name.toLowerCase();
+    if (DROPPED.has(name)) { $(el).remove(); continue; }
+    sanitizeNode($, el, base);
+
+    const tag = RENAMED[name] || (BLOCKS.has(name) && !hasBlocks($, el) ? 'p' : name);
+    if (!ALLOWED[tag]) { $(el).replaceWith($(el).contents()); continue; }
+    const keep = {};
+    for (const attr of ALLOWED[tag]) if (el.attribs[attr] != null) keep[attr] = el.attribs[attr].trim();
+    if (tag === 'a' || tag === 'img') {
+      const key = tag === 'a' ? 'href' : 'src';
+      const url = keep[key] ? toAbs(keep[key], base) : '';
+      if (tag === 'img' && (!/^https?:/i.test(url) || TRACKER.test(url) || tiny(el.attribs.width) || tiny(el.attribs.height))) {
+        $(el).remove(); continue;
+      }
+      if (tag === 'a' && !SAFE_URL.test(url)) { $(el).replaceWith($(el).contents()); continue; }
+      keep[key] = url;
+    }
+    el.name = tag;
+    el.attribs = keep;
+  }
+}
+
+// Empty paragraphs and inline wrappers left behind once boilerplate and trackers are gone.
+function dropEmpty($, node) {
+  for (const el of $(node).contents().toArray()) {
+    if (el.type !== 'tag') continue;
+    dropEmpty($, el);
+    if (!['img', 'br', 'hr'].includes(el.name) && !$(el).text().trim() && !$(el).find('img').length) $(el).remove();
+  }
+}
+
+/**
+ * `html` limited to the allowlisted tags and attributes, with links and images
+ * resolved against `base` and tracking pixels removed. `strip` patterns are
+ * cut from its text.
+ */
+export function sanitizeHtml(html, base, strip = []) {
+  const $ = cheerio.load(`<div id="clean-root">${html || ''}</div>`, null, false);
+  const root = $('#clean-root');
+  sanitizeNode($, root, base);
+  if (strip.length) {
+    root.find('*').addBack().contents().toArray()
+      .filter(el => el.type === 'text')
+      .forEach(el => { el.data = stripPhrases(el.data, strip, { keepEdges: true }); });
+  }
+  dropEmpty($, root);
+  return safe(root.html()).replace(/\s+/g, ' ').replace(/^(\s*<br>)+|(<br>\s*)+$/g, '').trim();
+}
+
+// ---------- text ----------
+/** Entities decoded, without reading tags: `&amp;` → `&`, `<b>` stays as typed. */
+export const decodeEntities = (s) => {
+  s = s == null ? '' : String(s);
+  if (!s.includes('&')) return s;
+  // a textarea's contents are text, so the parser decodes entities but leaves tags alone
+  // (the parser also eats one newline after the start tag, hence the one added)
+  return cheerio.load(`<textarea>\n${s.replace(/<\/textarea/gi, '&lt;/textarea')}</textarea>`)('textarea').text();
+};
+
+// HTML → text where block elements end in a paragraph break and <br> in a line break.
+const htmlParagraphs = (html) => {
+  const marked = html.replace(/<\/(p|li|h\d|blockquote|pre)>/gi, '$&\n\n').replace(/<br\s*\/?>/gi, '\n');
+  const $ = cheerio.load(`<div id="clean-root">${marked}</div>`, null, false);
+  return $('#clean-root').text();
+};
+
+/** One line: entities decoded and all whitespace collapsed. */
+export const cleanText = (s) => decodeEntities(s).replace(/\s+/g, ' ').trim();
+
+// Paragraphs and line breaks survive; other runs of whitespace become one space.
+const paragraphs = (s) => s.split(/\n\s*\n/)
+  .map(p => p.split('\n').map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n'))
+  .filter(Boolean);
+
+const globalRe = (p) => { const re = compilePattern(p); return new RegExp(re.source, re.flags.includes('g') ? re.flags : re.flags + 'g'); };
+// separators a removed phrase leaves dangling: "Jazz Night | Buy Tickets" → "Jazz Night"
+const EDGE = /^[\s|·•–—:,-]+|[\s|·•–—:,-]+$/g;
+
+function stripPhrases(s, strip, { keepEdges = false } = {}) {
+  let out = s;
+  for (const re of strip) out = out.replace(re, ' ');
+  if (out === s) return s;
+  out = out.replace(/\s*([|·•])\s*(?:[|·•]\s*)+/g, ' $1 ').replace(/ {2,}/g, ' ');
+  return keepEdges ? out : out.replace(EDGE, '');
+}
+
+/** `s` cut at a word boundary to at most `max` characters, with "…" when anything was cut. */
+export function truncate(s, max) {
+  s = safe(s);
+  if (s.length <= max) return s;
+  const cut = s.slice(0, max - 1);
+  const at = cut.search(/\s\S*$/);
+  return (at > max * 0.6 ? cut.slice(0, at) : cut).replace(/[\s,;:.–—-]+$/, '') + '…';
+}
+
+// Keeps whole top-level blocks of `html` while their text fits in `max`.
+function truncateHtml(html, max) {
+  const $ = cheerio.load(`<div id="clean-root">${html}</div>`, null, false);
+  const root = $('#clean-root');
+  let used = 0, cut = false;
+  for (const el of root.contents().toArray()) {
+    const len = $(el).text().length;
+    if (cut || (used + len > max)) { $(el).remove(); cut = true; } else used += len;
+  }
+  if (!used) return '';
+  root.append('<p>…</p>');
+  return root.html();
+}
+
+// ---------- items ----------
+// resolved against the item's link, like the description's own links
+const URL_FIELDS = ['ticketUrl', 'venueUrl', 'image'];
+
+/**
+ * Cleans a site's items per its sites.json `clean` block. Titles, venues and
+ * other one-line fields become plain single-line text; a description that
+ * arrives as HTML is kept, sanitized, in `html` and as text in `description`.
+ * Descriptions over `maxLength` are cut, and those over `summaryLength` also
+ * get a short `summary`.
+ */
+export function cleanItems(items, cfg) {
+  const opts = { ...CLEAN_DEFAULTS, ...cfg.clean };
+  const strip = [...BOILERPLATE, ...(opts.strip || [])].map(globalRe);
+  const listing = sourceUrl(cfg);
+
+  return items.map(it => {
+    const out = { ...it };
+    for (const f of ['title', 'venue', 'organizer', 'address', 'price']) {
+      if (typeof it[f] === 'string') out[f] = stripPhrases(cleanText(it[f]), strip);
+    }
+    // "javascript:void(0)", "#" or "mailto:" cards link nowhere a subscriber can follow
+    if (it.link != null) out.link = httpUrl(toAbs(safe(it.link), listing));
+    for (const f of URL_FIELDS) if (it[f] != null) out[f] = httpUrl(toAbs(safe(it[f]), out.link || listing));
+
+    const desc = safe(it.description);
+    const html = looksLikeHtml(desc) ? sanitizeHtml(desc, out.link || listing, strip) : '';
+    let text = paragraphs(html ? htmlParagraphs(html) : decodeEntities(desc))
+      .map(p => stripPhrases(p, strip)).filter(Boolean).join('\n\n');
+
+    const long = text.length > opts.maxLength;
+    if (long) text = truncate(text, opts.maxLength);
+    out.description = text;
+    const kept = long && html ? truncateHtml(html, opts.maxLength) : html;
+    if (kept) out.html = kept; else delete out.html;
+    if (text.length > opts.summaryLength) out.summary = truncate(text.replace(/\s+/g, ' '), opts.summaryLength);
+    else delete out.summary;
+    return out;
+  });
+}
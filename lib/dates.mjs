@@ -0,0 +1,330 @@
+// dates.mjs — turns the loose date strings venues publish into real instants.
+// Everything without an explicit offset is read as wall-clock time in `tz`
+// (Eastern by default), so "Sat, Oct 25 @ 8:00 pm" means 8pm in Atlanta.
+
+export const DEFAULT_TZ = 'America/New_York';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_RE = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DAY_MS = 86400000;
+
+// The scraper's idea of "now". SCRAPER_NOW pins it so fixture runs are repeatable.
+export const now = () => (process.env.SCRAPER_NOW ? new Date(process.env.SCRAPER_NOW) : new Date());
+
+// ---------- time zones ----------
+const dtfCache = new Map();
+function zoneFormatter(tz) {
+  if (!dtfCache.has(tz)) {
+    dtfCache.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return dtfCache.get(tz);
+}
+
+export function isValidZone(tz) {
+  if (!tz) return false;
+  try { zoneFormatter(tz); return true; } catch { return false; }
+}
+
+// Wall-clock fields of `date` as seen in `tz`.
+export function zoneParts(date, tz = DEFAULT_TZ) {
+  const p = {};
+  for (const { type, value } of zoneFormatter(tz).formatToParts(date)) p[type] = +value;
+  return { y: p.year, m: p.month, d: p.day, h: p.hour, mi: p.minute, s: p.second };
+}
+
+export function tzOffsetMinutes(date, tz = DEFAULT_TZ) {
+  const p = zoneParts(date, tz);
+  const asUTC = Date.UTC(p.y, p.m - 1, p.d, p.h, p.mi, p.s);
+  return Math.round((asUTC - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+}
+
+// Wall-clock fields in `tz` → Date. Handles DST by re-checking the offset at the guess;
+// a time the spring-forward gap skips (2:30am) moves on by the gap (3:30am), as calendars do.
+export function zonedToUtc({ y, m, d, h = 0, mi = 0, s = 0 }, tz = DEFAULT_TZ) {
+  const guess = Date.UTC(y, m - 1, d, h, mi, s);
+  const off1 = tzOffsetMinutes(new Date(guess), tz);
+  const t1 = guess - off1 * 60000;
+  const off2 = tzOffsetMinutes(new Date(t1), tz);
+  if (off2 === off1) return new Date(t1);
+  const t2 = guess - off2 * 60000;
+  return new Date(tzOffsetMinutes(new Date(t2), tz) === off2 ? t2 : Math.max(t1, t2));
+}
+
+const pad = (n, w = 2) => String(Math.abs(n)).padStart(w, '0');
+
+// ISO 8601 with the zone's offset, e.g. 2026-10-25T20:00:00-04:00.
+export function isoInZone(date, tz = DEFAULT_TZ) {
+  if (!(date instanceof Date) || isNaN(date)) return '';
+  const p = zoneParts(date, tz);
+  const off = tzOffsetMinutes(date, tz);
+  const sign = off < 0 ? '-' : '+';
+  return `${p.y}-${pad(p.m)}-${pad(p.d)}T${pad(p.h)}:${pad(p.mi)}:${pad(p.s)}${sign}${pad(Math.trunc(off / 60))}:${pad(off % 60)}`;
+}
+
+// Calendar day of `date` in `tz` as YYYY-MM-DD.
+export function dayKey(date, tz = DEFAULT_TZ) {
+  const p = zoneParts(date, tz);
+  return `${p.y}-${pad(p.m)}-${pad(p.d)}`;
+}
+
+const addDays = ({ y, m, d }, n) => {
+  const t = new Date(Date.UTC(y, m - 1, d) + n * DAY_MS);
+  return { y: t.getUTCFullYear(), m: t.getUTCMonth() + 1, d: t.getUTCDate() };
+};
+const weekdayOf = ({ y, m, d }) => new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+// Feb 30 and Jan 32 don't roll over into the next month; they aren't dates.
+const realDay = ({ y, m, d }) => m >= 1 && m <= 12 && d >= 1 && d <= new Date(Date.UTC(y, m, 0)).getUTCDate();
+const cmpDay = (a, b) => (a.y - b.y) || (a.m - b.m) || (a.d - b.d);
+
+// ---------- machine formats ----------
+// 20261025T200000Z, 20261025T200000 (floating → tz), 20261025 (all day)
+const ICS_RE = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/;
+// 2026-10-25, 2026-10-25T20:00, 2026-10-25T20:00:00.000-04:00
+const ISO_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+function fromFields(f, tz, offset) {
+  if (offset != null) {
+    if (/^z$/i.test(offset)) return new Date(Date.UTC(f.y, f.m - 1, f.d, f.h, f.mi, f.s));
+    const [, sign, oh, om] = offset.match(/([+-])(\d{2}):?(\d{2})/);
+    const mins = (sign === '-' ? -1 : 1) * (+oh * 60 + +om);
+    return new Date(Date.UTC(f.y, f.m - 1, f.d, f.h, f.mi, f.s) - mins * 60000);
+  }
+  return zonedToUtc(f, tz);
+}
+
+function parseMachine(s, tz) {
+  let m = s.match(ICS_RE) || s.match(ISO_RE);
+  if (!m) return null;
+  const hasTime = m[4] != null;
+  const f = { y: +m[1], m: +m[2], d: +m[3], h: +(m[4] || 0), mi: +(m[5] || 0), s: +(m[6] || 0) };
+  if (!realDay(f)) return null;
+  return { date: fromFields(f, tz, hasTime ? m[7] : null), allDay: !hasTime, fields: f };
+}
+
+// ---------- natural language ----------
+function parseTime(t) {
+  let m = t.match(/\b(\d{1,2})(?::(\d{2}))?\s*([ap])\.?\s*m\b\.?/i);
+  if (m) {
+    let h = +m[1] % 12;
+    if (m[3].toLowerCase() === 'p') h += 12;
+    return { h, mi: +(m[2] || 0) };
+  }
+  if (/\bnoon\b/i.test(t)) return { h: 12, mi: 0 };
+  if (/\bmidnight\b/i.test(t)) return { h: 0, mi: 0 };
+  m = t.match(/\b([01]?\d|2[0-3])[:h]([0-5]\d)\b/);
+  if (m) return { h: +m[1], mi: +m[2] };
+  return null;
+}
+
+function parsePart(text, ctx) {
+  const t = text.toLowerCase().replace(/(\d)(st|nd|rd|th)\b/g, '$1');
+  const out = {};
+
+  let m;
+  if ((m = t.match(new RegExp(`\\b${MONTH_RE}\\s*(\\d{1,2})\\b(?!:)(?:,?\\s*(\\d{4}))?`)))) {
+    out.m = MONTHS.indexOf(m[1].slice(0, 3)) + 1; out.d = +m[2]; if (m[3]) out.y = +m[3];
+  } else if ((m = t.match(new RegExp(`\\b(\\d{1,2})\\s+(?:of\\s+)?${MONTH_RE}(?:,?\\s*(\\d{4}))?`)))) {
+    out.m = MONTHS.indexOf(m[2].slice(0, 3)) + 1; out.d = +m[1]; if (m[3]) out.y = +m[3];
+  } else if ((m = t.match(/\b(\d{1,2})[/.](\d{1,2})(?:[/.](\d{2,4}))?\b/))) {
+    out.m = +m[1]; out.d = +m[2];
+    if (m[3]) out.y = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+  } else if (/\b(today|tonight)\b/.test(t)) {
+    Object.assign(out, ctx.today);
+  } else if (/\btomorrow\b/.test(t)) {
+    Object.assign(out, addDays(ctx.today, 1));
+  } else if (ctx.month && (m = t.match(/^\s*(\d{1,2})\s*(?:,|$|@|\bat\b)/))) {
+    // right-hand side of "Oct 25 - 27"
+    out.d = +m[1];
+  }
+  if (out.y == null && (m = t.match(/\b(20\d{2})\b/))) out.y = +m[1];
+
+  if ((m = t.match(/\b(sun|mon|tue|wed|thu|fri|sat)[a-z]*\b/))) out.weekday = WEEKDAYS.indexOf(m[1]);
+
+  const time = parseTime(t);
+  if (time) Object.assign(out, time);
+  return out;
+}
+
+// Splits "A - B" style ranges; returns [left, right|null].
+function splitRange(s) {
+  const spaced = s.split(/\s+(?:-|–|—|to|until|thru|through)\s+|\s*[–—]\s*/i);
+  if (spaced.length >= 2) return [spaced[0], spaced.slice(1).join(' ')];
+  if (/\b\d{1,2}-\d{1,2}-\d{2,4}\b/.test(s)) return [s, null];
+  const m = s.match(/^(.*?(?:\d|[ap]\.?m\.?))\s*-\s*(\d.*)$/i);
+  return m ? [m[1], m[2]] : [s, null];
+}
+
+function resolveDay(part, ctx, anchor) {
+  const day = pickDay(part, ctx, anchor);
+  return day && realDay(day) ? day : null;
+}
+
+function pickDay(part, ctx, anchor) {
+  if (part.m && part.d) {
+    if (part.y) return { y: part.y, m: part.m, d: part.d };
+    if (anchor) {
+      const c = { y: anchor.y, m: part.m, d: part.d };
+      return cmpDay(c, anchor) < 0 ? { ...c, y: c.y + 1 } : c;
+    }
+    // no year: next occurrence, with the weekday (if given) as a tie-breaker
+    const cands = [0, 1].map(k => ({ y: ctx.today.y + k, m: part.m, d: part.d }))
+      .filter(c => realDay(c) && cmpDay(c, ctx.today) >= 0);
+    if (part.weekday != null) {
+      const hit = cands.find(c => weekdayOf(c) === part.weekday);
+      if (hit) return hit;
+    }
+    return cands[0];
+  }
+  if (part.d && anchor) return { y: anchor.y, m: anchor.m, d: part.d };
+  if (part.weekday != null && !anchor) {
+    const diff = (part.weekday - weekdayOf(ctx.today) + 7) % 7;
+    return addDays(ctx.today, diff);
+  }
+  return null;
+}
+
+// ---------- dates in running text ----------
+// "Fri, Oct 23, 7 - 10pm", "October 24th through 26th, 2026", "2026-10-25 to 2026-10-27"
+const DASH = '\\s*(?:-|–|—|to|through|thru|until)\\s*';
+const DAY_NUM = '\\d{1,2}(?:st|nd|rd|th)?\\b(?:,?\\s*\\d{4}\\b)?';
+const CLOCK = '\\d{1,2}(?::\\d{2})?\\s*[ap]\\.?m\\b\\.?';
+const HOURS = `(?:\\d{1,2}(?::\\d{2})?\\s*(?:[ap]\\.?m\\b\\.?)?${DASH}${CLOCK}|${CLOCK}|\\d{1,2}:\\d{2})`;
+const ISO_DAY = '\\d{4}-\\d{2}-\\d{2}(?:[T ]\\d{2}:\\d{2}(?::\\d{2})?)?';
+const DATE_IN_TEXT = new RegExp(
+  `(?:\\b(?:sun|mon|tue|wed|thu|fri|sat)[a-z]*\\.?,?\\s+)?\\b${MONTH_RE}\\s*${DAY_NUM}(?:${DASH}(?:${MONTH_RE}\\s*)?${DAY_NUM})?` +
+  `(?:,?\\s*(?:@|at|from)?\\s*${HOURS})?|\\b${ISO_DAY}(?:${DASH}${ISO_DAY})?`, 'gi');
+
+/** The first date mentioned in free text (a post's title or body), ready for parseEventDate; '' if none. */
+export const findDateText = (text) =>
+  [...String(text ?? '').replace(/\s+/g, ' ').matchAll(DATE_IN_TEXT)].map(m => m[0])
+    // lower-case "may 5" is more likely "you may 5…" than a date
+    .find(m => !/^may\b/.test(m)) || '';
+
+/**
+ * Parses an event date string.
+ * Returns { start: Date, end: Date|null, allDay } or null when nothing usable was found.
+ * All-day ends are exclusive (the midnight after the last day), like iCalendar DTEND.
+ */
+export function parseEventDate(input, { tz = DEFAULT_TZ, now: at = now() } = {}) {
+  if (input instanceof Date) return isNaN(input) ? null : { start: input, end: null, allDay: false };
+  let s = (typeof input === 'string' ? input : (input ?? '') + '').replace(/\s+/g, ' ').trim();
+  if (!s) return null;
+
+  // DTSTART;TZID=America/New_York:20261025T200000 (or just the TZID=...: part)
+  const param = s.match(/^(?:[A-Z-]+)?;?((?:[A-Z-]+=[^:;]+;?)+):(.+)$/);
+  if (param) {
+    const tzid = param[1].match(/TZID=([^;]+)/);
+    if (tzid && isValidZone(tzid[1].replace(/^"|"$/g, ''))) tz = tzid[1].replace(/^"|"$/g, '');
+    s = param[2].trim();
+  }
+
+  const machine = parseMachine(s, tz);
+  if (machine) return { start: machine.date, end: null, allDay: machine.allDay };
+
+  // ISO interval: start/end
+  if (s.includes('/') && /^\d{4}/.test(s)) {
+    const [a, b] = s.split('/');
+    const ma = parseMachine(a, tz), mb = parseMachine(b, tz);
+    if (ma && mb) return { start: ma.date, end: mb.date, allDay: ma.allDay };
+  }
+
+  // ISO dates either side of a range: "2026-10-25 to 2026-10-27" runs through the 27th
+  if (/^\d{4}-/.test(s)) {
+    const [a, b] = splitRange(s);
+    const ma = b && parseMachine(a.trim(), tz), mb = ma && parseMachine(b.trim(), tz);
+    if (mb) {
+      const end = !mb.allDay ? mb.date : zonedToUtc(ma.allDay ? addDays(mb.fields, 1) : { ...mb.fields, h: 23, mi: 59 }, tz);
+      return { start: ma.date, end: end > ma.date ? end : null, allDay: ma.allDay };
+    }
+  }
+
+  // Strings with an explicit zone (RSS/HTTP dates) are safe for Date.parse.
+  if (/\b(GMT|UTC)\b|[+-]\d{4}\b/.test(s) && !isNaN(Date.parse(s))) {
+    return { start: new Date(Date.parse(s)), end: null, allDay: false };
+  }
+
+  const ctx = { today: (({ y, m, d }) => ({ y, m, d }))(zoneParts(at, tz)) };
+  const cleaned = s.replace(/\b(E[SD]?T|Eastern( Time)?)\b/gi, '').replace(/\s*@\s*/g, ' ');
+  const [left, right] = splitRange(cleaned);
+
+  const a = parsePart(left, ctx);
+  const b = right ? parsePart(right, { ...ctx, month: a.m }) : {};
+
+  // "8 - 11pm": borrow the meridiem from the right side
+  if (a.h == null && b.h != null && right) {
+    const bare = left.match(/(?:^|\s)(\d{1,2})(?::(\d{2}))?\s*$/);
+    if (bare && (a.d == null || +bare[1] !== a.d || /:/.test(bare[0]))) {
+      a.h = +bare[1] % 12 + (b.h >= 12 ? 12 : 0);
+      a.mi = +(bare[2] || 0);
+      if (a.h > b.h) a.h -= 12;
+    }
+  }
+
+  const startDay = resolveDay(a, ctx, null);
+  if (!startDay) return null;
+  const hasTime = a.h != null;
+  const start = zonedToUtc({ ...startDay, h: a.h || 0, mi: a.mi || 0 }, tz);
+
+  let end = null;
+  if (right) {
+    let endDay = resolveDay(b, ctx, startDay) || (b.h != null ? startDay : null);
+    if (endDay) {
+      if (b.h != null) {
+        end = zonedToUtc({ ...endDay, h: b.h, mi: b.mi || 0 }, tz);
+        if (end <= start) end = zonedToUtc({ ...addDays(endDay, 1), h: b.h, mi: b.mi || 0 }, tz);
+      } else if (!hasTime) {
+        end = zonedToUtc(addDays(endDay, 1), tz);
+      } else {
+        end = zonedToUtc({ ...endDay, h: 23, mi: 59 }, tz);
+      }
+    }
+  }
+  return { start, end, allDay: !hasTime };
+}
+
+// Short human label, e.g. "Sat, Oct 25, 8:00 PM" (or "Sat, Oct 25" for all-day).
+export function formatWhen(date, { tz = DEFAULT_TZ, allDay = false } = {}) {
+  if (!(date instanceof Date) || isNaN(date)) return '';
+  const opts = { timeZone: tz, weekday: 'short', month: 'short', day: 'numeric' };
+  if (!allDay) Object.assign(opts, { hour: 'numeric', minute: '2-digit' });
+  return new Intl.DateTimeFormat('en-US', opts).format(date);
+}
+
+// "Saturday, October 24" for a YYYY-MM-DD day; `opts` swap in other Intl fields.
+export const formatDay = (day, opts = { weekday: 'long', month: 'long', day: 'numeric' }) =>
+  new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', ...opts }).format(new Date(`${day}T00:00:00Z`));
+
+// "8:00 PM" in `tz`.
+export const formatTime = (date, tz = DEFAULT_TZ) =>
+  new Intl.DateTimeFormat('en-US', { timeZone: tz, hour: 'numeric', minute: '2-digit' }).format(date);
+
+// ---------- item fields ----------
+/**
+ * A separate end field (JSON-LD endDate, ev:enddate, a json `end`). A bare date
+ * means through that day, so it ends at the following midnight, like the ranges above.
+ */
+export function parseEndDate(raw, { tz = DEFAULT_TZ } = {}) {
+  const parsed = parseEventDate(raw, { tz });
+  if (!parsed) return null;
+  if (!parsed.allDay) return parsed.start;
+  return parsed.end || zonedToUtc(addDays(zoneParts(parsed.start, tz), 1), tz);
+}
+
+// Normalized date fields for an item. Unparseable dates are flagged, not stamped with "now".
+export function eventDates(raw, cfg, rawEnd = '') {
+  const tz = cfg.tz || DEFAULT_TZ;
+  const parsed = parseEventDate(raw, { tz });
+  if (!parsed) return { start: '', end: '', allDay: false, pubDate: '', dateUnparsed: true };
+  const end = (rawEnd && parseEndDate(rawEnd, { tz })) || parsed.end;
+  return dateFields(parsed.start, end, parsed.allDay, cfg);
+}
+
+export function dateFields(start, end, allDay, cfg) {
+  const tz = cfg.tz || DEFAULT_TZ;
+  return { start: isoInZone(start, tz), end: isoInZone(end, tz), allDay, pubDate: start.toUTCString() };
+}
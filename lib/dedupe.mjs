@@ -0,0 +1,174 @@
+// dedupe.mjs — clusters the same event listed by several sources and merges
+// each cluster into one record.
+import { DEFAULT_TZ, dayKey } from './dates.mjs';
+
+const STOPWORDS = new Set(['the', 'a', 'an', 'and', 'live', 'at', 'w', 'with', 'presents', 'feat', 'ft', 'featuring', 'tickets', 'in', 'concert', 'show', 'of']);
+
+const safe = (v) => (typeof v === 'string' ? v.trim() : (v ?? '') + '');
+const fold = (s) => safe(s).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/&/g, ' and ');
+
+// "[Woodstock] The Band — LIVE at MadLife!" → "band madlife"
+export const normTitle = (t) => fold(safe(t).replace(/^\[[^\]]*\]\s*/, ''))
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ').filter(w => w && !STOPWORDS.has(w)).join(' ');
+
+const tokens = (s) => new Set(s.split(' ').filter(Boolean));
+const bigrams = (s) => {
+  const out = new Map();
+  const t = s.replace(/\s+/g, '');
+  for (let i = 0; i < t.length - 1; i++) out.set(t.slice(i, i + 2), (out.get(t.slice(i, i + 2)) || 0) + 1);
+  return out;
+};
+
+// Sørensen–Dice over character bigrams, with a boost when one title's words contain the other's.
+export function titleSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const ta = tokens(a), tb = tokens(b);
+  const small = ta.size <= tb.size ? ta : tb, big = small === ta ? tb : ta;
+  if (small.size >= 2 && [...small].every(w => big.has(w))) return 0.9;
+
+  const ba = bigrams(a), bb = bigrams(b);
+  let inter = 0, total = 0;
+  for (const [k, n] of ba) { inter += Math.min(n, bb.get(k) || 0); total += n; }
+  for (const n of bb.values()) total += n;
+  return total ? (2 * inter) / total : 0;
+}
+
+const venueTokens = (v) => tokens(fold(v).replace(/[^a-z0-9]+/g, ' ').split(' ').filter(w => w && !STOPWORDS.has(w)).join(' '));
+
+function venuesCompatible(a, b) {
+  if (a.genericVenue || b.genericVenue || !a.venue || !b.venue) return true;
+  const va = venueTokens(a.venue), vb = venueTokens(b.venue);
+  const inter = [...va].filter(w => vb.has(w)).length;
+  if (inter && inter / Math.min(va.size, vb.size) >= 0.5) return true;
+  const inText = (v, it) => fold(`${it.title} ${it.description}`).includes(fold(v));
+  return inText(a.venue, b) || inText(b.venue, a);
+}
+
+const titleThreshold = 0.8;
+
+// Titles with both venue names removed ("Band at MadLife" vs "Band").
+const stripVenues = (key, ...venues) => {
+  const drop = new Set(venues.flatMap(v => [...venueTokens(v || '')]));
+  const kept = key.split(' ').filter(w => !drop.has(w)).join(' ');
+  return kept || key;
+};
+
+function sameEvent(a, b) {
+  const sim = Math.max(
+    titleSimilarity(a.key, b.key),
+    titleSimilarity(stripVenues(a.key, a.venue, b.venue), stripVenues(b.key, a.venue, b.venue)));
+  if (sim < titleThreshold) return false;
+  // undated items only merge on near-identical titles
+  const dayOk = a.day && b.day ? a.day === b.day : sim >= 0.9;
+  // early and late shows of the same act stay separate
+  const timeOk = !(a.it.start && b.it.start && !a.it.allDay && !b.it.allDay && a.it.start !== b.it.start);
+  return dayOk && timeOk && venuesCompatible(a, b);
+}
+
+const hostOf = (u) => { try { return new URL(u).hostname.replace(/^www\./, ''); } catch { return ''; } };
+
+// How complete a record is; used to break ties between equal-priority sources.
+function richness(it, site) {
+  let score = 0;
+  if (it.image) score += 3;
+  if (it.start && !it.allDay) score += 2;
+  else if (it.start) score += 1;
+  const siteHost = hostOf(site?.url || site?.api || site?.ics || site?.rss);
+  if (it.link && siteHost && hostOf(it.link) === siteHost && !site?.aggregator) score += 2;
+  if (safe(it.description).length > 80) score += 1;
+  if (it.end) score += 1;
+  return score;
+}
+
+const MERGE_FIELDS = ['location', 'town'];
+const DATE_FIELDS = ['start', 'end', 'allDay', 'pubDate'];
+
+/**
+ * Merges duplicate events across sources.
+ * `sites` supplies per-source `priority` (higher wins) and `aggregator` (venue is not a real venue).
+ * Each merged item lists the contributing site keys in `sources`.
+ */
+export function mergeDuplicates(items, { sites = [], tz = DEFAULT_TZ } = {}) {
+  const siteByKey = new Map(sites.map(s => [s.key, s]));
+  const nodes = items.map((it, idx) => {
+    const site = siteByKey.get(it.source);
+    return {
+      idx, it, site,
+      key: normTitle(it.title),
+      day: it.start ? dayKey(new Date(it.start), tz) : '',
+      venue: it.venue,
+      genericVenue: !!site?.aggregator,
+      title: it.title,
+      description: it.description
+    };
+  });
+
+  // union-find over candidate pairs, blocked by day; a cluster never spans two days,
+  // so one undated listing can't chain a weekly series together
+  const parent = nodes.map((_, i) => i);
+  const dayOf = nodes.map(n => n.day);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b) => {
+    const ra = find(a), rb = find(b);
+    if (dayOf[ra] && dayOf[rb] && dayOf[ra] !== dayOf[rb]) return;
+    parent[ra] = rb;
+    dayOf[rb] = dayOf[rb] || dayOf[ra];
+  };
+
+  const byDay = new Map();
+  for (const n of nodes) {
+    if (!byDay.has(n.day)) byDay.set(n.day, []);
+    byDay.get(n.day).push(n);
+  }
+  for (const [day, group] of byDay) {
+    const candidates = day ? group : nodes; // undated items may match anything
+    for (const a of group) {
+      for (const b of candidates) {
+        if (b.idx === a.idx || (day && b.idx < a.idx)) continue;
+        if (find(a.idx) !== find(b.idx) && sameEvent(a, b)) union(a.idx, b.idx);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  for (const n of nodes) {
+    const root = find(n.idx);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(n);
+  }
+
+  const out = [];
+  for (const members of clusters.values()) {
+    members.sort((a, b) =>
+      ((b.site?.priority || 0) - (a.site?.priority || 0)) ||
+      (richness(b.it, b.site) - richness(a.it, a.site)) ||
+      (a.idx - b.idx));
+    const [win, ...rest] = members;
+    const merged = { ...win.it };
+    for (const { it } of rest) {
+      for (const f of MERGE_FIELDS) if (!merged[f] && it[f]) merged[f] = it[f];
+      // an image travels with what the image stage learned about it
+      if (!merged.image && it.image) {
+        merged.image = it.image;
+        if (it.imageInfo) merged.imageInfo = it.imageInfo;
+      }
+      // take a dated (or more precise) start from a lower-ranked source
+      const preciser = merged.allDay && it.start && !it.allDay && merged.start.slice(0, 10) === it.start.slice(0, 10);
+      if ((!merged.start && it.start) || preciser) {
+        for (const f of DATE_FIELDS) merged[f] = it[f];
+      }
+      if (!merged.end && it.end && merged.start === it.start) merged.end = it.end;
+      if (win.genericVenue && it.venue && !siteByKey.get(it.source)?.aggregator) merged.venue = it.venue;
+      if (safe(it.description).length > safe(merged.description).length * 2) {
+        Object.assign(merged, { description: it.description, html: it.html, summary: it.summary });
+      }
+    }
+    if (merged.start) delete merged.dateUnparsed;
+    merged.tags = [...new Set(members.flatMap(m => m.it.tags || []))].sort();
+    merged.sources = [...new Set(members.map(m => m.it.source).filter(Boolean))];
+    out.push({ item: merged, first: Math.min(...members.map(m => m.idx)) });
+  }
+  return out.sort((a, b) => a.first - b.first).map(o => o.item);
+}
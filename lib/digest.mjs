@@ -0,0 +1,185 @@
+// digest.mjs — the weekly "this weekend" digest: events in a window of days
+// (Thursday to Sunday by default), grouped by day and town with the best first,
+// as email-ready HTML and Markdown under docs/digest/. Sending is optional and
+// goes through a transport — SMTP from config.json unless the caller passes one.
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { dayKey, formatDay, formatTime, now } from './dates.mjs';
+import { eventPage, titleOf } from './pages.mjs';
+import { DAYS } from './rules.mjs';
+import { OUT_DIR, SITE_URL, esc, safe } from './util.mjs';
+
+// config.json `digest` overrides these.
+export const DIGEST_DEFAULTS = { from: 'thu', to: 'sun', max: 40, title: 'This weekend in North ATL' };
+
+// Not worth a trip: called off or no longer listed by the source.
+const SKIPPED = new Set(['cancelled', 'postponed', 'removed']);
+const OTHER_TOWN = 'Around North ATL';
+
+const addDays = (day, n) => new Date(Date.parse(`${day}T00:00:00Z`) + n * 86400000).toISOString().slice(0, 10);
+const weekday = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+/**
+ * The window the digest covers: the one under way on `today`, else the next.
+ * Returns { start, end } as YYYY-MM-DD.
+ */
+export function digestWindow(today, { from, to } = DIGEST_DEFAULTS) {
+  const span = (DAYS.indexOf(to) - DAYS.indexOf(from) + 7) % 7;
+  const back = (weekday(today) - DAYS.indexOf(from) + 7) % 7;
+  const start = back <= span ? addDays(today, -back) : addDays(today, 7 - back);
+  return { start, end: addDays(start, span) };
+}
+
+// Sources' sites.json `priority`; a merged event counts its best source.
+const priorityOf = (i, sites) => Math.max(0, ...[i.source, ...(i.sources || [])]
+  .map(key => sites.find(s => s.key === key)?.priority || 0));
+
+/**
+ * Picks the digest's events from `items` (store events, feed order): those in
+ * the window, events with an image and from higher-priority sources first, at
+ * most `max` of them. Returns { title, start, end, count, days: [{ day, towns: [{ town, items }] }] }.
+ */
+export function selectDigest(items, opts = {}, { sites = [], today = dayKey(now()) } = {}) {
+  const o = { ...DIGEST_DEFAULTS, ...opts };
+  const { start, end } = digestWindow(today, o);
+  const first = start < today ? today : start;
+  // an event already under way when the window opens is listed on its first day
+  const dayOf = (i) => { const d = (i.start || '').slice(0, 10); return d < first ? first : d; };
+  // an all-day end is exclusive: the event is over by the morning of that day
+  const runsInto = (i) => { const d = (i.end || '').slice(0, 10); return i.allDay ? d > first : d >= first; };
+  const inWindow = (i) => i.start && !SKIPPED.has(i.status) && dayOf(i) <= end &&
+    (i.start.slice(0, 10) >= first || runsInto(i));
+
+  const ranked = items.filter(inWindow)
+    .map(i => ({ i, image: i.image ? 1 : 0, priority: priorityOf(i, sites) }))
+    .sort((a, b) => (b.image - a.image) || (b.priority - a.priority) || Date.parse(a.i.start) - Date.parse(b.i.start))
+    .slice(0, o.max)
+    .map(r => r.i);
+
+  // days in order; towns in the order their best event ranked
+  const days = new Map();
+  for (const i of ranked) {
+    const day = dayOf(i), town = i.town || OTHER_TOWN;
+    if (!days.has(day)) days.set(day, new Map());
+    const towns = days.get(day);
+    if (!towns.has(town)) towns.set(town, []);
+    towns.get(town).push(i);
+  }
+  return {
+    title: o.title, start, end, count: ranked.length,
+    days: [...days.keys()].sort().map(day => ({
+      day, towns: [...days.get(day)].map(([town, list]) => ({ town, items: list }))
+    }))
+  };
+}
+
+// ---------- rendering ----------
+const range = (d) => `${formatDay(d.start, { month: 'long', day: 'numeric' })} – ${formatDay(d.end, { month: 'long', day: 'numeric' })}`;
+const timeOf = (i) => (i.allDay ? 'All day' : formatTime(new Date(i.start)));
+const urlOf = (i) => SITE_URL + eventPage(i);
+const detailsOf = (i) => [timeOf(i), i.venue, i.price].filter(Boolean);
+export const digestFile = (d, ext) => `digest/${d.start}.${ext}`;
+
+/** Email-ready HTML: one table, inline styles, absolute links, no scripts. */
+export function digestHTML(d) {
+  const font = 'font-family:Helvetica,Arial,sans-serif;';
+  const event = (i) => `<tr>
+<td width="72" valign="top" style="padding:6px 12px 6px 0;">${i.image ? `<img src="${esc(i.image)}" width="72" height="72" alt="" style="display:block;width:72px;height:72px;object-fit:cover;border-radius:4px;">` : ''}</td>
+<td valign="top" style="${font}padding:6px 0;font-size:15px;line-height:1.4;"><a href="${esc(urlOf(i))}" style="color:#0b5cad;font-weight:bold;text-decoration:none;">${esc(titleOf(i))}</a>` +
+    `${i.status === 'sold-out' ? ' <span style="color:#8a1c1c;font-size:12px;">SOLD OUT</span>' : ''}<br>` +
+    `<span style="color:#555;font-size:13px;">${esc(detailsOf(i).join(' · '))}</span></td>
+</tr>`;
+  const days = d.days.map(({ day, towns }) => `<tr><td colspan="2" style="${font}padding:20px 0 4px;font-size:20px;font-weight:bold;border-bottom:2px solid #222;">${esc(formatDay(day))}</td></tr>
+${towns.map(({ town, items }) => `<tr><td colspan="2" style="${font}padding:10px 0 2px;font-size:13px;font-weight:bold;color:#555;text-transform:uppercase;letter-spacing:1px;">${esc(town)}</td></tr>
+${items.map(event).join('\n')}`).join('\n')}`).join('\n');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(d.title)} — ${esc(range(d))}</title>
+</head>
+<body style="margin:0;padding:0;background:#f4f4f4;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f4f4;"><tr><td align="center" style="padding:16px;">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#fff;padding:16px 24px;">
+<tr><td colspan="2" style="${font}font-size:26px;font-weight:bold;padding-top:8px;">${esc(d.title)}</td></tr>
+<tr><td colspan="2" style="${font}color:#555;font-size:15px;">${esc(range(d))} · ${d.count} event${d.count === 1 ? '' : 's'}</td></tr>
+${d.count ? days : `<tr><td colspan="2" style="${font}padding:20px 0;">Nothing listed yet.</td></tr>`}
+<tr><td colspan="2" style="${font}padding:24px 0 8px;font-size:12px;color:#777;">
+<a href="${esc(SITE_URL + digestFile(d, 'html'))}" style="color:#777;">View in a browser</a> · <a href="${esc(SITE_URL)}" style="color:#777;">All upcoming events</a>
+</td></tr>
+</table>
+</td></tr></table>
+</body>
+</html>
+`;
+}
+
+const md = (s) => safe(s).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+
+/** The same digest as Markdown, also the plain-text part of the email. */
+export function digestMarkdown(d) {
+  const lines = [`# ${md(d.title)}`, '', `${range(d)} · ${d.count} event${d.count === 1 ? '' : 's'}`];
+  for (const { day, towns } of d.days) {
+    lines.push('', `## ${formatDay(day)}`);
+    for (const { town, items } of towns) {
+      lines.push('', `### ${md(town)}`, '');
+      for (const i of items) {
+        lines.push(`- **[${md(titleOf(i))}](${urlOf(i)})**${i.status === 'sold-out' ? ' (sold out)' : ''} — ${detailsOf(i).map(md).join(' · ')}`);
+      }
+    }
+  }
+  if (!d.count) lines.push('', 'Nothing listed yet.');
+  lines.push('', `[All upcoming events](${SITE_URL})`);
+  return lines.join('\n') + '\n';
+}
+
+/** Writes docs/digest/<start>.html and .md; returns their paths under `dir`. */
+export function writeDigest(d, dir = OUT_DIR) {
+  fs.mkdirSync(path.join(dir, 'digest'), { recursive: true });
+  const files = { html: digestFile(d, 'html'), md: digestFile(d, 'md') };
+  fs.writeFileSync(path.join(dir, files.html), digestHTML(d), 'utf8');
+  fs.writeFileSync(path.join(dir, files.md), digestMarkdown(d), 'utf8');
+  console.log(`Wrote digest → ${d.count} event(s), ${d.start} to ${d.end}`);
+  return files;
+}
+
+// ---------- when to send ----------
+// The last window mailed is kept as { start, sent }, so a run that comes late still sends each window once.
+export function lastSent(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return null; }
+}
+
+/** Whether `d` should go out: its window has opened and it isn't the one `last` recorded. */
+export const digestDue = (d, last, today = dayKey(now())) => d.start <= today && (last?.start || '') < d.start;
+
+export function markSent(file, d) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ start: d.start, sent: now().toISOString() }) + '\n', 'utf8');
+}
+
+// ---------- sending ----------
+/** An SMTP transport for config.json `digest.email.smtp`; credentials come from SMTP_USER / SMTP_PASS. */
+export function smtpTransport({ host = 'localhost', port = 587, secure = port === 465 } = {}) {
+  const auth = process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } : undefined;
+  return nodemailer.createTransport({ host, port, secure, auth });
+}
+
+/**
+ * Mails the digest per config.json `digest.email` ({ from, to, subject, smtp }).
+ * `transport` is anything with nodemailer's sendMail(); by default, SMTP.
+ */
+export async function sendDigest(d, email, { transport } = {}) {
+  if (!email?.to?.length) throw new Error('digest.email.to lists nobody to send to');
+  const info = await (transport || smtpTransport(email.smtp)).sendMail({
+    from: email.from || `North ATL Events <digest@${new URL(SITE_URL).hostname}>`,
+    to: email.to,
+    subject: email.subject || `${d.title}: ${range(d)}`,
+    html: digestHTML(d),
+    text: digestMarkdown(d)
+  });
+  console.log(`Sent digest to ${email.to.length} recipient(s)`);
+  return info;
+}
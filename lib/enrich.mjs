@@ -0,0 +1,252 @@
+// enrich.mjs — fills in what list cards leave out by reading each event's
+// detail page: JSON-LD Event, microdata, OpenGraph and per-site selectors.
+import * as cheerio from 'cheerio';
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_TZ, dateFields, now, parseEndDate, parseEventDate } from './dates.mjs';
+import { fetchFor } from './http.mjs';
+import { safe, sourceUrl, toAbs } from './util.mjs';
+
+// sites.json `detail` defaults: detail pages fetched per site per run, and how long a page stays cached.
+export const DETAIL_DEFAULTS = { max: 25, ttlDays: 7 };
+
+const FIELDS = ['description', 'start', 'end', 'image', 'price', 'ticketUrl', 'performers', 'organizer', 'address', 'eventStatus'];
+
+// ---------- cache ----------
+export function loadDetailCache(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return {}; }
+}
+
+// Drops pages older than the longest TTL any site could ask for before writing.
+export function saveDetailCache(file, cache, maxAgeDays = DETAIL_DEFAULTS.ttlDays) {
+  const cutoff = now().getTime() - maxAgeDays * 86400000;
+  const kept = Object.fromEntries(Object.entries(cache).filter(([, e]) => Date.parse(e.at) >= cutoff));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(kept, null, 2) + '\n', 'utf8');
+}
+
+// ---------- extraction ----------
+const list = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+const nameOf = (v) => safe(typeof v === 'string' ? v : v?.name);
+const imageOf = (v) => { v = list(v)[0]; return safe(typeof v === 'string' ? v : v?.url || v?.contentUrl); };
+const isEvent = (node) => list(node?.['@type']).some(t => /Event$/.test(t));
+// HTML fragment → plain text, keeping a space where block elements met
+export const htmlText = (html) => safe(cheerio.load(`<div>${(html || '').replace(/<\/(p|div|li|h\d)>|<br\s*\/?>/gi, '$& ')}</div>`)('div').text())
+  .replace(/\s+/g, ' ').trim();
+
+// schema.org EventStatusType → our status names
+const statusName = (v) => {
+  const m = safe(typeof v === 'string' ? v : v?.['@id']).match(/Event(Cancelled|Postponed|Rescheduled|MovedOnline|Scheduled)$/);
+  return m ? m[1].replace('MovedOnline', 'moved-online').toLowerCase() : '';
+};
+
+// A schema.org location's address as one line.
+export function addressOf(loc) {
+  loc = list(loc)[0];
+  if (!loc || typeof loc === 'string') return safe(loc);
+  const a = loc.address;
+  if (typeof a === 'string') return safe(a);
+  if (a) return [a.streetAddress, a.addressLocality, a.addressRegion, a.postalCode].map(safe).filter(Boolean).join(', ');
+  return '';
+}
+
+// "$15", "$15–$25" or "Free" from Offer / AggregateOffer nodes
+function priceOf(offers) {
+  const all = list(offers).flatMap(o => [o, ...list(o?.offers)]).filter(o => o && typeof o === 'object');
+  const nums = all.flatMap(o => [o.price, o.lowPrice, o.highPrice])
+    .filter(v => v != null && v !== '').map(v => Number(String(v).replace(/[^0-9.]/g, ''))).filter(n => !isNaN(n));
+  if (!nums.length) return '';
+  const cur = all.find(o => o.priceCurrency)?.priceCurrency || 'USD';
+  const fmt = (n) => (n === 0 ? 'Free' : (cur === 'USD' ? '$' : `${cur} `) + (Number.isInteger(n) ? n : n.toFixed(2)));
+  const lo = Math.min(...nums), hi = Math.max(...nums);
+  return lo === hi ? fmt(lo) : `${fmt(lo)}–${fmt(hi)}`;
+}
+
+// Every JSON-LD node on the page, @graph members and ItemList entries included.
+function jsonldNodes($) {
+  const nodes = [];
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      const json = JSON.parse($(el).text());
+      for (const n of list(json)) {
+        nodes.push(n, ...list(n?.['@graph']), ...list(n?.itemListElement).map(e => e?.item || e));
+      }
+    } catch {}
+  });
+  return nodes;
+}
+
+const coord = (v) => (v == null || v === '' || isNaN(+v) ? undefined : +v);
+
+/** A schema.org Event node in the detail shape, plus its name, url and coordinates. */
+export function jsonldEvent(ev) {
+  const offer = list(ev.offers)[0];
+  const geo = list(ev.location)[0]?.geo;
+  return {
+    title: htmlText(ev.name),
+    url: safe(ev.url),
+    description: htmlText(ev.description),
+    start: safe(ev.startDate),
+    end: safe(ev.endDate),
+    image: imageOf(ev.image),
+    price: priceOf(ev.offers),
+    ticketUrl: safe(offer?.url),
+    performers: list(ev.performer).map(nameOf).filter(Boolean),
+    organizer: nameOf(list(ev.organizer)[0]),
+    venue: nameOf(list(ev.location)[0]),
+    address: addressOf(ev.location),
+    eventStatus: statusName(ev.eventStatus),
+    lat: coord(geo?.latitude),
+    lng: coord(geo?.longitude)
+  };
+}
+
+/** Every Event in a page's JSON-LD, e.g. an organizer's listing. */
+export const jsonldEvents = (html) => jsonldNodes(cheerio.load(html)).filter(isEvent).map(jsonldEvent);
+
+function fromJSONLD($) {
+  const nodes = jsonldNodes($);
+  const ev = nodes.find(isEvent);
+  return ev ? jsonldEvent(ev) : { image: imageOf(nodes.find(n => n?.image)?.image) };
+}
+
+function fromMicrodata($) {
+  const scope = $('[itemscope][itemtype*="schema.org/"]').filter((_, el) => /Event$/.test($(el).attr('itemtype'))).first();
+  if (!scope.length) return {};
+  const prop = (name, within = scope) => {
+    const el = within.find(`[itemprop="${name}"]`).first();
+    return safe(el.attr('content') || el.attr('datetime') || el.attr('href') || el.attr('src') || el.text()).replace(/\s+/g, ' ');
+  };
+  const named = (name) => scope.find(`[itemprop="${name}"]`).map((_, el) => prop('name', $(el)) || safe($(el).text())).get();
+  const offers = scope.find('[itemprop="offers"]');
+  return {
+    description: prop('description'),
+    start: prop('startDate'),
+    end: prop('endDate'),
+    image: prop('image'),
+    price: offers.length ? priceOf({ price: prop('price', offers), priceCurrency: prop('priceCurrency', offers) }) : '',
+    ticketUrl: offers.length ? prop('url', offers) : '',
+    performers: named('performer'),
+    organizer: named('organizer')[0] || '',
+    address: prop('address'),
+    eventStatus: statusName(prop('eventStatus'))
+  };
+}
+
+function fromOpenGraph($) {
+  const meta = (p) => safe($(`meta[property="${p}"]`).attr('content'));
+  return {
+    description: meta('og:description'),
+    image: meta('og:image'),
+    start: meta('event:start_time'),
+    end: meta('event:end_time')
+  };
+}
+
+// Site selectors: "css" reads text, "css@attr" reads an attribute; performers collect every match.
+function fromSelectors($, selectors = {}) {
+  const out = {};
+  for (const [field, spec] of Object.entries(selectors)) {
+    const [sel, attr] = spec.split('@');
+    const values = $(sel).map((_, el) => safe(attr ? $(el).attr(attr) : $(el).text()).replace(/\s+/g, ' ')).get().filter(Boolean);
+    out[field] = field === 'performers' ? values : values[0] || '';
+  }
+  return out;
+}
+
+/** Everything the page says about the event; earlier sources win field by field. */
+export function extractDetail(html, url, selectors) {
+  const $ = cheerio.load(html);
+  const layers = [fromSelectors($, selectors), fromJSONLD($), fromMicrodata($), fromOpenGraph($)];
+  const d = {};
+  for (const f of FIELDS) {
+    const v = layers.map(l => l[f]).find(x => (Array.isArray(x) ? x.length : x));
+    if (v) d[f] = v;
+  }
+  if (d.image) d.image = toAbs(d.image, url);
+  if (d.ticketUrl) d.ticketUrl = toAbs(d.ticketUrl, url);
+  return d;
+}
+
+// ---------- enrichment ----------
+function applyDetail(it, d, cfg) {
+  const out = { ...it };
+  if (d.description) out.description = [it.description, d.description].filter(Boolean).join('\n\n');
+  if (d.image && !it.image) out.image = d.image;
+  for (const f of ['price', 'ticketUrl', 'performers', 'organizer', 'address', 'eventStatus']) if (d[f]) out[f] = d[f];
+
+  // the detail page's date is authoritative over the card's loose one
+  const tz = cfg.tz || DEFAULT_TZ;
+  const start = d.start && parseEventDate(d.start, { tz });
+  if (start) {
+    const end = (d.end && parseEndDate(d.end, { tz })) || start.end;
+    Object.assign(out, dateFields(start.start, end, start.allDay, cfg));
+    delete out.dateUnparsed;
+  }
+  return out;
+}
+
+// A cached page is fresh while it is younger than `ttlDays` and was read with today's selectors.
+const freshDetail = (entry, opts) => entry && entry.sel === JSON.stringify(opts.selectors || {}) &&
+  now() - Date.parse(entry.at) < opts.ttlDays * 86400000;
+
+async function fetchDetail(cfg, link, opts, cache) {
+  try {
+    const res = await fetchFor(cfg, link, { 'accept': 'text/html' });
+    if (res.ok) cache[link] = { at: now().toISOString(), sel: JSON.stringify(opts.selectors || {}), data: extractDetail(await res.text(), link, opts.selectors) };
+  } catch {}
+}
+
+// Pages fetched for the site this scrape (`cfg._detailRun`, set by scrapeSite), shared by
+// enrichment and the image stage so `max` caps both; a bare call counts on its own.
+const detailRun = (cfg) => cfg._detailRun || { fetched: 0 };
+
+/**
+ * Reads detail pages for a site's items. With a sites.json `detail` block every
+ * item with its own link is enriched; without one, dom sites still read the
+ * page for cards that had no image. Pages are cached per URL (`cfg._detailCache`)
+ * for `ttlDays`, and at most `max` uncached pages are fetched per run.
+ */
+export async function enrichItems(items, cfg) {
+  const opts = { ...DETAIL_DEFAULTS, ...cfg.detail };
+  if (opts.enabled === false || (!cfg.detail && cfg.mode !== 'dom')) return items;
+  const full = !!cfg.detail;
+  const cache = cfg._detailCache || (cfg._detailCache = {});
+  const listing = sourceUrl(cfg);
+  const run = detailRun(cfg);
+
+  let fetched = 0, capped = 0;
+  const out = [];
+  for (const it of items) {
+    if (!it.link || it.link === listing || (!full && it.image)) { out.push(it); continue; }
+    if (!freshDetail(cache[it.link], opts)) {
+      if (run.fetched < opts.max) {
+        run.fetched++;
+        fetched++;
+        await fetchDetail(cfg, it.link, opts, cache);
+      } else {
+        capped++;
+      }
+    }
+    // a stale entry still beats nothing when the page couldn't be fetched
+    const d = cache[it.link]?.data;
+    out.push(!d ? it : full ? applyDetail(it, d, cfg) : { ...it, image: d.image || '' });
+  }
+  if (fetched) console.log(`[${cfg.key}] fetched ${fetched} detail page(s)${capped ? `, ${capped} left for later runs` : ''}`);
+  return out;
+}
+
+/**
+ * One event page's details, from the cache while fresh, else fetched now if the
+ * site's `max` for this run allows; undefined if unreadable or over the limit.
+ */
+export async function detailFor(cfg, link) {
+  const opts = { ...DETAIL_DEFAULTS, ...cfg.detail };
+  const cache = cfg._detailCache || (cfg._detailCache = {});
+  const run = detailRun(cfg);
+  if (!freshDetail(cache[link], opts) && run.fetched < opts.max) {
+    run.fetched++;
+    await fetchDetail(cfg, link, opts, cache);
+  }
+  return cache[link]?.data;
+}
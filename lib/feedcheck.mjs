@@ -0,0 +1,147 @@
+// feedcheck.mjs — checks the RSS 2.0 and Atom 1.0 we write against the parts of
+// each spec that readers and validators trip over, so a serializer bug stops
+// the build instead of reaching subscribers.
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+// elements read as lists even when there's only one (or, for the checks, several by mistake)
+const REPEATED = new Set([
+  'rss.channel', 'rss.channel.atom:link', 'rss.channel.item',
+  'rss.channel.item.guid', 'rss.channel.item.enclosure', 'rss.channel.item.category',
+  'feed.link', 'feed.author', 'feed.entry', 'feed.entry.link', 'feed.entry.author', 'feed.entry.category'
+]);
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: (name, jpath) => REPEATED.has(jpath)
+});
+
+const RFC822  = /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun), \d{2} (Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{4} \d{2}:\d{2}:\d{2} (GMT|UT|[+-]\d{4})$/;
+const RFC3339 = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+const W3CDTF  = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+const MIME    = /^[\w.+-]+\/[\w.+-]+$/;
+
+const text = (n) => (n && typeof n === 'object' ? n['#text'] ?? '' : n ?? '') + '';
+const isAbsolute = (u) => { try { return /^https?:$/.test(new URL(u).protocol); } catch { return false; } };
+const label = (kind, n, i) => `${kind} ${i + 1}${text(n.title) ? ` ("${text(n.title)}")` : ''}`;
+
+// Every prefix used on an element or attribute must be declared on the root.
+function undeclaredPrefixes(root, node, found = new Set()) {
+  for (const [k, v] of Object.entries(node)) {
+    const name = k.replace(/^@_/, '');
+    const prefix = name.includes(':') ? name.split(':')[0] : '';
+    if (prefix && prefix !== 'xmlns' && prefix !== 'xml' && root[`@_xmlns:${prefix}`] == null) found.add(prefix);
+    for (const child of [v].flat()) if (child && typeof child === 'object') undeclaredPrefixes(root, child, found);
+  }
+  return found;
+}
+
+function parse(xml, rootName, problems) {
+  const ok = XMLValidator.validate(xml);
+  if (ok !== true) { problems.push(`not well-formed XML: ${ok.err.msg} (line ${ok.err.line})`); return null; }
+  const root = parser.parse(xml)[rootName];
+  if (!root) { problems.push(`the root element isn't <${rootName}>`); return null; }
+  for (const p of undeclaredPrefixes(root, root)) problems.push(`namespace prefix "${p}" is used but not declared`);
+  return root;
+}
+
+// ev: and geo: elements shared by both formats.
+function checkEvent(n, where, problems) {
+  for (const f of ['ev:startdate', 'ev:enddate']) {
+    if (n[f] != null && !W3CDTF.test(text(n[f]))) problems.push(`${where}: ${f} "${text(n[f])}" is not a W3CDTF date`);
+  }
+  for (const [f, max] of [['geo:lat', 90], ['geo:long', 180]]) {
+    if (n[f] != null && !(Math.abs(+text(n[f])) <= max)) problems.push(`${where}: ${f} "${text(n[f])}" is out of range`);
+  }
+}
+
+/** Problems with an RSS 2.0 document (empty when valid). */
+export function validateRSS(xml, file = 'feed') {
+  const problems = [];
+  const rss = parse(xml, 'rss', problems);
+  if (rss) {
+    if (rss['@_version'] !== '2.0') problems.push('<rss> needs version="2.0"');
+    const channels = rss.channel || [];
+    if (channels.length !== 1) problems.push(`expected one <channel>, found ${channels.length}`);
+    const ch = channels[0] || {};
+    for (const f of ['title', 'link', 'description']) if (ch[f] == null) problems.push(`channel: <${f}> is required`);
+    if (ch.link != null && !isAbsolute(text(ch.link))) problems.push(`channel: link "${text(ch.link)}" is not an absolute URL`);
+    if (ch.lastBuildDate != null && !RFC822.test(text(ch.lastBuildDate))) problems.push(`channel: lastBuildDate "${text(ch.lastBuildDate)}" is not an RFC 822 date`);
+    for (const l of ch['atom:link'] || []) {
+      if (!isAbsolute(l['@_href'])) problems.push(`channel: atom:link href "${l['@_href'] ?? ''}" is not an absolute URL`);
+    }
+
+    const guids = new Map();
+    (ch.item || []).forEach((it, i) => {
+      const where = label('item', it, i);
+      if (it.title == null && it.description == null) problems.push(`${where}: needs a title or a description`);
+      if (it.link != null && !isAbsolute(text(it.link))) problems.push(`${where}: link "${text(it.link)}" is not an absolute URL`);
+      if (it.pubDate != null && !RFC822.test(text(it.pubDate))) problems.push(`${where}: pubDate "${text(it.pubDate)}" is not an RFC 822 date`);
+      if (/^\s*<!\[CDATA\[/.test(text(it.description))) problems.push(`${where}: description has an escaped CDATA section`);
+      const [guid, ...more] = it.guid || [];
+      if (more.length) problems.push(`${where}: has more than one <guid>`);
+      if (guid != null) {
+        const g = text(guid);
+        if (guid['@_isPermaLink'] !== 'false' && !isAbsolute(g)) problems.push(`${where}: guid "${g}" is a permalink but not a URL`);
+        if (guids.has(g)) problems.push(`${where}: guid repeats item ${guids.get(g) + 1}`);
+        else guids.set(g, i);
+      }
+      if ((it.enclosure || []).length > 1) problems.push(`${where}: has more than one <enclosure>`);
+      for (const e of it.enclosure || []) {
+        if (!isAbsolute(e['@_url'])) problems.push(`${where}: enclosure url "${e['@_url'] ?? ''}" is not an absolute URL`);
+        if (!/^\d+$/.test(e['@_length'] ?? '')) problems.push(`${where}: enclosure needs a length in bytes`);
+        if (!MIME.test(e['@_type'] ?? '')) problems.push(`${where}: enclosure needs a MIME type`);
+      }
+      if ((it.category || []).some(c => !text(c).trim())) problems.push(`${where}: has an empty <category>`);
+      checkEvent(it, where, problems);
+    });
+  }
+  return problems.map(p => `${file}: ${p}`);
+}
+
+// Atom links: absolute hrefs; enclosures say what they are and how big.
+function checkLinks(links, where, problems) {
+  for (const l of links || []) {
+    if (!isAbsolute(l['@_href'])) problems.push(`${where}: link href "${l['@_href'] ?? ''}" is not an absolute URL`);
+    if (l['@_rel'] === 'enclosure' && !(MIME.test(l['@_type'] ?? '') && /^\d+$/.test(l['@_length'] ?? ''))) {
+      problems.push(`${where}: enclosure link needs a type and a length`);
+    }
+  }
+}
+
+const hasName = (authors) => (authors || []).some(a => text(a.name).trim());
+
+/** Problems with an Atom 1.0 document (empty when valid). */
+export function validateAtom(xml, file = 'feed') {
+  const problems = [];
+  const feed = parse(xml, 'feed', problems);
+  if (feed) {
+    if (feed['@_xmlns'] !== ATOM_NS) problems.push(`<feed> must be in the ${ATOM_NS} namespace`);
+    for (const f of ['id', 'title', 'updated']) if (feed[f] == null) problems.push(`feed: <${f}> is required`);
+    if (feed.updated != null && !RFC3339.test(text(feed.updated))) problems.push(`feed: updated "${text(feed.updated)}" is not an RFC 3339 date`);
+    checkLinks(feed.link, 'feed', problems);
+
+    const ids = new Map();
+    (feed.entry || []).forEach((e, i) => {
+      const where = label('entry', e, i);
+      for (const f of ['id', 'title', 'updated']) if (e[f] == null) problems.push(`${where}: <${f}> is required`);
+      const id = text(e.id);
+      if (e.id != null && !/^[a-z][a-z0-9+.-]*:\S+$/i.test(id)) problems.push(`${where}: id "${id}" is not an IRI`);
+      if (ids.has(id)) problems.push(`${where}: id repeats entry ${ids.get(id) + 1}`);
+      else ids.set(id, i);
+      for (const f of ['updated', 'published']) {
+        if (e[f] != null && !RFC3339.test(text(e[f]))) problems.push(`${where}: ${f} "${text(e[f])}" is not an RFC 3339 date`);
+      }
+      if (!hasName(feed.author) && !hasName(e.author)) problems.push(`${where}: needs an author, or the feed one`);
+      for (const f of ['summary', 'content']) {
+        const type = e[f]?.['@_type'];
+        if (type && !['text', 'html', 'xhtml'].includes(type)) problems.push(`${where}: ${f} type "${type}" is not text, html or xhtml`);
+      }
+      if ((e.category || []).some(c => !(c['@_term'] ?? '').trim())) problems.push(`${where}: has a category without a term`);
+      checkLinks(e.link, where, problems);
+      checkEvent(e, where, problems);
+    });
+  }
+  return problems.map(p => `${file}: ${p}`);
+}
@@ -0,0 +1,236 @@
+// http.mjs — fetch with retries, and the polite client every fetch-based mode
+// and detail page goes through: robots.txt, Crawl-delay and conditional requests.
+import fetch from 'node-fetch';
+import fs from 'fs';
+import path from 'path';
+import { SITE_URL, UA_DESKTOP, safe, sleep } from './util.mjs';
+
+const FETCH_RETRIES = 2;
+
+const retryable = (status) => status >= 500 || status === 429;
+
+// Retry-After is either seconds or an HTTP date.
+function retryAfterMs(res) {
+  const h = res.headers.get('retry-after');
+  if (!h) return 0;
+  const secs = Number(h);
+  const ms = isNaN(secs) ? Date.parse(h) - Date.now() : secs * 1000;
+  return Math.max(0, Math.min(ms || 0, 30000));
+}
+
+/**
+ * fetch() that retries network errors, 5xx and 429 with exponential backoff
+ * (baseDelayMs · 2^attempt plus jitter). 4xx responses come back as-is.
+ * An aborted `signal` (the site's timeout) stops immediately.
+ */
+export async function fetchWithRetry(url, options = {}, { retries = 2, baseDelayMs = 1000, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await fetch(url, { ...options, signal });
+      if (!retryable(res.status) || attempt >= retries) return res;
+      const wait = Math.max(retryAfterMs(res), baseDelayMs * 2 ** attempt) + Math.random() * 250;
+      console.warn(`HTTP ${res.status} ${url} — retry ${attempt + 1}/${retries} in ${Math.round(wait)}ms`);
+      await sleep(wait);
+    } catch (e) {
+      if (signal?.aborted || attempt >= retries) throw e;
+      const wait = baseDelayMs * 2 ** attempt + Math.random() * 250;
+      console.warn(`${e.message} — retry ${attempt + 1}/${retries} in ${Math.round(wait)}ms`);
+      await sleep(wait);
+    }
+  }
+}
+
+// A site's fetch: its retry count, cut short by its timeout, through the run's
+// client (`cfg._http`) when there is one. `cfg._fetch` stands in for
+// fetchWithRetry when fixtures are replayed. Sites with `identify: false` get a
+// browser user agent instead of ours.
+export const fetchFor = (cfg, url, headers) => {
+  const options = { headers: { 'user-agent': cfg.identify === false ? UA_DESKTOP : (cfg._http?.userAgent || USER_AGENT), ...headers } };
+  const opts = { retries: cfg.retries ?? FETCH_RETRIES, signal: cfg._signal };
+  return cfg._http ? cfg._http.fetch(url, options, opts) : (cfg._fetch || fetchWithRetry)(url, options, opts);
+};
+
+// ---------- polite client ----------
+// Who we are, for robots.txt groups and site logs; config.json `http.userAgent` replaces it.
+export const USER_AGENT = `north-atl-events/1.0 (+${SITE_URL})`;
+// A Crawl-delay longer than this is cut down to it, so one site can't stall the run.
+const MAX_CRAWL_DELAY_MS = 30000;
+// Bodies over this size aren't cached.
+const MAX_CACHED_BYTES = 2 * 1024 * 1024;
+
+export function loadHttpCache(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return {}; }
+}
+
+// Drops responses nobody asked for in `maxAgeDays` before writing.
+export function saveHttpCache(file, cache, maxAgeDays = 14) {
+  const cutoff = Date.now() - maxAgeDays * 86400000;
+  const kept = Object.fromEntries(Object.entries(cache).filter(([, e]) => Date.parse(e.used) >= cutoff));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(kept) + '\n', 'utf8');
+}
+
+/**
+ * robots.txt → its groups: the user agents each applies to, its Allow/Disallow
+ * rules and Crawl-delay. Consecutive User-agent lines share one group.
+ */
+export function parseRobots(text) {
+  const groups = [];
+  let group = null;
+  for (const raw of safe(text).split(/\r?\n/)) {
+    const m = raw.replace(/#.*/, '').match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+    if (!m) continue;
+    const key = m[1].toLowerCase(), value = m[2];
+    if (key === 'user-agent') {
+      if (!group || group.rules.length || group.delay != null) groups.push(group = { agents: [], rules: [], delay: null });
+      group.agents.push(value.toLowerCase());
+    } else if (group && (key === 'allow' || key === 'disallow')) {
+      if (value || key === 'allow') group.rules.push({ allow: key === 'allow', path: value });
+    } else if (group && key === 'crawl-delay' && !isNaN(parseFloat(value))) {
+      group.delay = parseFloat(value);
+    }
+  }
+  return groups;
+}
+
+// The rules for `token`: its own groups if any name it, else the "*" ones.
+export function robotsFor(groups, token) {
+  const mine = groups.filter(g => g.agents.some(a => a !== '*' && token.startsWith(a)));
+  const use = mine.length ? mine : groups.filter(g => g.agents.includes('*'));
+  const delays = use.map(g => g.delay).filter(d => d != null);
+  return { rules: use.flatMap(g => g.rules), delay: delays.length ? Math.max(...delays) : 0 };
+}
+
+// "*" matches anything and a trailing "$" anchors; otherwise a rule is a path prefix.
+const ruleRe = (p) => new RegExp('^' + p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\*/g, '.*').replace(/\\\$$/, '$'));
+
+/** Whether `rules` allow the path (with query) of `url`: the longest matching rule wins, Allow on a tie. */
+export function robotsAllow(rules, url) {
+  const { pathname, search } = new URL(url);
+  const target = pathname + search;
+  let best = null;
+  for (const r of rules) {
+    if (!r.path || !ruleRe(r.path).test(target)) continue;
+    if (!best || r.path.length > best.path.length || (r.path.length === best.path.length && r.allow)) best = r;
+  }
+  return !best || best.allow;
+}
+
+// How long a response may be reused without asking, from Cache-Control or Expires.
+function freshUntil(res, at) {
+  const cc = res.headers.get('cache-control') || '';
+  if (/no-store|no-cache|private/i.test(cc)) return 0;
+  const maxAge = cc.match(/max-age=(\d+)/i);
+  if (maxAge) return at + +maxAge[1] * 1000;
+  const expires = Date.parse(res.headers.get('expires') || '');
+  return isNaN(expires) ? 0 : expires;
+}
+
+const cachedResponse = (entry, how) =>
+  new Response(entry.body, { status: 200, headers: { 'content-type': entry.type || '', 'x-cache': how } });
+
+/**
+ * The shared HTTP client. Before each request it reads the host's robots.txt
+ * (once per run) and refuses what it disallows for our user agent, then waits
+ * out its Crawl-delay. GET responses carrying an ETag, Last-Modified or
+ * max-age are kept in `cache` (see loadHttpCache), so the next run asks with
+ * If-None-Match / If-Modified-Since and a 304 costs no body. `stats` counts
+ * what was fetched and what the cache saved.
+ */
+export function createClient({ userAgent = USER_AGENT, cache = {}, fetch: fetchImpl = fetchWithRetry } = {}) {
+  const token = userAgent.split(/[\s/]/)[0].toLowerCase();
+  const stats = { requests: 0, bytes: 0, notModified: 0, fromCache: 0, bytesSaved: 0, blocked: 0 };
+  const robots = new Map();   // origin → Promise of its rules
+  const lanes = new Map();    // origin → Promise of when its last request went out
+
+  const robotsOf = (origin, opts) => {
+    if (!robots.has(origin)) {
+      robots.set(origin, (async () => {
+        try {
+          const res = await fetchImpl(`${origin}/robots.txt`, { headers: { 'user-agent': userAgent } }, { retries: 1, signal: opts.signal });
+          stats.requests++;
+          if (res.ok) return robotsFor(parseRobots(await res.text()), token);
+          // no robots.txt means no rules; a server error means stay away this run
+          return res.status >= 500 ? { rules: [{ allow: false, path: '/' }], delay: 0, down: true } : { rules: [], delay: 0 };
+        } catch {
+          // unreachable: the request itself will fail or not on its own
+          return { rules: [], delay: 0 };
+        }
+      })());
+    }
+    return robots.get(origin);
+  };
+
+  // One request at a time per host, Crawl-delay apart.
+  const pace = (origin, delayMs) => {
+    if (!delayMs) return;
+    const mine = (lanes.get(origin) || Promise.resolve(0)).then(async (last) => {
+      const wait = last + delayMs - Date.now();
+      if (wait > 0) await sleep(wait);
+      return Date.now();
+    });
+    lanes.set(origin, mine);
+    return mine;
+  };
+
+  /** Throws when robots.txt disallows `url`; otherwise waits for its turn. */
+  async function admit(url, opts = {}) {
+    const { origin } = new URL(url);
+    const r = await robotsOf(origin, opts);
+    if (!robotsAllow(r.rules, url)) {
+      stats.blocked++;
+      throw new Error(r.down ? `robots.txt for ${origin} is failing, so it is skipped this run` : `robots.txt disallows ${url}`);
+    }
+    await pace(origin, Math.min(r.delay * 1000, MAX_CRAWL_DELAY_MS));
+  }
+
+  async function get(url, options = {}, opts = {}) {
+    const headers = { 'user-agent': userAgent, ...options.headers };
+    // private answers (an API token) are never cached
+    const cacheable = !headers.authorization;
+    const entry = cacheable ? cache[url] : null;
+    const at = Date.now();
+    if (entry) entry.used = new Date(at).toISOString();
+    if (entry && entry.fresh > at) {
+      stats.fromCache++;
+      stats.bytesSaved += entry.size;
+      return cachedResponse(entry, 'fresh');
+    }
+
+    await admit(url, opts);
+    if (entry?.etag) headers['if-none-match'] = entry.etag;
+    if (entry?.lastModified) headers['if-modified-since'] = entry.lastModified;
+    const res = await fetchImpl(url, { ...options, headers }, opts);
+    stats.requests++;
+
+    if (res.status === 304 && entry) {
+      stats.notModified++;
+      stats.bytesSaved += entry.size;
+      entry.fresh = freshUntil(res, at);
+      return cachedResponse(entry, 'revalidated');
+    }
+    if (!res.ok) return res;
+
+    const body = await res.text();
+    const size = Buffer.byteLength(body);
+    stats.bytes += size;
+    const etag = res.headers.get('etag') || '';
+    const lastModified = res.headers.get('last-modified') || '';
+    const fresh = freshUntil(res, at);
+    if (cacheable && (etag || lastModified || fresh > at) && size <= MAX_CACHED_BYTES && !/no-store/i.test(res.headers.get('cache-control') || '')) {
+      cache[url] = { etag, lastModified, fresh, type: res.headers.get('content-type') || '', size, body, used: new Date(at).toISOString() };
+    } else if (entry) {
+      delete cache[url];
+    }
+    return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+  }
+
+  return { userAgent, cache, stats, admit, fetch: get };
+}
+
+const kb = (n) => (n >= 1048576 ? `${(n / 1048576).toFixed(1)} MB` : `${Math.round(n / 1024)} KB`);
+
+/** One line for the run log and status page. */
+export const describeHttpStats = (s) =>
+  `${s.requests} request(s), ${kb(s.bytes)} downloaded; ${s.notModified} not modified and ${s.fromCache} still fresh ` +
+  `saved ${s.notModified + s.fromCache} download(s), ${kb(s.bytesSaved)}` + (s.blocked ? `; ${s.blocked} blocked by robots.txt` : '');
@@ -0,0 +1,373 @@
+// ical.mjs — a small RFC 5545 reader: unfolding, parameters, text escapes,
+// TZID/VTIMEZONE and RRULE/RDATE/EXDATE expansion inside a window.
+import { DEFAULT_TZ, isValidZone, zonedToUtc } from './dates.mjs';
+
+const DAY_MS = 86400000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Outlook/Exchange exports use Windows zone names.
+const WINDOWS_ZONES = {
+  'Eastern Standard Time': 'America/New_York',
+  'US Eastern Standard Time': 'America/Indianapolis',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'UTC': 'UTC'
+};
+
+// ---------- lexing ----------
+const unfold = (text) => text.replace(/\r\n/g, '\n').replace(/\r/g, '\n').replace(/\n[ \t]/g, '');
+
+export const unescapeText = (v) => v.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+
+// NAME;P1=a;P2="b:c":value → { name, params, value }
+function parseLine(line) {
+  let i = 0, name = '';
+  while (i < line.length && line[i] !== ';' && line[i] !== ':') name += line[i++];
+  const params = {};
+  while (line[i] === ';') {
+    i++;
+    let key = '';
+    while (i < line.length && line[i] !== '=' && line[i] !== ':' && line[i] !== ';') key += line[i++];
+    let val = '';
+    if (line[i] === '=') {
+      i++;
+      for (;;) {
+        if (line[i] === '"') {
+          const close = line.indexOf('"', i + 1);
+          val += line.slice(i + 1, close < 0 ? undefined : close);
+          i = close < 0 ? line.length : close + 1;
+        } else {
+          while (i < line.length && line[i] !== ';' && line[i] !== ':' && line[i] !== ',') val += line[i++];
+        }
+        if (line[i] !== ',') break;
+        val += ','; i++;
+      }
+    }
+    params[key.toUpperCase()] = val;
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+/** Parses iCalendar text into a component tree: { name, props: [{name, params, value}], components }. */
+export function parseICS(text) {
+  const root = { name: 'ROOT', props: [], components: [] };
+  const stack = [root];
+  for (const raw of unfold(text || '').split('\n')) {
+    if (!raw.trim()) continue;
+    const p = parseLine(raw);
+    const top = stack[stack.length - 1];
+    if (p.name === 'BEGIN') {
+      const comp = { name: p.value.trim().toUpperCase(), props: [], components: [] };
+      top.components.push(comp);
+      stack.push(comp);
+    } else if (p.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      top.props.push(p);
+    }
+  }
+  return root;
+}
+
+const prop  = (comp, name) => comp.props.find(p => p.name === name);
+const props = (comp, name) => comp.props.filter(p => p.name === name);
+const text  = (comp, name) => { const p = prop(comp, name); return p ? unescapeText(p.value).trim() : ''; };
+
+// ---------- values ----------
+// Local wall-clock time is carried as "floating" ms: Date.UTC() of the fields.
+const floating = (f) => Date.UTC(f.y, f.m - 1, f.d, f.h || 0, f.mi || 0, f.s || 0);
+const fieldsOf = (ms) => {
+  const t = new Date(ms);
+  return { y: t.getUTCFullYear(), m: t.getUTCMonth() + 1, d: t.getUTCDate(), h: t.getUTCHours(), mi: t.getUTCMinutes(), s: t.getUTCSeconds() };
+};
+
+function parseDateValue(v) {
+  const m = (v || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  return {
+    fields: { y: +m[1], m: +m[2], d: +m[3], h: +(m[4] || 0), mi: +(m[5] || 0), s: +(m[6] || 0) },
+    allDay: m[4] == null,
+    utc: !!m[7]
+  };
+}
+
+// P1DT2H30M, -PT15M, P2W
+function parseDuration(v) {
+  const m = (v || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const ms = ((+(m[2] || 0) * 7 + +(m[3] || 0)) * 86400 + +(m[4] || 0) * 3600 + +(m[5] || 0) * 60 + +(m[6] || 0)) * 1000;
+  return m[1] === '-' ? -ms : ms;
+}
+
+// ---------- time zones ----------
+// Yearly onset of a STANDARD/DAYLIGHT observance, in floating ms.
+function observanceOnsets(obs, year) {
+  const start = parseDateValue(text(obs, 'DTSTART'));
+  if (!start) return [];
+  const out = [];
+  const rule = parseRRule(text(obs, 'RRULE'));
+  if (rule && rule.FREQ === 'YEARLY') {
+    const months = rule.BYMONTH || [start.fields.m];
+    for (const m of months) {
+      for (const d of monthDays(year, m, rule, start.fields)) out.push(floating({ ...start.fields, y: year, m, d }));
+    }
+  } else {
+    out.push(floating(start.fields));
+  }
+  for (const rd of props(obs, 'RDATE')) {
+    for (const v of rd.value.split(',')) { const p = parseDateValue(v); if (p) out.push(floating(p.fields)); }
+  }
+  return out.filter(ms => ms >= floating(start.fields));
+}
+
+const offsetMs = (v) => {
+  const m = (v || '').match(/^([+-])(\d{2})(\d{2})(\d{2})?$/);
+  if (!m) return 0;
+  return (m[1] === '-' ? -1 : 1) * ((+m[2] * 60 + +m[3]) * 60 + +(m[4] || 0)) * 1000;
+};
+
+// A resolver built from a VTIMEZONE when its TZID isn't a zone Intl knows.
+function vtimezoneResolver(vtz) {
+  const observances = vtz.components.filter(c => c.name === 'STANDARD' || c.name === 'DAYLIGHT');
+  return (fields) => {
+    const local = floating(fields);
+    let best = null;
+    for (const obs of observances) {
+      for (const year of [fields.y - 1, fields.y]) {
+        for (const onset of observanceOnsets(obs, year)) {
+          if (onset <= local && (!best || onset > best.onset)) best = { onset, obs };
+        }
+      }
+    }
+    const off = best ? offsetMs(text(best.obs, 'TZOFFSETTO'))
+      : offsetMs(text(observances[0] || { props: [] }, 'TZOFFSETFROM'));
+    return new Date(local - off);
+  };
+}
+
+function zoneResolver(tzid, vtimezones, fallbackTz) {
+  const clean = (tzid || '').replace(/^\/+/, '');
+  const iana = isValidZone(clean) ? clean
+    : WINDOWS_ZONES[clean] || (vtimezones[tzid] && text(vtimezones[tzid], 'X-LIC-LOCATION'));
+  if (iana && isValidZone(iana)) return (f) => zonedToUtc(f, iana);
+  if (vtimezones[tzid]) return vtimezoneResolver(vtimezones[tzid]);
+  return (f) => zonedToUtc(f, fallbackTz);
+}
+
+// ---------- recurrence ----------
+export function parseRRule(v) {
+  if (!v) return null;
+  const r = {};
+  for (const part of v.split(';')) {
+    const [k, val] = part.split('=');
+    if (!k || val == null) continue;
+    const key = k.toUpperCase();
+    if (key === 'BYDAY') {
+      r.BYDAY = val.split(',').map(s => {
+        const m = s.trim().toUpperCase().match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+        return m ? { n: m[1] ? +m[1] : 0, wd: WEEKDAYS.indexOf(m[2]) } : null;
+      }).filter(Boolean);
+    } else if (['BYMONTH', 'BYMONTHDAY', 'BYSETPOS'].includes(key)) {
+      r[key] = val.split(',').map(Number).filter(n => !isNaN(n));
+    } else if (key === 'INTERVAL' || key === 'COUNT') {
+      r[key] = +val;
+    } else {
+      r[key] = val.toUpperCase();
+    }
+  }
+  return r.FREQ ? r : null;
+}
+
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+const weekday = (y, m, d) => new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+
+// Candidate days of month y/m for MONTHLY/YEARLY rules.
+function monthDays(y, m, rule, start) {
+  const dim = daysInMonth(y, m);
+  let days = null;
+  if (rule.BYMONTHDAY) {
+    days = rule.BYMONTHDAY.map(d => (d < 0 ? dim + d + 1 : d)).filter(d => d >= 1 && d <= dim);
+  }
+  if (rule.BYDAY) {
+    const hits = [];
+    for (const { n, wd } of rule.BYDAY) {
+      const all = [];
+      for (let d = 1; d <= dim; d++) if (weekday(y, m, d) === wd) all.push(d);
+      if (n === 0) hits.push(...all);
+      else { const d = n > 0 ? all[n - 1] : all[all.length + n]; if (d) hits.push(d); }
+    }
+    days = days ? days.filter(d => hits.includes(d)) : hits;
+  }
+  if (!days) days = start.d <= dim ? [start.d] : [];
+  days = [...new Set(days)].sort((a, b) => a - b);
+  if (rule.BYSETPOS) {
+    days = rule.BYSETPOS.map(p => (p > 0 ? days[p - 1] : days[days.length + p])).filter(Boolean);
+  }
+  return days;
+}
+
+/**
+ * Expands a rule from a floating-ms DTSTART. `toUtc` maps floating fields to instants;
+ * stops at COUNT, UNTIL or once occurrences pass `windowEnd` (a Date).
+ */
+export function expandRRule(rule, dtstart, toUtc, windowEnd, { maxOccurrences = 1000 } = {}) {
+  const start = fieldsOf(dtstart);
+  const interval = Math.max(1, rule.INTERVAL || 1);
+  const until = rule.UNTIL ? parseDateValue(rule.UNTIL) : null;
+  const untilUtc = until ? (until.utc ? new Date(floating(until.fields)) : toUtc(until.fields)) : null;
+  const time = { h: start.h, mi: start.mi, s: start.s };
+  const out = [];
+  let count = 0;
+
+  const emit = (f) => {
+    const ms = floating({ ...f, ...time });
+    if (ms < dtstart) return true;
+    const when = toUtc(fieldsOf(ms));
+    if (untilUtc && when > untilUtc) return false;
+    if (when > windowEnd) return false;
+    if (rule.COUNT && count >= rule.COUNT) return false;
+    count++;
+    out.push(ms);
+    return out.length < maxOccurrences;
+  };
+
+  const okMonth = (m) => !rule.BYMONTH || rule.BYMONTH.includes(m);
+  const wkst = WEEKDAYS.indexOf(rule.WKST || 'MO');
+
+  for (let step = 0; step < 5000; step++) {
+    let days = [];
+    if (rule.FREQ === 'DAILY') {
+      const f = fieldsOf(Date.UTC(start.y, start.m - 1, start.d) + step * interval * DAY_MS);
+      const dayOk = !rule.BYDAY || rule.BYDAY.some(b => b.wd === weekday(f.y, f.m, f.d));
+      const mdOk = !rule.BYMONTHDAY || rule.BYMONTHDAY.includes(f.d);
+      if (okMonth(f.m) && dayOk && mdOk) days.push(f);
+    } else if (rule.FREQ === 'WEEKLY') {
+      const back = (weekday(start.y, start.m, start.d) - wkst + 7) % 7;
+      const weekStart = Date.UTC(start.y, start.m - 1, start.d) - back * DAY_MS + step * interval * 7 * DAY_MS;
+      const wds = rule.BYDAY ? rule.BYDAY.map(b => b.wd) : [weekday(start.y, start.m, start.d)];
+      for (let i = 0; i < 7; i++) {
+        const f = fieldsOf(weekStart + i * DAY_MS);
+        if (wds.includes(weekday(f.y, f.m, f.d)) && okMonth(f.m)) days.push(f);
+      }
+    } else if (rule.FREQ === 'MONTHLY') {
+      const idx = (start.m - 1) + step * interval;
+      const y = start.y + Math.floor(idx / 12), m = (idx % 12) + 1;
+      if (okMonth(m)) days = monthDays(y, m, rule, start).map(d => ({ y, m, d }));
+    } else if (rule.FREQ === 'YEARLY') {
+      const y = start.y + step * interval;
+      const months = rule.BYMONTH || [start.m];
+      for (const m of months) {
+        const r = rule.BYMONTH || rule.BYDAY || rule.BYMONTHDAY ? rule : { BYMONTHDAY: [start.d] };
+        days.push(...monthDays(y, m, r, start).map(d => ({ y, m, d })));
+      }
+    } else {
+      break; // HOURLY and finer aren't used by venue calendars
+    }
+    for (const f of days) if (!emit(f)) return out;
+  }
+  return out;
+}
+
+// ---------- events ----------
+/**
+ * Reads VEVENTs from iCalendar text, expanding recurrences that fall inside
+ * [from, to]. Returns plain objects with Date start/end.
+ */
+export function readEvents(icsText, { from = new Date(), to, tz = DEFAULT_TZ } = {}) {
+  const root = parseICS(icsText);
+  const cals = root.components.filter(c => c.name === 'VCALENDAR');
+  if (!cals.length) cals.push(root);
+  const windowEnd = to || new Date(from.getTime() + 90 * DAY_MS);
+  const out = [];
+
+  for (const cal of cals) {
+    const calTz = isValidZone(text(cal, 'X-WR-TIMEZONE')) ? text(cal, 'X-WR-TIMEZONE') : tz;
+    const vtimezones = {};
+    for (const c of cal.components) if (c.name === 'VTIMEZONE') vtimezones[text(c, 'TZID')] = c;
+
+    const dateOf = (p) => {
+      if (!p) return null;
+      const v = parseDateValue(p.value.split(',')[0]);
+      if (!v) return null;
+      const allDay = v.allDay || p.params.VALUE === 'DATE';
+      const toUtc = v.utc ? (f) => new Date(floating(f)) : zoneResolver(p.params.TZID, vtimezones, calTz);
+      return { ...v, allDay, toUtc, date: toUtc(v.fields) };
+    };
+
+    const vevents = cal.components.filter(c => c.name === 'VEVENT');
+    const overrides = new Map();
+    for (const ev of vevents) {
+      const rid = dateOf(prop(ev, 'RECURRENCE-ID'));
+      if (rid) overrides.set(`${text(ev, 'UID')}|${rid.date.getTime()}`, ev);
+    }
+
+    const base = (ev) => ({
+      uid: text(ev, 'UID'),
+      summary: text(ev, 'SUMMARY'),
+      description: text(ev, 'DESCRIPTION'),
+      location: text(ev, 'LOCATION'),
+      url: text(ev, 'URL'),
+      status: text(ev, 'STATUS').toUpperCase(),
+      categories: props(ev, 'CATEGORIES').flatMap(p => unescapeText(p.value).split(',')).map(s => s.trim()).filter(Boolean),
+      attach: props(ev, 'ATTACH').map(p => ({ url: p.value.trim(), type: p.params.FMTTYPE || '' }))
+    });
+
+    const span = (ev, start) => {
+      const dtend = dateOf(prop(ev, 'DTEND'));
+      const dur = parseDuration(text(ev, 'DURATION'));
+      if (dtend) return dtend.date.getTime() - start.date.getTime();
+      if (dur != null) return dur;
+      return start.allDay ? DAY_MS : null;
+    };
+
+    for (const ev of vevents) {
+      if (prop(ev, 'RECURRENCE-ID')) continue;
+      const start = dateOf(prop(ev, 'DTSTART'));
+      if (!start) continue;
+      const length = span(ev, start);
+      const rule = parseRRule(text(ev, 'RRULE'));
+      const rdates = props(ev, 'RDATE');
+
+      if (!rule && !rdates.length) {
+        out.push({ ...base(ev), start: start.date, end: length != null ? new Date(start.date.getTime() + length) : null, allDay: start.allDay });
+        continue;
+      }
+
+      const instants = new Set([start.date.getTime()]);
+      if (rule) {
+        for (const ms of expandRRule(rule, floating(start.fields), start.toUtc, windowEnd)) {
+          instants.add(start.toUtc(fieldsOf(ms)).getTime());
+        }
+      }
+      for (const p of rdates) {
+        for (const v of p.value.split(',')) {
+          const d = dateOf({ ...p, params: { TZID: prop(ev, 'DTSTART').params.TZID, ...p.params }, value: v.split('/')[0] });
+          if (d) instants.add(d.date.getTime());
+        }
+      }
+      const exdates = new Set();
+      for (const p of props(ev, 'EXDATE')) {
+        for (const v of p.value.split(',')) {
+          const d = dateOf({ ...p, value: v });
+          if (d) exdates.add(d.date.getTime());
+        }
+      }
+
+      for (const ms of [...instants].sort((a, b) => a - b)) {
+        const when = new Date(ms);
+        if (exdates.has(when.getTime())) continue;
+        const override = overrides.get(`${base(ev).uid}|${when.getTime()}`);
+        const src = override || ev;
+        const oStart = override ? dateOf(prop(override, 'DTSTART')) || { ...start, date: when } : { ...start, date: when };
+        const oLength = override ? span(override, oStart) : length;
+        const oEnd = oLength != null ? new Date(oStart.date.getTime() + oLength) : null;
+        if ((oEnd || oStart.date) < from || oStart.date > windowEnd) continue;
+        const fields = { ...base(ev), ...Object.fromEntries(Object.entries(base(src)).filter(([, v]) => v && v.length)) };
+        out.push({ ...fields, start: oStart.date, end: oEnd, allDay: oStart.allDay, recurrenceId: when });
+      }
+    }
+  }
+  return out;
+}
@@ -0,0 +1,208 @@
+// images.mjs — the image stage. Each item's candidate images are fetched and
+// sniffed for their real type and size; placeholders, spacers and tiny images
+// are rejected in favour of the next candidate or the detail page's og:image.
+// The winner is stored resized under docs/img/ as <content hash>.jpg, so the
+// feeds and pages point at a stable copy with a true type and length.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { now } from './dates.mjs';
+import { detailFor } from './enrich.mjs';
+import { USER_AGENT, fetchWithRetry } from './http.mjs';
+import { OUT_DIR, SITE_URL, UA_DESKTOP, sourceUrl } from './util.mjs';
+
+// config.json `images` overrides these; `max` caps new downloads per site per run.
+export const IMAGE_DEFAULTS = { maxWidth: 800, minWidth: 120, minHeight: 90, quality: 80, max: 40, ttlDays: 30 };
+export const IMG_DIR = path.join(OUT_DIR, 'img');
+
+const MAX_BYTES = 15 * 1024 * 1024;
+// wider or taller than this is a banner or a spacer, not a poster
+const MAX_ASPECT = 5;
+
+// ---------- sniffing ----------
+const MAGIC = [
+  ['image/jpeg', (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff],
+  ['image/png', (b) => b.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n'],
+  ['image/gif', (b) => /^GIF8[79]a$/.test(b.toString('latin1', 0, 6))],
+  ['image/webp', (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP'],
+  ['image/avif', (b) => b.toString('latin1', 4, 8) === 'ftyp' && /^avi[fs]$/.test(b.toString('latin1', 8, 12))],
+  ['image/svg+xml', (b) => /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(b.toString('utf8', 0, 1024))]
+];
+
+/** What the bytes really are, whatever the extension or Content-Type said; '' when not an image. */
+export const sniffImage = (buf) => (buf.length >= 12 && MAGIC.find(([, test]) => test(buf))?.[0]) || '';
+
+// Lazy-load stand-ins and spacers, by name; anything else is judged by its pixels.
+const PLACEHOLDER = /(^|[^a-z])(placeholder|spacer|blank|pixel|transparent|1x1|lazy|loading|loader|no-?image|default-(image|img|event|thumb))([^a-z]|$)/i;
+const fileName = (u) => { const f = u.split(/[?#]/)[0].split('/').pop() || ''; try { return decodeURIComponent(f).replace(/_/g, '-'); } catch { return f; } };
+
+export const isPlaceholderUrl = (u) => !u || /^data:/i.test(u) || PLACEHOLDER.test(fileName(u));
+
+/**
+ * Checks image bytes and derives the stored copy: at most `maxWidth` wide,
+ * EXIF-rotated, flattened onto white, as JPEG. Returns { file, type, length,
+ * width, height, data } or { reject } saying why it isn't an event image.
+ */
+export async function deriveImage(buf, o = IMAGE_DEFAULTS) {
+  const type = sniffImage(buf);
+  if (!type) return { reject: 'not an image' };
+  if (type === 'image/svg+xml') return { reject: 'an SVG, most likely a logo or icon' };
+  let meta;
+  try { meta = await sharp(buf).metadata(); } catch { return { reject: `unreadable ${type}` }; }
+  // orientations 5–8 are stored on their side
+  const [width, height] = (meta.orientation || 0) >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+  if (!width || !height || width < o.minWidth || height < o.minHeight) return { reject: `too small (${width}×${height})` };
+  if (Math.max(width / height, height / width) > MAX_ASPECT) return { reject: `a ${width}×${height} strip` };
+
+  const { data, info } = await sharp(buf)
+    .rotate()
+    .resize({ width: o.maxWidth, withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: o.quality, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+  const { channels } = await sharp(data).stats();
+  if (channels.every(c => c.stdev < 2)) return { reject: 'a blank, single-colour image' };
+  const hash = crypto.createHash('sha1').update(data).digest('hex').slice(0, 16);
+  return { file: `${hash}.jpg`, type: 'image/jpeg', length: data.length, width: info.width, height: info.height, data };
+}
+
+// ---------- cache ----------
+// Source URL → { file, type, length, width, height, etag, lastModified, at, used } or { reject, at, used }.
+export function loadImageCache(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return {}; }
+}
+
+// Entries no event has used for a while are dropped before writing.
+export function saveImageCache(file, cache, maxAgeDays = IMAGE_DEFAULTS.ttlDays) {
+  const cutoff = now().getTime() - maxAgeDays * 86400000;
+  const kept = Object.fromEntries(Object.entries(cache).filter(([, e]) => Date.parse(e.used || e.at) >= cutoff));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(kept, null, 2) + '\n', 'utf8');
+}
+
+/** Deletes stored copies under `dir` that none of `events` points at; returns how many went. */
+export function pruneImages(events, dir = IMG_DIR) {
+  if (!fs.existsSync(dir)) return 0;
+  const used = new Set(events.map(e => e.image?.startsWith(SITE_URL + 'img/') && e.image.slice(SITE_URL.length + 4)).filter(Boolean));
+  const stale = fs.readdirSync(dir).filter(f => !used.has(f));
+  for (const f of stale) fs.rmSync(path.join(dir, f), { force: true });
+  return stale.length;
+}
+
+// ---------- fetching ----------
+// Images skip the shared client's text cache but still respect robots.txt and Crawl-delay.
+async function fetchImage(cfg, url, headers) {
+  await cfg._http?.admit(url, { signal: cfg._signal });
+  const ua = cfg.identify === false ? UA_DESKTOP : (cfg._http?.userAgent || USER_AGENT);
+  const options = { headers: { 'user-agent': ua, 'accept': 'image/avif,image/webp,image/*;q=0.8', ...headers } };
+  return (cfg._fetch || fetchWithRetry)(url, options, { retries: 1, signal: cfg._signal });
+}
+
+// The body, or null once it runs past `limit` bytes — Content-Length can be missing or wrong.
+async function readCapped(res, limit) {
+  if (!res.body?.[Symbol.asyncIterator]) {
+    const buf = Buffer.from(await res.arrayBuffer());
+    return buf.length > limit ? null : buf;
+  }
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of res.body) {
+    length += chunk.length;
+    // leaving the loop closes the stream
+    if (length > limit) return null;
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * The cache entry for one candidate URL, fetching it when it isn't cached, its
+ * copy is missing or it is older than `ttlDays` (then conditionally, so an
+ * unchanged image costs a 304). Network trouble comes back as { retry } and isn't cached.
+ */
+async function checkImage(cfg, url, o, run) {
+  if (!/^https?:/i.test(url)) return { reject: 'not an http(s) URL' };
+  const { cache, dir } = cfg._images;
+  const at = now();
+  const prev = cache[url];
+  const stored = !!prev?.file && fs.existsSync(path.join(dir, prev.file));
+  const remember = (entry) => (cache[url] = { ...entry, at: entry.at || at.toISOString(), used: at.toISOString() });
+
+  if (prev && (prev.reject || stored) && at - Date.parse(prev.at) < o.ttlDays * 86400000) return remember(prev);
+  if (isPlaceholderUrl(url)) return remember({ reject: 'a placeholder' });
+  if (run.fetched >= o.max) return { retry: 'over this run\'s limit' };
+  run.fetched++;
+
+  let res, buf;
+  try {
+    const headers = {};
+    if (stored && prev.etag) headers['if-none-match'] = prev.etag;
+    if (stored && prev.lastModified) headers['if-modified-since'] = prev.lastModified;
+    res = await fetchImage(cfg, url, headers);
+    if (res.status === 304 && stored) return remember({ ...prev, at: at.toISOString() });
+    if (res.status >= 500 || res.status === 429) return { retry: `HTTP ${res.status}` };
+    if (!res.ok) return remember({ reject: `HTTP ${res.status}` });
+    if (+res.headers.get('content-length') > MAX_BYTES) return remember({ reject: 'over 15 MB' });
+    buf = await readCapped(res, MAX_BYTES);
+    if (!buf) return remember({ reject: 'over 15 MB' });
+  } catch (e) {
+    return { retry: e.message };
+  }
+
+  const derived = await deriveImage(buf, o);
+  if (derived.reject) return remember(derived);
+  const { data, ...entry } = derived;
+  const file = path.join(dir, entry.file);
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, data);
+    run.stored++;
+  }
+  return remember({ ...entry, etag: res.headers.get('etag') || undefined, lastModified: res.headers.get('last-modified') || undefined });
+}
+
+const withImage = (it, url, e) => ({
+  ...it,
+  image: `${SITE_URL}img/${e.file}`,
+  imageInfo: { type: e.type, length: e.length, width: e.width, height: e.height, source: url }
+});
+
+/**
+ * Gives each item a checked, stored image when `cfg._images` ({ cache, dir,
+ * options }) is set. Candidates are the item's image, then the other images its
+ * card offered (`imageAlts`), then — once those are turned down — its detail page's, within the site's `detail.max`. An item whose candidates
+ * were all rejected loses its image; one that couldn't be checked this run keeps
+ * what it had.
+ */
+export async function processImages(items, cfg) {
+  if (!cfg._images) return items.map(({ imageAlts, ...it }) => it);
+  const o = { ...IMAGE_DEFAULTS, ...cfg._images.options };
+  const run = { fetched: 0, stored: 0 };
+  const listing = sourceUrl(cfg);
+  let rejected = 0;
+
+  const out = [];
+  for (const { imageAlts = [], ...it } of items) {
+    const tried = new Set();
+    let unsure = false, found = null;
+    const attempt = async (url) => {
+      if (!url || tried.has(url)) return;
+      tried.add(url);
+      const e = await checkImage(cfg, url, o, run);
+      if (e.file) found = withImage(it, url, e);
+      else if (e.retry) unsure = true;
+    };
+    for (const url of [it.image, ...imageAlts]) { if (!found) await attempt(url); }
+    // the detail page only when the card's own images were turned down
+    if (!found && !unsure && tried.size && it.link && it.link !== listing) await attempt((await detailFor(cfg, it.link))?.image);
+
+    if (found) out.push(found);
+    else if (unsure || !it.image) out.push(it);
+    else { rejected++; out.push({ ...it, image: '' }); }
+  }
+  if (run.fetched || rejected) {
+    console.log(`[${cfg.key}] images: ${run.fetched} fetched, ${run.stored} stored, ${rejected} item(s) left without one`);
+  }
+  return out;
+}
@@ -0,0 +1,453 @@
+// modes.mjs — one scraper per sites.json `mode`, each returning normalized items.
+import { XMLParser } from 'fast-xml-parser';
+import { DEFAULT_TZ, dateFields, eventDates, findDateText, formatWhen, now } from './dates.mjs';
+import { cleanItems } from './clean.mjs';
+import { addressOf, enrichItems } from './enrich.mjs';
+import { fetchFor } from './http.mjs';
+import { readEvents } from './ical.mjs';
+import {
+  DEFAULT_PAGINATION, LOAD_MORE_SEL, NEXT_LINK_SEL,
+  autoScroll, contextOptions, firstExistingSelector, innerTextSafe, openSitePage, saveDebug
+} from './browser.mjs';
+import { mecFeedUrl, scrapeEventbrite, scrapeTribe, toItem } from './platforms.mjs';
+import { applyHooks, beforeScrape, callPlugin, guardPlugin, loadPlugin, pluginContext, withRaw } from './plugins.mjs';
+import { isPlaceholderUrl, processImages } from './images.mjs';
+import { applyRules } from './rules.mjs';
+import { resolveVenues } from './venues.mjs';
+import { isImg, norm, pick, pickFirstFromSrcset, rfc822, safe, sleep, toAbs } from './util.mjs';
+
+export async function scrapeJSONLD(page, cfg) {
+  await cfg._http?.admit(cfg.url);
+  await page.goto(cfg.url, { waitUntil: 'networkidle', timeout: 60000 });
+  await sleep(cfg.waitMs);
+  await beforeScrape(cfg, { page });
+  return readJSONLD(page, cfg);
+}
+
+// Items from the Event nodes in an already loaded page's JSON-LD.
+async function readJSONLD(page, cfg) {
+  const scripts = await page.$$eval('script[type="application/ld+json"]', els => els.map(e => e.textContent || ''));
+  const events = [];
+  for (const raw of scripts) {
+    try {
+      const json = JSON.parse(raw);
+      const arr = [];
+      if (Array.isArray(json)) arr.push(...json);
+      else {
+        arr.push(json);
+        if (Array.isArray(json['@graph'])) arr.push(...json['@graph']);
+      }
+      for (const node of arr) {
+        if (!node) continue;
+        if (node['@type'] === 'Event') events.push(node);
+        if (Array.isArray(node.event)) node.event.forEach(e => { if (e['@type'] === 'Event') events.push(e); });
+      }
+    } catch {}
+  }
+  const out = [];
+  for (const e of events) {
+    const title = safe(e.name);
+    const url   = toAbs(safe(e.url) || cfg.url, cfg.url);
+    const start = safe(e.startDate || e.startTime);
+    const end   = safe(e.endDate || e.endTime);
+    const venue = safe(e?.location?.name || cfg.venue);
+
+    let img = '';
+    const ri = e.image;
+    if (typeof ri === 'string') img = ri;
+    else if (ri && typeof ri === 'object' && ri.url) img = ri.url;
+    else if (Array.isArray(ri) && ri.length) img = typeof ri[0] === 'string' ? ri[0] : (ri[0]?.url || '');
+    img = toAbs(safe(img), cfg.url);
+
+    out.push(withRaw({
+      title: (cfg.town ? `[${cfg.town}] ` : '') + title,
+      link: url,
+      guid: url + '#' + norm(title) + '#' + norm(start),
+      ...eventDates(start, cfg, end),
+      description: [venue, start].filter(Boolean).join(' — '),
+      image: img,
+      town: cfg.town || '',
+      venue: cfg.venue || venue || '',
+      address: addressOf(e.location)
+    }, e));
+  }
+  return out;
+}
+
+export async function extractCard(el, cfg) {
+  let title = '';
+  for (const tSel of cfg.title.split(',').map(s => s.trim())) {
+    const tEl = await el.$(tSel);
+    title = await innerTextSafe(tEl);
+    if (title) break;
+  }
+
+  let href = '';
+  for (const aSel of cfg.link.split(',').map(s => s.trim())) {
+    const aEl = await el.$(aSel);
+    if (aEl) {
+      href = safe(await aEl.getAttribute('href'));
+      if (href) break;
+    }
+  }
+  if (href && href.startsWith('/')) href = toAbs(href, cfg.url);
+
+  let date = '';
+  for (const dSel of cfg.date.split(',').map(s => s.trim())) {
+    const dEl = await el.$(dSel);
+    if (dEl) { try { date = safe(await dEl.innerText()); } catch {} if (date) break; }
+  }
+
+  // every image the card offers, lazy-load sources ahead of a src that may be their placeholder
+  const images = [];
+  for (const iSel of cfg.image.split(',').map(s => s.trim())) {
+    const iEl = await el.$(iSel);
+    if (!iEl) continue;
+    const cand = await Promise.all([
+      iEl.getAttribute('data-src'),
+      iEl.getAttribute('data-original'),
+      iEl.getAttribute('data-lazy'),
+      iEl.getAttribute('data-image'),
+      iEl.getAttribute('srcset'),
+      iEl.getAttribute('src'),
+      iEl.getAttribute('style')
+    ]);
+    const [dataSrc, dataOrig, dataLazy, dataImage, srcset, src, styleAttr] = cand.map(x => safe(x));
+    const bg = styleAttr.match(/background-image:\s*url\((['"]?)([^'")]+)\1\)/i)?.[2] || '';
+    for (const u of [dataSrc, dataOrig, dataLazy, dataImage, srcset && pickFirstFromSrcset(srcset), src, bg]) {
+      const abs = u && toAbs(u, cfg.url);
+      if (abs && !images.includes(abs)) images.push(abs);
+    }
+  }
+  const real = images.filter(u => !isPlaceholderUrl(u));
+  const imageUrl = real[0] || '';
+  return { title, href, date, imageUrl, imageAlts: real.slice(1) };
+}
+
+// Moves `p` to page `pageNo` according to the site's pagination type; false when there is no more.
+async function nextPage(p, cfg, pg, pageNo, itemSel) {
+  try {
+    if (pg.type === 'click') {
+      const btn = await p.$(pg.selector || LOAD_MORE_SEL);
+      if (!btn || !(await btn.isVisible()) || (await btn.isDisabled())) return false;
+      console.log(`[${cfg.key}] Clicking next/load more (page ${pageNo})…`);
+      await btn.click({ delay: 50 });
+      await p.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
+      await autoScroll(p);
+      await sleep(pg.waitMs);
+      return true;
+    }
+    if (pg.type === 'next-link' || pg.type === 'url') {
+      let url = '';
+      if (pg.type === 'url') {
+        url = pg.url.replace('{page}', String(pageNo - 1 + (pg.firstPage ?? 1)));
+      } else {
+        const a = await p.$(pg.selector || NEXT_LINK_SEL);
+        url = a ? toAbs(safe(await a.getAttribute('href')), p.url()) : '';
+        if (!url || url === p.url() || url.startsWith('javascript:')) return false;
+      }
+      console.log(`[${cfg.key}] Page ${pageNo} → ${url}`);
+      const res = await p.goto(url, { waitUntil: 'networkidle', timeout: 60000 });
+      if (res && res.status() >= 400) return false;
+      await sleep(pg.waitMs);
+      await autoScroll(p);
+      return !!(await firstExistingSelector(p, itemSel, 5000));
+    }
+    if (pg.type === 'scroll') {
+      const before = await p.locator(itemSel).count();
+      await autoScroll(p, 4800);
+      await sleep(pg.waitMs);
+      return (await p.locator(itemSel).count()) > before;
+    }
+  } catch (e) {
+    console.warn(`[${cfg.key}] pagination stopped: ${e.message}`);
+  }
+  return false;
+}
+
+/**
+ * Collects card rows page by page until the paginator stops, the page guard trips,
+ * a page adds no new cards or `take` rows are in. `cards()` lists the current page's
+ * cards, `extract(card)` reads one and `turn(pageNo)` moves to that page, false when
+ * there is none.
+ */
+export async function walkPages({ cards, extract, turn }, { key, maxPages, take }) {
+  const seenCards = new Set();
+  const rows = [];
+  for (let pageNo = 1; ; pageNo++) {
+    let fresh = 0;
+    for (const el of await cards()) {
+      if (rows.length >= take) break;
+      const row = await extract(el);
+      const k = row.href + '|' + norm(row.title) + '|' + norm(row.date);
+      if (seenCards.has(k)) continue;
+      seenCards.add(k);
+      rows.push(row);
+      fresh++;
+    }
+    if (pageNo > 1) console.log(`[${key}] page ${pageNo}: +${fresh} card(s)`);
+    if (rows.length >= take || pageNo >= maxPages || (pageNo > 1 && !fresh)) break;
+    if (!(await turn(pageNo + 1))) break;
+  }
+  return rows;
+}
+
+export async function scrapeDOM(pool, cfg) {
+  const { ctx, page: p } = await openSitePage(pool, cfg);
+  try { await beforeScrape(cfg, { page: p }); } catch (e) { await p.close(); await pool.release(ctx); throw e; }
+
+  const bodyText = await p.evaluate(() => document.body.innerText.slice(0, 2000));
+  if (/Checking your browser|cf-error|enable cookies/i.test(bodyText)) {
+    console.warn(`[${cfg.key}] Cloudflare / interstitial detected`);
+    await saveDebug(p, cfg, 'cf-block');
+    await p.close(); await pool.release(ctx);
+    return [];
+  }
+
+  // JSON-LD first if requested
+  if (cfg.jsonldFirst) {
+    // the page is loaded and its hook has run; read it as it is
+    const jsonldItems = await readJSONLD(p, cfg);
+    if (jsonldItems.length > 0) {
+      console.log(`[${cfg.key}] JSON-LD first succeeded → ${jsonldItems.length} items`);
+      if (cfg._stats) cfg._stats.selector = 'application/ld+json';
+      await p.close(); await pool.release(ctx);
+      return jsonldItems;
+    } else {
+      console.log(`[${cfg.key}] JSON-LD first yielded 0; falling back to DOM`);
+    }
+  }
+
+  const itemSel = await firstExistingSelector(p, cfg.item, 8000);
+  if (!itemSel) {
+    console.warn(`[${cfg.key}] No item selector matched`);
+    await saveDebug(p, cfg, 'no-selector');
+    await p.close(); await pool.release(ctx);
+    return [];
+  }
+
+  const count = await p.locator(itemSel).count();
+  console.log(`[${cfg.key}] Using selector: ${itemSel} → ${count} node(s)`);
+  if (cfg._stats) cfg._stats.selector = itemSel;
+
+  const pg = cfg.pagination ? { maxPages: 10, waitMs: 1200, ...cfg.pagination } : DEFAULT_PAGINATION;
+  const rows = await walkPages({
+    cards: () => p.locator(itemSel).elementHandles(),
+    extract: (el) => extractCard(el, cfg),
+    turn: (pageNo) => nextPage(p, cfg, pg, pageNo, itemSel)
+  }, { key: cfg.key, maxPages: pg.maxPages, take: Math.min(cfg.max || 220, pg.maxItems || Infinity) });
+
+  const out = [];
+  for (let i = 0; i < rows.length; i++) {
+    const { title, href, date, imageUrl, imageAlts } = rows[i];
+
+    if (!title && !href) continue;
+    if (i < 2) console.log(`[${cfg.key}] sample[${i}] title="${title}"`);
+
+    out.push(withRaw({
+      title: (cfg.town ? `[${cfg.town}] ` : '') + title,
+      link: href || cfg.url,
+      guid: (href || cfg.url) + '#' + norm(title) + '#' + norm(date),
+      ...eventDates(date, cfg),
+      description: [cfg.venue, date].filter(Boolean).join(' — '),
+      image: imageUrl,
+      ...(imageAlts.length ? { imageAlts } : {}),
+      town: cfg.town || '',
+      venue: cfg.venue || ''
+    }, rows[i]));
+  }
+
+  if (out.length === 0) {
+    console.warn(`[${cfg.key}] 0 items after DOM scrape`);
+    await saveDebug(p, cfg, 'empty');
+  }
+
+  await p.close(); await pool.release(ctx);
+  return out;
+}
+
+export async function scrapeJSON(cfg) {
+  const res = await fetchFor(cfg, cfg.api, { 'accept': 'application/json' });
+  if (!res.ok) throw new Error(`JSON ${res.status} ${cfg.api}`);
+  const data = await res.json();
+
+  const list = Array.isArray(pick(data, cfg.map?.path))
+    ? pick(data, cfg.map.path)
+    : (Array.isArray(data) ? data : []);
+
+  const out = [];
+  for (const e of list) {
+    const title = safe(cfg.map?.title ? pick(e, cfg.map.title) : (e.title || e.name));
+    const link  = toAbs(safe(cfg.map?.link ? pick(e, cfg.map.link) : (e.url || e.link)) || cfg.api, cfg.api);
+    const date  = safe(cfg.map?.date ? pick(e, cfg.map.date) : (e.start_date || e.start || e.date || ''));
+    const end   = safe(cfg.map?.end ? pick(e, cfg.map.end) : (e.end_date || e.end || ''));
+    const venue = safe(cfg.map?.venue ? pick(e, cfg.map.venue) : (e?.venue?.name || e.venue || cfg.venue || ''));
+
+    let img = '';
+    if (cfg.map?.image) img = safe(pick(e, cfg.map.image) || '');
+    else img = safe(e.image || e.featured_image || (Array.isArray(e.images) ? e.images[0] : ''));
+    img = toAbs(img, link);
+
+    out.push(withRaw({
+      title: (cfg.town ? `[${cfg.town}] ` : '') + title,
+      link,
+      guid: link + '#' + norm(title) + '#' + norm(date),
+      ...eventDates(date, cfg, end),
+      description: [venue, date].filter(Boolean).join(' — '),
+      image: img,
+      town: cfg.town || '',
+      venue: cfg.venue || venue || ''
+    }, e));
+  }
+  return out;
+}
+
+export async function scrapeICS(cfg) {
+  const res = await fetchFor(cfg, cfg.ics, {});
+  if (!res.ok) throw new Error(`ICS ${res.status} ${cfg.ics}`);
+  const text = await res.text();
+
+  // recurrences are expanded from now through the look-ahead window
+  const from = now();
+  const to = new Date(from.getTime() + (cfg.lookaheadDays ?? 90) * 86400000);
+  const events = readEvents(text, { from, to, tz: cfg.tz || DEFAULT_TZ });
+
+  const out = [];
+  for (const ev of events) {
+    const title = safe(ev.summary);
+    const link  = toAbs(ev.url || cfg.ics, cfg.ics);
+    const when  = formatWhen(ev.start, { tz: cfg.tz || DEFAULT_TZ, allDay: ev.allDay });
+    const desc  = [cfg.venue || ev.location || '', when, ev.description].filter(Boolean).join(' — ');
+    const image = ev.attach.find(a => a.type.startsWith('image/') || isImg(a.url))?.url || '';
+
+    out.push(withRaw({
+      title: (cfg.town ? `[${cfg.town}] ` : '') + title,
+      link,
+      guid: (ev.uid || link) + '#' + norm(title) + '#' + ev.start.toISOString(),
+      ...dateFields(ev.start, ev.end, ev.allDay, cfg),
+      description: desc,
+      image: image ? toAbs(image, link) : '',
+      location: ev.location,
+      attachments: ev.attach.map(a => a.url),
+      town: cfg.town || '',
+      venue: cfg.venue || '',
+      // kept, so the store can mark a cancelled occurrence instead of just losing it
+      ...(ev.status === 'CANCELLED' ? { eventStatus: 'cancelled' } : {})
+    }, ev));
+  }
+  return out;
+}
+
+export async function scrapeRSS(cfg) {
+  const res = await fetchFor(cfg, cfg.rss, { 'accept': 'application/rss+xml, application/atom+xml, text/xml;q=0.9' });
+  if (!res.ok) throw new Error(`RSS ${res.status} ${cfg.rss}`);
+  const xml = await res.text();
+
+  const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: "@_", allowBooleanAttributes: true });
+  const parsed  = parser.parse(xml);
+  const channel = parsed.rss?.channel || parsed.feed || {};
+  const entries = channel.item || channel.entry || [];
+  const arr     = Array.isArray(entries) ? entries : [entries];
+
+  const out = [];
+  for (const e of arr) {
+    const title = safe(e.title?.['#text'] || e.title || e['media:title'] || '');
+    const link =
+      e.link?.['@_href'] ||
+      (Array.isArray(e.link) ? (e.link.find(l => l['@_href'])?.['@_href'] || e.link[0]) : e.link) ||
+      e.guid || cfg.rss;
+
+    const desc = safe(e['content:encoded']?.['#text'] || e['content:encoded'] || e.description?.['#text'] || e.description || e.summary?.['#text'] || e.summary || '');
+    const pub  = safe(e.pubDate || e.updated || e.published || '');
+    // the event's own dates (RSS event module), else the first date in its title or text
+    const when  = safe(e['ev:startdate']) || findDateText(title) || findDateText(desc.replace(/<[^>]+>/g, ' '));
+    const dates = eventDates(when, cfg, safe(e['ev:enddate']));
+
+    let img =
+      e['media:content']?.['@_url'] ||
+      (Array.isArray(e['media:content']) ? e['media:content'][0]?.['@_url'] : '') ||
+      (e.enclosure && e.enclosure['@_type'] && (''+e.enclosure['@_type']).startsWith('image/') ? e.enclosure['@_url'] : (e.enclosure?.['@_url'] || '')) ||
+      (() => {
+        const html = (e['content:encoded']?.['#text'] || e['content:encoded'] || desc || '') + '';
+        const m = html.match(/<img[^>]+src=["']([^"']+)["']/i);
+        return m ? m[1] : '';
+      })();
+
+    const prettyTitle = (cfg.town ? `[${cfg.town}] ` : '') + title;
+    const prettyDesc  = [cfg.venue, desc].filter(Boolean).join(' — ');
+    const imageAbs    = img ? toAbs(img, link) : '';
+
+    out.push(withRaw({
+      title: prettyTitle,
+      link: toAbs(link, cfg.rss),
+      guid: (link || cfg.rss) + '#' + norm(title),
+      ...dates,
+      // an undated post keeps when it was published, not when it was scraped
+      pubDate: dates.pubDate || (pub ? rfc822(new Date(pub)) : ''),
+      description: prettyDesc,
+      image: imageAbs,
+      town: cfg.town || '',
+      venue: cfg.venue || ''
+    }, e));
+  }
+  return out;
+}
+
+/**
+ * The "custom" mode: the site plugin's scrape() returns native records — { title,
+ * link, date (or start) and end as text, venue, description, image, price, … } —
+ * shaped here like the platform modes' items. `browser: true` hands it a loaded page.
+ */
+export async function scrapeCustom(cfg, pool) {
+  let opened;
+  try {
+    if (cfg.browser) {
+      opened = await openSitePage(pool, cfg);
+      await beforeScrape(cfg, { page: opened.page });
+    }
+    const records = await callPlugin(cfg, 'scrape', pluginContext(cfg, opened ? { page: opened.page } : {}));
+    if (!Array.isArray(records)) throw new Error(`plugin ${cfg.plugin}: scrape must return an array of events`);
+    return records.filter(e => safe(e?.title)).map(e => {
+      const link = toAbs(safe(e.link), cfg.url) || cfg.url || '';
+      const item = toItem(cfg, { ...e, title: safe(e.title), link }, eventDates(safe(e.date || e.start), cfg, safe(e.end)));
+      if (Array.isArray(e.performers)) item.performers = e.performers.map(safe).filter(Boolean);
+      return withRaw(item, e);
+    });
+  } finally {
+    if (opened) { await opened.page.close(); await pool.release(opened.ctx); }
+  }
+}
+
+export const usesBrowser = (cfg) => cfg.mode === 'dom' || cfg.mode === 'jsonld' || (cfg.mode === 'custom' && !!cfg.browser);
+
+async function scrapeMode(cfg, pool) {
+  // browser modes run the hook once their page has loaded
+  if (!usesBrowser(cfg)) await beforeScrape(cfg);
+  if (cfg.mode === 'dom') return scrapeDOM(pool, cfg);
+  if (cfg.mode === 'jsonld') {
+    const ctx = await pool.acquire(contextOptions(cfg), cfg.key);
+    try { return await scrapeJSONLD(await ctx.newPage(), cfg); }
+    finally { await pool.release(ctx); }
+  }
+  if (cfg.mode === 'json') return scrapeJSON(cfg);
+  if (cfg.mode === 'ics') return scrapeICS(cfg);
+  if (cfg.mode === 'rss') return scrapeRSS(cfg);
+  if (cfg.mode === 'tribe') return scrapeTribe(cfg);
+  if (cfg.mode === 'mec') return scrapeICS({ ...cfg, ics: mecFeedUrl(cfg) });
+  if (cfg.mode === 'eventbrite') return scrapeEventbrite(cfg);
+  if (cfg.mode === 'custom') return scrapeCustom(cfg, pool);
+  return [];
+}
+
+// Runs one site through its mode and plugin hooks, its detail pages, cleanup, the venue
+// registry, its rules, then its images. `pool` is only needed by the browser modes.
+export function scrapeSite(cfg, pool) {
+  return guardPlugin(cfg, async () => {
+    cfg._plugin = await loadPlugin(cfg);
+    cfg._detailRun = { fetched: 0 };
+    const items = await applyHooks(await scrapeMode(cfg, pool), cfg);
+    const cleaned = cleanItems(await enrichItems(items, cfg), cfg);
+    // rules first, so no image is fetched for an item they leave out
+    return processImages(applyRules(resolveVenues(cleaned, cfg._venues), cfg._rules), cfg);
+  });
+}
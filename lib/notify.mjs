@@ -0,0 +1,205 @@
+// notify.mjs — tells the outside world about new events: outbound webhooks
+// (generic JSON, Slack or Discord payloads) and a WebSub ping for the feeds.
+// A build queues what's new; `node scraper.mjs notify` delivers the queue once
+// the feeds it points at have been pushed.
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_TZ, formatWhen, now } from './dates.mjs';
+import { fetchWithRetry, USER_AGENT } from './http.mjs';
+import { CHANNEL } from './outputs.mjs';
+import { eventPage, titleOf } from './pages.mjs';
+import { SITE_URL, norm, safe, sleep } from './util.mjs';
+
+// config.json `webhooks[]` entries override these.
+export const WEBHOOK_DEFAULTS = { format: 'json', batch: 10, retries: 3 };
+// Discord takes at most ten embeds per message.
+const MAX_BATCH = { discord: 10, slack: 20 };
+// Events kept waiting in the queue; older ones give way, and one still undelivered after a week is let go.
+const QUEUE_MAX = 200;
+const QUEUE_MAX_AGE_MS = 7 * 86400000;
+const BATCH_PAUSE_MS = 1000;
+
+// ---------- what's new ----------
+/**
+ * Events in `events` whose guid wasn't among `previous`. Nothing is new when
+ * there was no previous set, so a first run doesn't announce everything.
+ */
+export function newEvents(previous, events) {
+  if (!previous.length) return [];
+  const seen = new Set(previous.map(ev => ev.guid));
+  return events.filter(ev => !seen.has(ev.guid));
+}
+
+export function loadQueue(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return { events: [], changed: false }; }
+}
+
+/** Writes the queue, less what has waited too long. */
+export function saveQueue(file, queue) {
+  const out = { ...queue, events: queue.events.filter(ev => !ev.queued || now() - new Date(ev.queued) < QUEUE_MAX_AGE_MS) };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(out) + '\n', 'utf8');
+  return out;
+}
+
+/** Adds this run's new events to the queue; `changed` asks for a hub ping even without any. */
+export function queueEvents(file, events, { changed = events.length > 0 } = {}) {
+  const queue = loadQueue(file);
+  const queued = new Set(queue.events.map(ev => ev.guid));
+  const added = events.filter(ev => !queued.has(ev.guid)).map(ev => ({ ...ev, queued: now().toISOString() }));
+  return saveQueue(file, { events: [...queue.events, ...added].slice(-QUEUE_MAX), changed: queue.changed || changed });
+}
+
+// ---------- payloads ----------
+const urlOf = (i) => SITE_URL + eventPage(i);
+const whenOf = (i) => (i.start ? formatWhen(new Date(i.start), { tz: DEFAULT_TZ, allDay: i.allDay }) : 'Date to be announced');
+const placeOf = (i) => [i.venue, i.town].filter(Boolean).join(', ');
+const cut = (s, max) => (safe(s).length > max ? safe(s).slice(0, max - 1).trimEnd() + '…' : safe(s));
+const plural = (n) => `${n} new event${n === 1 ? '' : 's'}`;
+const slackText = (s) => safe(s).replace(/[&<>]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' }[c]));
+
+const FORMATS = {
+  json: (items, channel) => ({
+    feed: channel.feedUrl,
+    title: channel.title,
+    events: items.map(i => ({
+      guid: i.guid,
+      title: titleOf(i),
+      url: urlOf(i),
+      link: i.link || null,
+      start: i.start || null,
+      end: i.end || null,
+      all_day: !!i.allDay,
+      venue: i.venue || null,
+      town: i.town || null,
+      address: i.address || null,
+      price: i.price || null,
+      image: i.image || null,
+      summary: i.summary || i.description || '',
+      tags: i.tags || []
+    }))
+  }),
+
+  slack: (items, channel) => ({
+    text: `${plural(items.length)} on ${channel.title}`,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: cut(`${plural(items.length)} on ${channel.title}`, 150) } },
+      ...items.map(i => ({
+        type: 'section',
+        text: { type: 'mrkdwn', text: cut(`*<${urlOf(i)}|${slackText(titleOf(i))}>*\n${slackText([whenOf(i), placeOf(i), i.price].filter(Boolean).join(' · '))}`, 3000) },
+        ...(i.image ? { accessory: { type: 'image', image_url: i.image, alt_text: cut(titleOf(i), 2000) } } : {})
+      }))
+    ]
+  }),
+
+  discord: (items, channel) => ({
+    content: `${plural(items.length)} on ${channel.title}`,
+    allowed_mentions: { parse: [] },
+    embeds: items.map(i => ({
+      title: cut(titleOf(i), 256),
+      url: urlOf(i),
+      description: cut(i.summary || i.description, 300) || undefined,
+      timestamp: i.start ? new Date(i.start).toISOString() : undefined,
+      fields: [
+        { name: 'When', value: whenOf(i), inline: true },
+        ...(placeOf(i) ? [{ name: 'Where', value: cut(placeOf(i), 1024), inline: true }] : []),
+        ...(i.price ? [{ name: 'Price', value: cut(i.price, 1024), inline: true }] : [])
+      ],
+      ...(i.image ? { thumbnail: { url: i.image } } : {})
+    }))
+  })
+};
+
+/** The request body a destination of `format` expects for `items`. */
+export const webhookPayload = (format, items, channel = CHANNEL) => FORMATS[format](items, channel);
+
+// ---------- delivery ----------
+// A destination's `towns` / `venues` narrow what it hears about; either list matching is enough.
+const wants = (dest, i) => (!dest.towns?.length && !dest.venues?.length) ||
+  (dest.towns || []).some(t => norm(t) === norm(i.town)) ||
+  (dest.venues || []).some(v => norm(v) === norm(i.venue));
+
+const nameOf = (dest) => dest.name || dest.urlEnv || dest.format || 'webhook';
+const chunk = (list, n) => Array.from({ length: Math.ceil(list.length / n) }, (_, k) => list.slice(k * n, (k + 1) * n));
+
+/**
+ * Posts the events `dest` wants in batches, retrying 5xx and 429 (honouring
+ * Retry-After). Returns { sent, failed } counts of events and the `unsent` ones.
+ */
+export async function sendWebhook(dest, items, channel = CHANNEL, { fetch = fetchWithRetry } = {}) {
+  const d = { ...WEBHOOK_DEFAULTS, ...dest };
+  const url = d.url || process.env[d.urlEnv];
+  const mine = items.filter(i => wants(d, i));
+  const result = { sent: 0, failed: 0, unsent: [] };
+  if (!mine.length) return result;
+  if (!url) {
+    console.warn(`webhook ${nameOf(d)}: no URL (${d.urlEnv} is unset)`);
+    return { ...result, failed: mine.length, unsent: mine };
+  }
+
+  const batches = chunk(mine, Math.min(d.batch, MAX_BATCH[d.format] || Infinity));
+  for (const [n, batch] of batches.entries()) {
+    if (n) await sleep(BATCH_PAUSE_MS);
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'user-agent': USER_AGENT },
+        body: JSON.stringify(webhookPayload(d.format, batch, channel))
+      }, { retries: d.retries });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      result.sent += batch.length;
+    } catch (e) {
+      console.warn(`webhook ${nameOf(d)}: batch ${n + 1}/${batches.length} failed → ${e.message}`);
+      result.failed += batch.length;
+      result.unsent.push(...batch);
+    }
+  }
+  return result;
+}
+
+/** Tells a WebSub hub that each of `topics` (feed URLs) has new content. */
+export async function pingHub(hub, topics, { fetch = fetchWithRetry } = {}) {
+  for (const topic of topics) {
+    const res = await fetch(hub, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded', 'user-agent': USER_AGENT },
+      body: new URLSearchParams({ 'hub.mode': 'publish', 'hub.url': topic }).toString()
+    }, { retries: 2 });
+    // hubs answer 204 No Content (or 202) when they accept a publish
+    if (!res.ok) throw new Error(`WebSub hub ${hub} refused ${topic}: HTTP ${res.status}`);
+  }
+}
+
+/**
+ * Delivers a queue ({ events, changed }) to config.json `webhooks` and pings
+ * `channel.hub` for `topics`. One destination failing doesn't stop the rest.
+ * `left` is the queue still owed: each undelivered event with the destinations
+ * it failed (`retry`), which are all a later delivery sends it to.
+ */
+export async function deliver(queue, webhooks = [], { channel = CHANNEL, topics = [], fetch } = {}) {
+  const results = [];
+  const retry = new Map();
+  for (const dest of webhooks) {
+    const owed = queue.events.filter(ev => !ev.retry || ev.retry.includes(nameOf(dest)));
+    const { unsent, ...r } = await sendWebhook(dest, owed, channel, { fetch });
+    console.log(`webhook ${nameOf(dest)}: ${r.sent} sent${r.failed ? `, ${r.failed} failed` : ''}`);
+    results.push({ name: nameOf(dest), ...r });
+    for (const ev of unsent) retry.set(ev.guid, [...(retry.get(ev.guid) || []), nameOf(dest)]);
+  }
+  const wantsPing = !!channel.hub && (queue.changed || queue.events.length > 0);
+  let pinged = false;
+  if (wantsPing) {
+    try {
+      await pingHub(channel.hub, topics, { fetch });
+      pinged = true;
+      console.log(`WebSub: pinged ${channel.hub} for ${topics.length} feed(s)`);
+    } catch (e) {
+      console.warn(e.message);
+    }
+  }
+  const left = {
+    events: queue.events.filter(ev => retry.has(ev.guid)).map(ev => ({ ...ev, retry: retry.get(ev.guid) })),
+    changed: wantsPing && !pinged
+  };
+  return { webhooks: results, pinged, left };
+}
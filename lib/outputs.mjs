@@ -0,0 +1,374 @@
+// outputs.mjs — feed builders and everything written to docs/.
+import { XMLBuilder } from 'fast-xml-parser';
+import { createEvent, createEvents } from 'ics';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { HEADLINES, describeChange } from './changes.mjs';
+import { now } from './dates.mjs';
+import { validateAtom, validateRSS } from './feedcheck.mjs';
+import { OUT_DIR, SITE_URL, esc, httpUrl, rfc822, safe, slugify } from './util.mjs';
+
+export const CHANNEL = {
+  title: 'North ATL Events (JS-capable Feed)',
+  link: SITE_URL,
+  description: 'Combined events rendered with Playwright',
+  language: 'en-us'
+};
+
+const GENERATOR = 'north-atl-events';
+const NS = {
+  atom: 'http://www.w3.org/2005/Atom',
+  media: 'http://search.yahoo.com/mrss/',
+  geo: 'http://www.w3.org/2003/01/geo/wgs84_pos#',
+  ev: 'http://purl.org/rss/1.0/modules/event/'
+};
+const xmlns = (...prefixes) => Object.fromEntries(prefixes.map(p => [`@_xmlns:${p}`, NS[p]]));
+
+const xmlBuilder = new XMLBuilder({ ignoreAttributes: false, suppressEmptyNode: true, cdataPropName: '__cdata' });
+
+// XML 1.0 has no escape for most control characters, so they go.
+const xmlText = (s) => safe(s).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '');
+// A "]]>" inside the text would end the section early, so it's split across two.
+const cdata = (s) => ({ __cdata: xmlText(s).replaceAll(']]>', ']]]]><![CDATA[>') });
+
+const IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif', svg: 'image/svg+xml' };
+// Stored copies (images.mjs) know their type and size; a hot-linked image is guessed from its extension.
+const imageType = (i) => i.imageInfo?.type || IMAGE_TYPES[(i.image.match(/\.(\w+)(?:[?#]|$)/)?.[1] || '').toLowerCase()] || 'image/jpeg';
+const imageLength = (i) => String(i.imageInfo?.length || 0);
+
+const iso = (v) => { const d = v ? new Date(v) : null; return d && !isNaN(d) ? d.toISOString() : ''; };
+const locationOf = (i) => i.location || [i.venue, i.address || i.town].filter(Boolean).join(', ');
+const categoriesOf = (i) => [i.town, i.venue, ...(i.tags || [])].filter(Boolean).map(xmlText);
+
+/** The sanitized `html` when the source had some, else the text's paragraphs. */
+export const bodyHtml = (i) =>
+  i.html || safe(i.description).split('\n\n').filter(Boolean).map(p => `<p>${esc(p).replace(/\n/g, '<br/>')}</p>`).join('');
+
+// The body with the image on top, unless the html already shows it.
+const itemHtml = (i) =>
+  (i.image && !i.html?.includes(`src="${esc(i.image)}"`) ? `<p><img src="${esc(i.image)}" alt=""/></p>` : '') + bodyHtml(i);
+
+// An all-day end is exclusive (the midnight after); ev:enddate names the last day it runs.
+const lastDay = (i) => {
+  const start = i.start.slice(0, 10), end = i.end.slice(0, 10);
+  return end > start ? new Date(Date.parse(`${end}T00:00:00Z`) - 86400000).toISOString().slice(0, 10) : start;
+};
+
+// RSS 1.0 event module elements (W3CDTF dates; all-day events by date alone) and WGS84 coordinates.
+function eventFields(i) {
+  const out = {};
+  if (i.start) out['ev:startdate'] = i.allDay ? i.start.slice(0, 10) : i.start;
+  if (i.start && i.end) out['ev:enddate'] = i.allDay ? lastDay(i) : i.end;
+  if (locationOf(i)) out['ev:location'] = xmlText(locationOf(i));
+  if (i.organizer) out['ev:organizer'] = xmlText(i.organizer);
+  if (i.lat != null) Object.assign(out, { 'geo:lat': i.lat, 'geo:long': i.lng });
+  return out;
+}
+
+export function buildRSS(items, channel = CHANNEL) {
+  return xmlBuilder.build({
+    rss: {
+      '@_version': '2.0',
+      ...xmlns('atom', 'media', 'geo', 'ev'),
+      channel: {
+        title: xmlText(channel.title),
+        link: channel.link,
+        description: xmlText(channel.description),
+        language: channel.language || undefined,
+        lastBuildDate: now().toUTCString(),
+        generator: GENERATOR,
+        // the self link, and the WebSub hub that announces changes to it
+        'atom:link': [
+          ...(channel.feedUrl ? [{ '@_href': channel.feedUrl, '@_rel': 'self', '@_type': 'application/rss+xml' }] : []),
+          ...(channel.hub ? [{ '@_href': channel.hub, '@_rel': 'hub' }] : [])
+        ],
+        item: items.map(i => {
+          const cats = categoriesOf(i);
+          const node = {
+            title: xmlText(i.title),
+            link: i.link || undefined,
+            guid: { '#text': xmlText(i.guid), '@_isPermaLink': 'false' },
+            // a source's own pubDate, else when we first saw the event, always as RFC 822
+            pubDate: rfc822(new Date(i.pubDate || i.firstSeen || NaN)) || undefined,
+            description: cdata(itemHtml(i)),
+            category: cats.length ? cats : undefined,
+            ...eventFields(i)
+          };
+          if (i.image) {
+            node['media:content'] = {
+              '@_url': i.image, '@_medium': 'image', '@_type': imageType(i),
+              ...(i.imageInfo ? { '@_fileSize': imageLength(i), '@_width': i.imageInfo.width, '@_height': i.imageInfo.height } : {})
+            };
+            // RSS requires a length; 0 is the agreed value when it isn't known.
+            node.enclosure = { '@_url': i.image, '@_length': imageLength(i), '@_type': imageType(i) };
+          }
+          return node;
+        })
+      }
+    }
+  });
+}
+
+// Atom ids must be IRIs and guids aren't, so each entry gets a name-based UUID of its guid.
+const entryId = (guid) => {
+  const h = crypto.createHash('sha1').update(guid).digest('hex');
+  const variant = ((parseInt(h[16], 16) & 0x3) | 0x8).toString(16);
+  return `urn:uuid:${h.slice(0, 8)}-${h.slice(8, 12)}-5${h.slice(13, 16)}-${variant}${h.slice(17, 20)}-${h.slice(20, 32)}`;
+};
+
+export function buildAtom(items, channel = CHANNEL) {
+  const updated = now().toISOString();
+  const link = (rel, href, type, extra = {}) => ({ '@_rel': rel, '@_href': href, '@_type': type, ...extra });
+  return xmlBuilder.build({
+    feed: {
+      '@_xmlns': NS.atom,
+      ...xmlns('geo', 'ev'),
+      ...(channel.language ? { '@_xml:lang': channel.language } : {}),
+      id: channel.feedUrl || channel.link,
+      title: xmlText(channel.title),
+      subtitle: xmlText(channel.description) || undefined,
+      updated,
+      link: [
+        link('alternate', channel.link, 'text/html'),
+        ...(channel.feedUrl ? [link('self', channel.feedUrl, 'application/atom+xml')] : []),
+        ...(channel.hub ? [{ '@_rel': 'hub', '@_href': channel.hub }] : [])
+      ],
+      author: { name: xmlText(channel.author || channel.title) },
+      generator: GENERATOR,
+      entry: items.map(i => ({
+        id: entryId(i.guid),
+        title: xmlText(i.title),
+        updated: iso(i.changes?.at(-1)?.at) || iso(i.firstSeen) || iso(i.pubDate) || updated,
+        published: iso(i.firstSeen || i.pubDate) || undefined,
+        link: [
+          ...(i.link ? [link('alternate', i.link, 'text/html')] : []),
+          ...(i.image ? [link('enclosure', i.image, imageType(i), { '@_length': imageLength(i) })] : [])
+        ],
+        summary: i.summary ? xmlText(i.summary) : undefined,
+        content: { '@_type': 'html', ...cdata(itemHtml(i)) },
+        category: categoriesOf(i).map(term => ({ '@_term': term })),
+        ...eventFields(i)
+      }))
+    }
+  });
+}
+
+// Date parts for the ics package: UTC arrays for timed events, local dates for all-day ones.
+const icsDate = (iso, allDay) => {
+  if (allDay) return iso.slice(0, 10).split('-').map(Number);
+  const d = new Date(iso);
+  return [d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), d.getUTCHours(), d.getUTCMinutes()];
+};
+const stableUid = (guid) => crypto.createHash('sha1').update(guid).digest('hex') + '@north-atl-events';
+
+export function buildICS(items, channel = CHANNEL) {
+  const events = [];
+  for (const i of items) {
+    if (!i.start) continue;
+    const ev = {
+      uid: stableUid(i.guid),
+      title: i.title,
+      description: i.description || undefined,
+      location: locationOf(i) || undefined,
+      url: i.link || undefined,
+      start: icsDate(i.start, i.allDay),
+      startInputType: 'utc', startOutputType: 'utc',
+      categories: [i.town, i.venue, ...(i.tags || [])].filter(Boolean),
+      status: i.status === 'cancelled' ? 'CANCELLED' : i.status === 'postponed' ? 'TENTATIVE' : 'CONFIRMED'
+    };
+    if (i.lat != null) ev.geo = { lat: i.lat, lon: i.lng };
+    if (i.end) Object.assign(ev, { end: icsDate(i.end, i.allDay), endInputType: 'utc', endOutputType: 'utc' });
+    else if (i.allDay) {
+      const [y, m, d] = ev.start;
+      const next = new Date(Date.UTC(y, m - 1, d + 1));
+      ev.end = [next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate()];
+    }
+    const { error } = createEvent(ev);
+    if (error) { console.warn(`ICS: skipping "${i.title}" → ${error.message}`); continue; }
+    events.push(ev);
+  }
+  const { error, value } = createEvents(events, { productId: 'north-atl-events', calName: channel.title });
+  if (error) throw error;
+  return value;
+}
+
+export function buildJSONFeed(items, channel = CHANNEL) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: channel.title,
+    home_page_url: channel.link,
+    description: channel.description,
+    items: items.map(i => ({
+      id: i.guid,
+      url: i.link,
+      title: i.title,
+      content_text: i.description || '',
+      content_html: i.html || undefined,
+      summary: i.summary || undefined,
+      image: i.image || undefined,
+      date_published: i.start || (i.pubDate ? new Date(i.pubDate).toISOString() : undefined),
+      tags: [i.town, i.venue, ...(i.tags || [])].filter(Boolean),
+      _event: {
+        start: i.start || null,
+        end: i.end || null,
+        all_day: !!i.allDay,
+        venue: i.venue || null,
+        town: i.town || null,
+        sources: i.sources || [],
+        first_seen: i.firstSeen || null,
+        status: i.status || 'scheduled',
+        price: i.price || null,
+        ticket_url: i.ticketUrl || null,
+        performers: i.performers || [],
+        organizer: i.organizer || null,
+        address: i.address || null,
+        geo: i.lat != null ? { lat: i.lat, lng: i.lng } : null,
+        venue_url: i.venueUrl || null,
+        changes: i.changes || []
+      }
+    }))
+  };
+  if (channel.feedUrl) feed.feed_url = channel.feedUrl;
+  return JSON.stringify(feed, null, 2);
+}
+
+// Events at a known venue as GeoJSON points, for map views.
+export function buildGeoJSON(items) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: items.filter(i => i.lat != null).map(i => ({
+      type: 'Feature',
+      id: i.guid,
+      geometry: { type: 'Point', coordinates: [i.lng, i.lat] },
+      properties: {
+        title: i.title,
+        url: i.link,
+        start: i.start || null,
+        end: i.end || null,
+        all_day: !!i.allDay,
+        venue: i.venue || null,
+        address: i.address || null,
+        town: i.town || null,
+        status: i.status || 'scheduled',
+        tags: i.tags || [],
+        image: i.image || null
+      }
+    }))
+  }, null, 2);
+}
+
+// Changes to known events (store.updates), newest first, as an RSS feed of their own.
+export function buildUpdatesRSS(updates, channel = CHANNEL) {
+  return buildRSS([...updates].reverse().map(c => ({
+    title: `${HEADLINES[c.type] || c.type}: ${c.title}`,
+    link: c.link,
+    guid: `${c.id}#${c.type}#${c.at}`,
+    pubDate: rfc822(new Date(c.at)),
+    description: describeChange(c)
+  })), channel);
+}
+
+// ---------- output stage ----------
+// Everything written to docs/ on each run. Flip `enabled` to drop a format;
+// `splits` lists which per-town / per-venue / per-tag copies get written under docs/<split>/,
+// and `validate` checks each file before it's written.
+export const OUTPUTS = [
+  { file: 'feed.xml',       label: 'RSS',           build: buildRSS,      enabled: true, splits: ['town', 'venue', 'tag'], validate: validateRSS },
+  { file: 'feed.atom',      label: 'Atom',          build: buildAtom,     enabled: true, splits: ['town', 'venue', 'tag'], validate: validateAtom },
+  { file: 'events.ics',     label: 'Calendar',      build: buildICS,      enabled: true, splits: ['town', 'tag'] },
+  { file: 'feed.json',      label: 'JSON',          build: buildJSONFeed, enabled: true, splits: ['town'] },
+  { file: 'events.geojson', label: 'Map (GeoJSON)', build: buildGeoJSON,  enabled: true, splits: [] }
+];
+// split → the item field it groups by; an item with several tags lands in each tag's feed
+const SPLITS = { town: 'town', venue: 'venue', tag: 'tags' };
+
+function groupBy(items, field) {
+  const groups = new Map();
+  for (const it of items) {
+    for (const name of [it[field]].flat().map(safe)) {
+      const slug = slugify(name);
+      if (!slug) continue;
+      if (!groups.has(slug)) groups.set(slug, { slug, name, items: [] });
+      groups.get(slug).items.push(it);
+    }
+  }
+  return [...groups.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Writes `text` to `rel` under `dir` unless `validate` finds problems with it;
+ * then the previous copy stays and the problems are returned (empty when written).
+ */
+export function writeChecked(dir, rel, text, validate) {
+  const problems = validate ? validate(text, rel) : [];
+  if (problems.length) {
+    console.error(`${rel} is not valid, keeping the previous copy:\n  ${problems.join('\n  ')}`);
+    return problems;
+  }
+  fs.writeFileSync(path.join(dir, rel), text, 'utf8');
+  return problems;
+}
+
+// A `javascript:` or relative link would fail the feed's check and freeze it, so such links go.
+const withFeedLinks = (i) => {
+  const out = { ...i };
+  for (const f of ['link', 'ticketUrl', 'image']) if (out[f] && !httpUrl(out[f])) out[f] = '';
+  if (!out.image) delete out.imageInfo;
+  return out;
+};
+
+// Writes the combined feeds plus per-town/venue splits; returns a manifest for the index page,
+// with `invalid` ([{ file, problems }]) listing any feed that failed its check and wasn't replaced.
+export function writeOutputs(all, channel = CHANNEL, dir = OUT_DIR) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const items = all.map(withFeedLinks);
+  const enabled = OUTPUTS.filter(o => o.enabled);
+  const manifest = { main: [], splits: {}, invalid: [] };
+  // true when there's a file at `rel` to list: this run's, or the last good one
+  const write = (rel, text, validate) => {
+    const problems = writeChecked(dir, rel, text, validate);
+    if (!problems.length) return true;
+    manifest.invalid.push({ file: rel, problems });
+    return fs.existsSync(path.join(dir, rel));
+  };
+
+  for (const out of enabled) {
+    if (!write(out.file, out.build(items, { ...channel, feedUrl: SITE_URL + out.file }), out.validate)) continue;
+    manifest.main.push({ label: out.label, href: out.file });
+    console.log(`Wrote ${items.length} items → ${path.join(dir, out.file)}`);
+  }
+
+  for (const [split, field] of Object.entries(SPLITS)) {
+    const splitDir = path.join(dir, split);
+    const outs = enabled.filter(o => o.splits?.includes(split));
+    if (!outs.length) {
+      fs.rmSync(splitDir, { recursive: true, force: true });
+      continue;
+    }
+    fs.mkdirSync(splitDir, { recursive: true });
+
+    const listed = new Set();
+    manifest.splits[split] = groupBy(items, field).map(g => {
+      const feeds = [];
+      for (const out of outs) {
+        const rel = `${split}/${g.slug}${path.extname(out.file)}`;
+        const ok = write(rel, out.build(g.items, {
+          ...channel,
+          title: `${channel.title} — ${g.name}`,
+          link: `${SITE_URL}#${split}-${g.slug}`,
+          description: `${channel.description} (${split}: ${g.name})`,
+          feedUrl: SITE_URL + rel
+        }), out.validate);
+        if (!ok) continue;
+        listed.add(path.basename(rel));
+        feeds.push({ label: out.label, href: rel });
+      }
+      return { slug: g.slug, name: g.name, count: g.items.length, feeds };
+    }).filter(g => g.feeds.length);
+    // splits no event falls under any more go
+    for (const f of fs.readdirSync(splitDir)) if (!listed.has(f)) fs.rmSync(path.join(splitDir, f), { force: true });
+    console.log(`Wrote ${manifest.splits[split].length} ${split} feed(s) → ${splitDir}`);
+  }
+  return manifest;
+}
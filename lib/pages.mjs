@@ -0,0 +1,480 @@
+// pages.mjs — the browsable site under docs/: upcoming events by day, month and
+// week calendars, and a page per event with add-to-calendar links and
+// schema.org Event JSON-LD. Every page is plain HTML that works without
+// scripts; site.js adds search and the town / venue / date filters on top.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { dayKey, formatDay, formatTime, now } from './dates.mjs';
+import { HEADLINES, describeChange } from './changes.mjs';
+import { CHANNEL, bodyHtml, buildICS } from './outputs.mjs';
+import { OUT_DIR, SITE_URL, esc, httpUrl, safe } from './util.mjs';
+
+// How far ahead the calendars go (they also stop at the last dated event).
+export const PAGES = { months: 12, weeks: 26 };
+
+const DAY_MS = 86400000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const STATUS_LABELS = { cancelled: 'Cancelled', postponed: 'Postponed', 'sold-out': 'Sold out', removed: 'No longer listed' };
+
+// ---------- days ----------
+// Days are YYYY-MM-DD strings; the arithmetic runs in UTC so DST never shifts them.
+const utcDay = (day) => new Date(`${day}T00:00:00Z`);
+const addDays = (day, n) => new Date(utcDay(day).getTime() + n * DAY_MS).toISOString().slice(0, 10);
+const weekOf = (day) => addDays(day, -utcDay(day).getUTCDay());
+const monthOf = (day) => day.slice(0, 7);
+const nextMonth = (month) => { const [y, m] = month.split('-').map(Number); return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`; };
+const prevMonth = (month) => { const [y, m] = month.split('-').map(Number); return m === 1 ? `${y - 1}-12` : `${y}-${String(m - 1).padStart(2, '0')}`; };
+
+const dayLabel = (day) => formatDay(day);
+const monthLabel = (month) => formatDay(`${month}-01`, { month: 'long', year: 'numeric' });
+const timeLabel = (iso) => formatTime(new Date(iso));
+
+// An event's start carries its local offset, so its first ten characters are its day.
+const dayOf = (i) => (i.start || '').slice(0, 10);
+const whenOf = (i) => (i.allDay ? 'All day' : timeLabel(i.start));
+
+// ---------- events ----------
+// Store ids are stable across reschedules and title changes, so they name the pages.
+const idOf = (i) => i.id || crypto.createHash('sha1').update(safe(i.guid)).digest('hex').slice(0, 16);
+export const eventPage = (i) => `event/${idOf(i)}.html`;
+
+// "[Roswell] Jazz Night" → "Jazz Night"; the town is shown alongside.
+export const titleOf = (i) => (i.town ? safe(i.title).replace(`[${i.town}] `, '') : safe(i.title));
+const placeOf = (i) => [i.venue, i.town].filter(Boolean).join(', ');
+const searchText = (i) => [titleOf(i), i.venue, i.town, i.organizer, ...(i.tags || []), ...(i.performers || [])]
+  .filter(Boolean).join(' ').toLowerCase();
+
+const badge = (i) => (STATUS_LABELS[i.status] ? ` <span class="badge ${esc(i.status)}">${STATUS_LABELS[i.status]}</span>` : '');
+
+// One event in a list; the data attributes are what site.js filters on.
+const eventRow = (i, root) => `<li class="event${STATUS_LABELS[i.status] ? ` ${esc(i.status)}` : ''}" ` +
+  `data-town="${esc(i.town)}" data-venue="${esc(i.venue)}" data-day="${esc(dayOf(i))}" data-search="${esc(searchText(i))}">` +
+  (i.start ? `<time datetime="${esc(i.start)}">${esc(whenOf(i))}</time> ` : '') +
+  `<a href="${root}${eventPage(i)}">${esc(titleOf(i))}</a>${badge(i)}` +
+  (placeOf(i) ? ` <span class="where">${esc(placeOf(i))}</span>` : '') + '</li>';
+
+// ---------- layout ----------
+// the header's Month and Week links open on the current ones
+const navFor = (today) => ({ month: monthOf(today), week: weekOf(today) });
+
+function layout({ title, body, root = '', channel = CHANNEL, head = '', nav = {} }) {
+  return `<!doctype html>
+<html lang="${esc((channel.language || 'en').split('-')[0])}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)}</title>
+<link rel="stylesheet" href="${root}site.css">
+<link rel="alternate" type="application/rss+xml" title="${esc(channel.title)}" href="${root}feed.xml">
+<link rel="alternate" type="application/atom+xml" title="${esc(channel.title)}" href="${root}feed.atom">
+${head}</head>
+<body>
+<header>
+<a class="home" href="${root}index.html">${esc(channel.title)}</a>
+<nav><a href="${root}index.html">Upcoming</a> <a href="${root}calendar/${nav.month}.html">Month</a> <a href="${root}week/${nav.week}.html">Week</a> <a href="${root}index.html#feeds">Subscribe</a></nav>
+</header>
+<main>
+${body}
+</main>
+<footer>Updated ${esc(now().toUTCString())} · <a href="${root}status.html">Source status</a></footer>
+<script src="${root}site.js" defer></script>
+</body>
+</html>
+`;
+}
+
+// Town and venue choices come from the events being shown.
+function filterForm(items) {
+  const options = (field) => [...new Set(items.map(i => safe(i[field])).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b))
+    .map(v => `<option>${esc(v)}</option>`).join('');
+  return `<form class="filters" role="search">
+<input type="search" name="q" placeholder="Search events" aria-label="Search events">
+<select name="town" aria-label="Town"><option value="">All towns</option>${options('town')}</select>
+<select name="venue" aria-label="Venue"><option value="">All venues</option>${options('venue')}</select>
+<label>From <input type="date" name="from"></label>
+<label>To <input type="date" name="to"></label>
+<output class="count" aria-live="polite"></output>
+</form>`;
+}
+
+// ---------- upcoming ----------
+/** docs/index.html: upcoming events grouped by day, then the feeds to subscribe to. */
+export function buildListHTML(items, manifest = { main: [], splits: {} }, { channel = CHANNEL, nav } = {}) {
+  const today = dayKey(now());
+  const days = new Map();
+  // events that started before today and haven't ended are listed under today
+  for (const i of items.filter(i => i.start)) {
+    const day = dayOf(i) < today ? today : dayOf(i);
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(i);
+  }
+  const undated = items.filter(i => !i.start);
+  const section = (id, heading, list) => `<section class="day" id="${id}">
+<h2>${heading}</h2>
+<ul class="events">
+${list.map(i => eventRow(i, '')).join('\n')}
+</ul>
+</section>`;
+
+  const links = (feeds) => feeds.map(f => `<a href="${esc(f.href)}">${esc(f.label)}</a>`).join(' · ');
+  const splits = Object.entries(manifest.splits).map(([split, groups]) => `<h3>By ${esc(split)}</h3>
+<ul>
+${groups.map(g => `<li id="${esc(split)}-${esc(g.slug)}">${esc(g.name)} (${g.count}) — ${links(g.feeds)}</li>`).join('\n')}
+</ul>`).join('\n');
+
+  const body = `<h1>Upcoming events</h1>
+<p>${esc(channel.description)}</p>
+${filterForm(items)}
+${[...days.keys()].sort().map(day => section(`day-${day}`, `<time datetime="${day}">${esc(dayLabel(day))}</time>`, days.get(day))).join('\n')}
+${undated.length ? section('undated', 'Date to be announced', undated) : ''}
+<p class="empty" hidden>No events match.</p>
+<section id="feeds">
+<h2>Subscribe</h2>
+<p>All events: ${links(manifest.main)}</p>
+${splits}
+</section>`;
+  return layout({ title: channel.title, body, channel, nav: nav || navFor(today) });
+}
+
+// ---------- calendars ----------
+// Dated events by day.
+const byDay = (items) => {
+  const days = new Map();
+  for (const i of items.filter(i => i.start)) {
+    if (!days.has(dayOf(i))) days.set(dayOf(i), []);
+    days.get(dayOf(i)).push(i);
+  }
+  return days;
+};
+
+// prev / next are { href, label }, or null at either end of what was written
+const pager = (prev, next, heading) => `<nav class="pager">${prev ? `<a rel="prev" href="${prev.href}">← ${esc(prev.label)}</a>` : '<span></span>'}
+<h1>${esc(heading)}</h1>
+${next ? `<a rel="next" href="${next.href}">${esc(next.label)} →</a>` : '<span></span>'}</nav>`;
+
+/** docs/calendar/YYYY-MM.html: a Sunday-first month grid; `weeks` are the week pages to link days to. */
+export function buildMonthHTML(month, items, { channel = CHANNEL, prev, next, nav, weeks = new Set() } = {}) {
+  const days = byDay(items);
+  const lastDay = addDays(`${nextMonth(month)}-01`, -1);
+  const rows = [];
+  for (let week = weekOf(`${month}-01`); week <= lastDay; week = addDays(week, 7)) {
+    const cells = WEEKDAYS.map((_, n) => {
+      const day = addDays(week, n);
+      if (monthOf(day) !== month) return '<td class="out"></td>';
+      const list = days.get(day) || [];
+      // the day number opens its week, when that week has a page
+      const date = weeks.has(weekOf(day)) ? `<a class="date" href="../week/${weekOf(day)}.html#day-${day}">${+day.slice(8)}</a>` : `<span class="date">${+day.slice(8)}</span>`;
+      return `<td${day === dayKey(now()) ? ' class="today"' : ''}>${date}` +
+        (list.length ? `\n<ul class="events">${list.map(i => eventRow(i, '../')).join('')}</ul>` : '') + '</td>';
+    });
+    rows.push(`<tr>${cells.join('\n')}</tr>`);
+  }
+  const body = `${pager(prev, next, monthLabel(month))}
+${filterForm(items.filter(i => monthOf(dayOf(i)) === month))}
+<table class="month">
+<thead><tr>${WEEKDAYS.map(d => `<th>${d}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+<p class="empty" hidden>No events match.</p>`;
+  return layout({ title: `${monthLabel(month)} — ${channel.title}`, body, root: '../', channel, nav: nav || navFor(dayKey(now())) });
+}
+
+/** docs/week/YYYY-MM-DD.html: the seven days from that Sunday. */
+export function buildWeekHTML(week, items, { channel = CHANNEL, prev, next, nav } = {}) {
+  const days = byDay(items);
+  const label = `Week of ${formatDay(week, { month: 'long', day: 'numeric', year: 'numeric' })}`;
+  const shown = [];
+  const sections = WEEKDAYS.map((_, n) => {
+    const day = addDays(week, n);
+    const list = days.get(day) || [];
+    shown.push(...list);
+    return `<section class="day" id="day-${day}">
+<h2><time datetime="${day}">${esc(dayLabel(day))}</time></h2>
+${list.length ? `<ul class="events">\n${list.map(i => eventRow(i, '../')).join('\n')}\n</ul>` : '<p class="none">Nothing listed.</p>'}
+</section>`;
+  });
+  const body = `${pager(prev, next, label)}
+${filterForm(shown)}
+<div class="week">
+${sections.join('\n')}
+</div>
+<p class="empty" hidden>No events match.</p>`;
+  return layout({ title: `${label} — ${channel.title}`, body, root: '../', channel, nav: nav || navFor(dayKey(now())) });
+}
+
+// ---------- event pages ----------
+const utcStamp = (iso) => new Date(iso).toISOString().replace(/[-:]|\.\d{3}/g, '');
+const compactDay = (iso) => iso.slice(0, 10).replace(/-/g, '');
+// all-day ends are already exclusive (the day after the last one), as calendar apps expect
+const allDayEnd = (i) => {
+  const day = (i.end || '').slice(0, 10);
+  return day > dayOf(i) ? day : addDays(dayOf(i), 1);
+};
+// the last day an all-day event actually runs, for people and schema.org
+const lastDay = (i) => addDays(allDayEnd(i), -1);
+
+/** Google Calendar and Outlook.com "add event" links; the .ics covers everything else. */
+export function calendarLinks(i) {
+  if (!i.start) return {};
+  const details = [safe(i.summary || i.description).slice(0, 1000), i.link].filter(Boolean).join('\n\n');
+  const location = [i.venue, i.address || i.town].filter(Boolean).join(', ');
+  const google = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: titleOf(i),
+    dates: i.allDay
+      ? `${compactDay(i.start)}/${compactDay(allDayEnd(i))}`
+      : `${utcStamp(i.start)}/${utcStamp(i.end || i.start)}`,
+    details,
+    location
+  });
+  const outlook = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: titleOf(i),
+    startdt: i.allDay ? i.start.slice(0, 10) : new Date(i.start).toISOString(),
+    enddt: i.allDay ? allDayEnd(i) : new Date(i.end || i.start).toISOString(),
+    ...(i.allDay ? { allday: 'true' } : {}),
+    body: details,
+    location
+  });
+  return {
+    google: `https://calendar.google.com/calendar/render?${google}`,
+    outlook: `https://outlook.live.com/calendar/0/deeplink/compose?${outlook}`
+  };
+}
+
+const EVENT_STATUS = { cancelled: 'EventCancelled', postponed: 'EventPostponed' };
+
+// "$15", "$15–$25" or "Free" (as enrich.mjs writes them) → a schema.org Offer.
+function offerOf(i) {
+  const url = httpUrl(i.ticketUrl) || httpUrl(i.link);
+  const nums = (safe(i.price).match(/\d+(?:\.\d+)?/g) || []).map(Number);
+  const free = /^free$/i.test(safe(i.price));
+  if (!url && !nums.length && !free) return undefined;
+  const offer = { '@type': nums.length > 1 ? 'AggregateOffer' : 'Offer', url: url || undefined };
+  if (free) Object.assign(offer, { price: 0, priceCurrency: 'USD' });
+  else if (nums.length > 1) Object.assign(offer, { lowPrice: Math.min(...nums), highPrice: Math.max(...nums), priceCurrency: 'USD' });
+  else if (nums.length) Object.assign(offer, { price: nums[0], priceCurrency: 'USD' });
+  if (i.status === 'sold-out') offer.availability = 'https://schema.org/SoldOut';
+  return offer;
+}
+
+/** schema.org Event for an item, as search engines read it. */
+export function eventJsonLd(i) {
+  const place = {
+    '@type': 'Place',
+    name: i.venue || i.town || undefined,
+    address: i.address || i.town
+      ? { '@type': 'PostalAddress', streetAddress: i.address || undefined, addressLocality: i.town || undefined }
+      : undefined,
+    geo: i.lat != null ? { '@type': 'GeoCoordinates', latitude: i.lat, longitude: i.lng } : undefined
+  };
+  return JSON.parse(JSON.stringify({
+    '@context': 'https://schema.org',
+    '@type': 'Event',
+    name: titleOf(i),
+    url: SITE_URL + eventPage(i),
+    sameAs: httpUrl(i.link) || undefined,
+    startDate: i.start ? (i.allDay ? i.start.slice(0, 10) : i.start) : undefined,
+    endDate: i.end ? (i.allDay ? lastDay(i) : i.end) : undefined,
+    eventStatus: `https://schema.org/${EVENT_STATUS[i.status] || 'EventScheduled'}`,
+    eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+    location: place.name || place.address ? place : undefined,
+    image: i.image ? [i.image] : undefined,
+    description: safe(i.summary || i.description) || undefined,
+    offers: offerOf(i),
+    performer: i.performers?.length ? i.performers.map(name => ({ '@type': 'PerformingGroup', name })) : undefined,
+    organizer: i.organizer ? { '@type': 'Organization', name: i.organizer } : undefined
+  }));
+}
+
+// </script> can't appear inside the block, so every < is escaped.
+const jsonLdScript = (data) => `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>\n`;
+
+// "Saturday, October 24, 8:00 PM – 11:00 PM", with the end's day only when it's another one
+function longWhen(i) {
+  if (!i.start) return 'Date to be announced';
+  const endDay = i.allDay ? lastDay(i) : (i.end || '').slice(0, 10);
+  const at = (day, iso) => (i.allDay ? dayLabel(day) : `${dayLabel(day)}, ${timeLabel(iso)}`);
+  const start = at(dayOf(i), i.start);
+  if (!i.end) return start;
+  if (endDay === dayOf(i)) return i.allDay ? start : `${start} – ${timeLabel(i.end)}`;
+  return `${start} – ${at(endDay, i.end)}`;
+}
+
+/** docs/event/<id>.html */
+export function buildEventHTML(i, { channel = CHANNEL, nav } = {}) {
+  const map = i.lat != null ? ` · <a href="https://www.openstreetmap.org/?mlat=${i.lat}&amp;mlon=${i.lng}#map=16/${i.lat}/${i.lng}">Map</a>` : '';
+  const where = [i.venue, i.address || i.town].filter(Boolean).map(esc).join(', ');
+  const facts = [
+    ['When', i.start ? `<time datetime="${esc(i.start)}">${esc(longWhen(i))}</time>` : longWhen(i)],
+    ['Where', where && where + map],
+    ['Price', esc(i.price)],
+    ['With', esc((i.performers || []).join(', '))],
+    ['Organizer', esc(i.organizer)],
+    ['Tags', (i.tags || []).map(t => `<a href="../index.html?q=${encodeURIComponent(t)}">${esc(t)}</a>`).join(', ')]
+  ].filter(([, v]) => v);
+
+  const cal = calendarLinks(i);
+  const add = i.start ? `<p class="add">Add to calendar: <a href="${esc(cal.google)}">Google</a> · <a href="${esc(cal.outlook)}">Outlook</a> · ` +
+    `<a href="${idOf(i)}.ics" download>Apple / other (.ics)</a></p>` : '';
+  // only http(s): a scraped javascript: href must not become a live link here
+  const links = [[i.ticketUrl, 'Tickets'], [i.link, 'Original listing'], [i.venueUrl, 'Venue']]
+    .filter(([url]) => httpUrl(url))
+    .map(([url, label]) => `<a href="${esc(url)}">${label}</a>`)
+    .join(' · ');
+  const changes = (i.changes || []).length
+    ? `<h2>Changes</h2>\n<ul class="changes">\n${[...i.changes].reverse().map(c =>
+      `<li><time datetime="${esc(c.at)}">${esc(c.at.slice(0, 10))}</time> ${esc(HEADLINES[c.type] || c.type)} — ${esc(describeChange(c))}</li>`).join('\n')}\n</ul>`
+    : '';
+
+  const body = `<article class="event-page">
+<h1>${esc(titleOf(i))}${badge(i)}</h1>
+${i.image ? `<img class="poster" src="${esc(i.image)}"${i.imageInfo ? ` width="${i.imageInfo.width}" height="${i.imageInfo.height}"` : ''} alt="">\n` : ''}<dl>
+${facts.map(([k, v]) => `<dt>${k}</dt><dd>${v}</dd>`).join('\n')}
+</dl>
+${add}
+<div class="description">${bodyHtml(i)}</div>
+${links ? `<p class="links">${links}</p>` : ''}
+${changes}
+</article>`;
+  const description = safe(i.summary || i.description).replace(/\s+/g, ' ').slice(0, 200);
+  const head = jsonLdScript(eventJsonLd(i)) +
+    `<link rel="canonical" href="${esc(SITE_URL + eventPage(i))}">\n` +
+    `<meta name="description" content="${esc(description)}">\n` +
+    `<meta property="og:title" content="${esc(titleOf(i))}">\n` +
+    (i.image ? `<meta property="og:image" content="${esc(i.image)}">\n` : '');
+  return layout({ title: `${titleOf(i)} — ${channel.title}`, body, root: '../', channel, head, nav: nav || navFor(dayKey(now())) });
+}
+
+// ---------- assets ----------
+export const STYLE = `:root { color-scheme: light dark; --muted: #666; --line: #ddd; --accent: #0b5cad; }
+body { font: 16px/1.45 system-ui, sans-serif; margin: 0 auto; max-width: 60rem; padding: 0 1rem; }
+header { display: flex; flex-wrap: wrap; gap: .5rem 1.5rem; align-items: baseline; padding: 1rem 0; border-bottom: 1px solid var(--line); }
+header .home { font-weight: 600; font-size: 1.1rem; text-decoration: none; }
+nav a { margin-right: .8rem; }
+a { color: var(--accent); }
+footer { color: var(--muted); font-size: .85rem; padding: 2rem 0; }
+.filters { display: flex; flex-wrap: wrap; gap: .5rem; align-items: center; margin: 1rem 0; }
+.filters input[type=search] { flex: 1 1 12rem; }
+.filters .count { color: var(--muted); font-size: .9rem; }
+.events { list-style: none; padding: 0; margin: 0; }
+.events li { padding: .3rem 0; }
+.events time { display: inline-block; min-width: 5rem; color: var(--muted); }
+.where { color: var(--muted); }
+.where::before { content: "· "; }
+.badge { font-size: .75rem; padding: .05rem .4rem; border-radius: .3rem; background: #fde2e2; color: #8a1c1c; }
+.badge.sold-out, .badge.removed { background: #fff6d6; color: #6b5200; }
+.event.cancelled a { text-decoration: line-through; }
+.pager { display: flex; justify-content: space-between; align-items: baseline; }
+.month { width: 100%; border-collapse: collapse; table-layout: fixed; }
+.month th { text-align: left; font-weight: 500; color: var(--muted); }
+.month td { vertical-align: top; border: 1px solid var(--line); height: 6rem; padding: .25rem; font-size: .85rem; overflow: hidden; }
+.month td.out { background: rgba(127, 127, 127, .08); }
+.month td.today { outline: 2px solid var(--accent); }
+.month .events time, .month .where { display: none; }
+.month .date { text-decoration: none; color: inherit; font-weight: 600; }
+.none { color: var(--muted); }
+.event-page .poster { max-width: 100%; height: auto; border-radius: .4rem; }
+.event-page dl { display: grid; grid-template-columns: max-content 1fr; gap: .3rem 1rem; }
+.event-page dt { color: var(--muted); }
+.event-page dd { margin: 0; }
+.description img { max-width: 100%; height: auto; }
+[hidden] { display: none !important; }
+@media (max-width: 40rem) { .month td { height: auto; } .month .events { display: none; } .month td:has(.events)::after { content: "•"; color: var(--accent); } }
+`;
+
+// Filters every .event on the page by the form's fields, which mirror the query string
+// so a filtered view can be bookmarked or shared.
+export const SCRIPT = `(function () {
+  var form = document.querySelector('form.filters');
+  if (!form) return;
+  var events = [].slice.call(document.querySelectorAll('.event'));
+  var days = [].slice.call(document.querySelectorAll('section.day'));
+  var empty = document.querySelector('.empty');
+  var count = form.querySelector('.count');
+  var fields = ['q', 'town', 'venue', 'from', 'to'];
+
+  var params = new URLSearchParams(location.search);
+  fields.forEach(function (f) {
+    var v = params.get(f);
+    if (v && form.elements[f]) form.elements[f].value = v;
+  });
+
+  function apply() {
+    var v = {};
+    fields.forEach(function (f) { v[f] = (form.elements[f].value || '').trim(); });
+    var words = v.q.toLowerCase().split(/\\s+/).filter(Boolean);
+    var shown = 0;
+    events.forEach(function (el) {
+      var d = el.dataset;
+      var ok = (!v.town || d.town === v.town) && (!v.venue || d.venue === v.venue) &&
+        (!v.from || (d.day && d.day >= v.from)) && (!v.to || (d.day && d.day <= v.to)) &&
+        words.every(function (w) { return d.search.indexOf(w) !== -1; });
+      el.hidden = !ok;
+      if (ok) shown++;
+    });
+    var filtering = fields.some(function (f) { return v[f]; });
+    if (document.querySelector('.week') == null) {
+      days.forEach(function (s) { s.hidden = filtering && !s.querySelector('.event:not([hidden])'); });
+    }
+    if (empty) empty.hidden = !filtering || shown > 0;
+    count.textContent = filtering ? shown + ' of ' + events.length + ' events' : events.length + ' events';
+
+    var q = new URLSearchParams();
+    fields.forEach(function (f) { if (v[f]) q.set(f, v[f]); });
+    var search = q.toString();
+    history.replaceState(null, '', location.pathname + (search ? '?' + search : '') + location.hash);
+  }
+
+  form.addEventListener('input', apply);
+  form.addEventListener('submit', function (e) { e.preventDefault(); apply(); });
+  apply();
+})();
+`;
+
+// ---------- writing ----------
+/**
+ * Writes the site for `items` (feed order) under `dir`: index.html, calendar/,
+ * week/, event/ and the shared site.css / site.js. `manifest` is what
+ * writeOutputs returned, listed on the index page for subscribing.
+ */
+export function writeSite(items, manifest, channel = CHANNEL, dir = OUT_DIR) {
+  const today = dayKey(now());
+  const nav = navFor(today);
+  for (const sub of ['calendar', 'week', 'event']) {
+    fs.rmSync(path.join(dir, sub), { recursive: true, force: true });
+    fs.mkdirSync(path.join(dir, sub), { recursive: true });
+  }
+  fs.writeFileSync(path.join(dir, 'site.css'), STYLE, 'utf8');
+  fs.writeFileSync(path.join(dir, 'site.js'), SCRIPT, 'utf8');
+  fs.writeFileSync(path.join(dir, 'index.html'), buildListHTML(items, manifest, { channel, nav }), 'utf8');
+
+  const last = items.map(dayOf).filter(Boolean).sort().at(-1) || today;
+  const weeks = [nav.week];
+  while (weeks.length < PAGES.weeks && addDays(weeks.at(-1), 6) < last) weeks.push(addDays(weeks.at(-1), 7));
+  const weekLabel = (w) => `Week of ${formatDay(w, { month: 'short', day: 'numeric' })}`;
+  weeks.forEach((week, n) => {
+    const prev = n > 0 ? { href: `${weeks[n - 1]}.html`, label: weekLabel(weeks[n - 1]) } : null;
+    const next = n < weeks.length - 1 ? { href: `${weeks[n + 1]}.html`, label: weekLabel(weeks[n + 1]) } : null;
+    fs.writeFileSync(path.join(dir, 'week', `${week}.html`), buildWeekHTML(week, items, { channel, prev, next, nav }), 'utf8');
+  });
+
+  const months = [nav.month];
+  while (months.length < PAGES.months && months.at(-1) < monthOf(last)) months.push(nextMonth(months.at(-1)));
+  months.forEach((month, n) => {
+    const prev = n > 0 ? { href: `${prevMonth(month)}.html`, label: monthLabel(prevMonth(month)) } : null;
+    const next = n < months.length - 1 ? { href: `${nextMonth(month)}.html`, label: monthLabel(nextMonth(month)) } : null;
+    fs.writeFileSync(path.join(dir, 'calendar', `${month}.html`), buildMonthHTML(month, items, { channel, prev, next, nav, weeks: new Set(weeks) }), 'utf8');
+  });
+
+  for (const i of items) {
+    fs.writeFileSync(path.join(dir, eventPage(i)), buildEventHTML(i, { channel, nav }), 'utf8');
+    if (i.start) fs.writeFileSync(path.join(dir, 'event', `${idOf(i)}.ics`), buildICS([i], { ...channel, title: titleOf(i) }), 'utf8');
+  }
+  console.log(`Wrote site → ${items.length} event page(s), ${months.length} month(s), ${weeks.length} week(s)`);
+}
@@ -0,0 +1,149 @@
+// platforms.mjs — modes for event platforms with structured exports, so their
+// sites need only a base URL and no browser: The Events Calendar's REST API
+// (`tribe`), Modern Events Calendar's iCal feed (`mec`, read by the ics mode)
+// and Eventbrite organizer pages (`eventbrite`).
+import { DEFAULT_TZ, dateFields, eventDates, formatWhen, isValidZone, now, zonedToUtc } from './dates.mjs';
+import { htmlText, jsonldEvents } from './enrich.mjs';
+import { fetchFor } from './http.mjs';
+import { withRaw } from './plugins.mjs';
+import { norm, safe, toAbs } from './util.mjs';
+
+export const EVENTBRITE_API = 'https://www.eventbriteapi.com/v3';
+const PAGE_SIZE = 50;
+const MAX_PAGES = 10;
+
+const base = (cfg) => cfg.base.replace(/\/+$/, '');
+const num = (v) => (v == null || v === '' || isNaN(+v) ? undefined : +v);
+
+async function getJSON(cfg, url, headers = {}) {
+  const res = await fetchFor(cfg, url, { 'accept': 'application/json', ...headers });
+  if (!res.ok) throw new Error(`${cfg.mode} ${res.status} ${url}`);
+  return res.json();
+}
+
+// Native fields → our item shape. The platform's own venue beats the site's, which is only a fallback here.
+export function toItem(cfg, e, dates) {
+  const when = dates.start ? formatWhen(new Date(dates.start), { tz: cfg.tz || DEFAULT_TZ, allDay: dates.allDay }) : '';
+  const venue = e.venue || cfg.venue || '';
+  const item = {
+    title: (cfg.town ? `[${cfg.town}] ` : '') + e.title,
+    link: e.link,
+    guid: (e.id || e.link) + '#' + norm(e.title) + '#' + (dates.start || ''),
+    ...dates,
+    description: [venue, when, e.description].filter(Boolean).join(' — '),
+    image: e.image ? toAbs(e.image, e.link) : '',
+    town: cfg.town || '',
+    venue
+  };
+  for (const f of ['address', 'price', 'ticketUrl', 'organizer', 'eventStatus']) if (e[f]) item[f] = e[f];
+  if (e.lat != null && e.lng != null) Object.assign(item, { lat: e.lat, lng: e.lng });
+  return item;
+}
+
+// ---------- The Events Calendar (WordPress) ----------
+// "2026-10-23 20:00:00" in UTC, or local all-day dates (a multi-day one ends the morning after).
+// The site's own zone wins, unless it's one Intl can't use (e.g. "UTC-5").
+const tribeDates = (e, cfg) => {
+  const tz = isValidZone(e.timezone) ? e.timezone : cfg.tz || DEFAULT_TZ;
+  if (e.all_day) {
+    const day = (s, plus = 0) => { const [y, m, d] = s.slice(0, 10).split('-').map(Number); return zonedToUtc({ y, m, d: d + plus }, tz); };
+    const multi = e.end_date && e.end_date.slice(0, 10) !== e.start_date.slice(0, 10);
+    return dateFields(day(e.start_date), multi ? day(e.end_date, 1) : null, true, { tz });
+  }
+  const utc = (s) => (s ? new Date(s.replace(' ', 'T') + 'Z') : null);
+  return dateFields(utc(e.utc_start_date), utc(e.utc_end_date), false, { tz });
+};
+
+/** `/wp-json/tribe/events/v1/events`, following `next_rest_url` page by page. */
+export async function scrapeTribe(cfg) {
+  const params = new URLSearchParams({ per_page: String(PAGE_SIZE) });
+  if (cfg.lookaheadDays) {
+    params.set('end_date', new Date(now().getTime() + cfg.lookaheadDays * 86400000).toISOString().slice(0, 10));
+  }
+  let url = `${base(cfg)}/wp-json/tribe/events/v1/events?${params}`;
+  const out = [];
+  for (let page = 1; url && page <= (cfg.maxPages || MAX_PAGES); page++) {
+    const data = await getJSON(cfg, url);
+    for (const e of data.events || []) {
+      const v = Array.isArray(e.venue) ? null : e.venue;
+      out.push(withRaw(toItem(cfg, {
+        id: e.id,
+        title: htmlText(e.title),
+        link: e.url,
+        description: htmlText(e.excerpt || e.description),
+        image: e.image?.url,
+        venue: htmlText(v?.venue),
+        address: [v?.address, v?.city, v?.stateprovince || v?.state, v?.zip].map(safe).filter(Boolean).join(', '),
+        lat: num(v?.geo_lat),
+        lng: num(v?.geo_lng),
+        price: safe(e.cost),
+        ticketUrl: safe(e.website),
+        organizer: htmlText(e.organizer?.[0]?.organizer)
+      }, tribeDates(e, cfg)), e));
+    }
+    url = data.next_rest_url ? toAbs(data.next_rest_url, url) : '';
+  }
+  return out;
+}
+
+// ---------- Modern Events Calendar (WordPress) ----------
+// MEC publishes the whole calendar as iCal; the ics mode reads it.
+export const mecFeedUrl = (cfg) => `${base(cfg)}/?mec-ical-feed=1`;
+
+// ---------- Eventbrite ----------
+// "https://www.eventbrite.com/o/river-city-arts-12345678" → "12345678"
+export const organizerId = (url) => url.match(/-(\d+)\/?(?:[?#].*)?$/)?.[1] || '';
+
+const EB_STATUS = { canceled: 'cancelled', postponed: 'postponed' };
+
+// The v3 API, when a token is set: every live event, with venue and ticket prices.
+async function eventbriteAPI(cfg, token) {
+  const id = organizerId(cfg.base);
+  if (!id) throw new Error(`eventbrite: no organizer id in ${cfg.base}`);
+  const out = [];
+  let continuation = '';
+  for (let page = 1; page <= (cfg.maxPages || MAX_PAGES); page++) {
+    const params = new URLSearchParams({ status: 'live', order_by: 'start_asc', expand: 'venue,ticket_availability', page_size: String(PAGE_SIZE) });
+    if (continuation) params.set('continuation', continuation);
+    const data = await getJSON(cfg, `${EVENTBRITE_API}/organizers/${id}/events/?${params}`, { authorization: `Bearer ${token}` });
+    for (const e of data.events || []) {
+      const v = e.venue;
+      const tz = e.start?.timezone || cfg.tz || DEFAULT_TZ;
+      out.push(withRaw(toItem(cfg, {
+        id: e.id,
+        title: safe(e.name?.text),
+        link: e.url,
+        description: safe(e.summary || e.description?.text),
+        image: e.logo?.original?.url || e.logo?.url,
+        venue: safe(v?.name),
+        address: safe(v?.address?.localized_address_display),
+        lat: num(v?.latitude),
+        lng: num(v?.longitude),
+        price: e.is_free ? 'Free' : safe(e.ticket_availability?.minimum_ticket_price?.display),
+        ticketUrl: e.url,
+        eventStatus: EB_STATUS[e.status] || ''
+      }, dateFields(new Date(e.start.utc), e.end?.utc ? new Date(e.end.utc) : null, false, { tz })), e));
+    }
+    if (!data.pagination?.has_more_items) break;
+    continuation = data.pagination.continuation;
+  }
+  return out;
+}
+
+// Without a token: the organizer page's own JSON-LD, which lists its upcoming events.
+async function eventbritePage(cfg) {
+  const res = await fetchFor(cfg, cfg.base, { 'accept': 'text/html' });
+  if (!res.ok) throw new Error(`eventbrite ${res.status} ${cfg.base}`);
+  return jsonldEvents(await res.text()).filter(e => e.title).map(e =>
+    toItem(cfg, { ...e, id: e.url, link: toAbs(e.url || cfg.base, cfg.base) }, eventDates(e.start, cfg, e.end)));
+}
+
+/**
+ * An Eventbrite organizer's events. The API is used when the environment
+ * variable named by `tokenEnv` (EVENTBRITE_TOKEN by default) holds a token;
+ * otherwise the public organizer page is read.
+ */
+export async function scrapeEventbrite(cfg) {
+  const token = process.env[cfg.tokenEnv || 'EVENTBRITE_TOKEN'];
+  return token ? eventbriteAPI(cfg, token) : eventbritePage(cfg);
+}
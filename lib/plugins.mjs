@@ -0,0 +1,162 @@
+// plugins.mjs — sites.json `plugin`: a local module with one site's own logic,
+// for what the modes can't express (splitting "Band A w/ Band B" into performers,
+// dropping private rentals, reading a bespoke AJAX endpoint). It may export:
+//
+//   scrape(ctx)              → the events, when the site's mode is "custom"
+//   beforeScrape(ctx)        → runs first; ctx.page is the loaded page on browser modes
+//   transformItem(item, ctx) → a replacement item, null to drop it, or nothing to keep it as edited
+//   filterItem(item, ctx)    → false drops the item
+//
+// ctx holds { site, options, fetch, log }, plus `page` in browser modes and `raw`
+// (the JSON record, feed entry, ICS event or DOM card the item came from) in the
+// item hooks. `site` is a frozen copy of the site's settings, without the run's
+// internal state. A plugin that fails to load or throws fails its site only, with
+// the plugin named; so does an error it leaves loose while its site runs (a
+// rejection nobody awaits, a throw from a timer). That is error containment, not
+// isolation: plugins run in the scraper's own process with its permissions, so a
+// hook that never returns holds the run past the site timeout and process.exit()
+// ends it. Only use plugins you trust.
+import { AsyncLocalStorage } from 'async_hooks';
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { fetchFor } from './http.mjs';
+import { safe } from './util.mjs';
+
+export const HOOKS = ['scrape', 'beforeScrape', 'transformItem', 'filterItem'];
+
+// sites.json paths are relative to the working directory (the repo root).
+export const pluginPath = (file) => path.resolve(process.cwd(), file);
+
+// ---------- raw payloads ----------
+// Modes tag each item with its source record; items are copied later, so only the hooks see these.
+const RAW = new WeakMap();
+export const withRaw = (item, raw) => { RAW.set(item, raw); return item; };
+export const rawOf = (item) => RAW.get(item);
+
+// ---------- loading ----------
+const loaded = new Map();
+
+async function importPlugin(file) {
+  const full = pluginPath(file);
+  if (!fs.existsSync(full)) throw new Error(`${file} does not exist`);
+  const mod = await import(pathToFileURL(full).href);
+  const plugin = { ...(mod.default && typeof mod.default === 'object' ? mod.default : {}), ...mod };
+  const hooks = Object.fromEntries(HOOKS.filter(h => typeof plugin[h] === 'function').map(h => [h, plugin[h]]));
+  if (!Object.keys(hooks).length) throw new Error(`${file} exports none of ${HOOKS.join(', ')}`);
+  return hooks;
+}
+
+/** The site's plugin hooks ({} without one), loaded once per file. Errors name the plugin. */
+export async function loadPlugin(cfg) {
+  if (!cfg.plugin) return {};
+  if (!loaded.has(cfg.plugin)) loaded.set(cfg.plugin, importPlugin(cfg.plugin));
+  let hooks;
+  try {
+    hooks = await loaded.get(cfg.plugin);
+  } catch (e) {
+    loaded.delete(cfg.plugin);
+    throw new Error(`plugin ${cfg.plugin}: ${e.message}`);
+  }
+  if (cfg.mode === 'custom' && !hooks.scrape) throw new Error(`plugin ${cfg.plugin}: mode "custom" needs a scrape() export`);
+  return hooks;
+}
+
+// ---------- stray errors ----------
+// Errors nobody catches reach the process listeners in the async context they came
+// from, which for a plugin site's work carries that site's `fail`.
+const running = new AsyncLocalStorage();
+
+const onStray = (event) => (e) => {
+  const fail = running.getStore();
+  if (fail) return fail(e);
+  // not from a plugin site: end the run as Node would without this listener
+  if (process.listenerCount(event) === 1) {
+    console.error(e);
+    process.exit(1);
+  }
+};
+
+let listening = false;
+const listen = () => {
+  if (listening) return;
+  listening = true;
+  process.on('unhandledRejection', onStray('unhandledRejection'));
+  process.on('uncaughtException', onStray('uncaughtException'));
+};
+
+/** Runs a plugin site's scrape so that an error its plugin leaves uncaught fails that site, not the run. */
+export function guardPlugin(cfg, run) {
+  if (!cfg.plugin) return run();
+  listen();
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = (fn) => (v) => { if (!settled) { settled = true; fn(v); } };
+    const fail = (e) => {
+      if (settled) return console.warn(`[${cfg.key}] plugin ${cfg.plugin}: uncaught after the site finished → ${e?.message ?? e}`);
+      settle(reject)(new Error(`plugin ${cfg.plugin}: uncaught → ${e?.message ?? e}`));
+    };
+    running.run(fail, run).then(settle(resolve), settle(reject));
+  });
+}
+
+// ---------- running ----------
+const deepFreeze = (v) => {
+  if (v && typeof v === 'object' && !Object.isFrozen(v)) {
+    Object.freeze(v);
+    Object.values(v).forEach(deepFreeze);
+  }
+  return v;
+};
+
+// What plugins see of the site: sites.json settings only, made once per site and read-only.
+const views = new WeakMap();
+const siteView = (cfg) => {
+  if (!views.has(cfg)) views.set(cfg, deepFreeze(structuredClone(Object.fromEntries(Object.entries(cfg).filter(([k]) => !k.startsWith('_'))))));
+  return views.get(cfg);
+};
+
+export const pluginContext = (cfg, extra = {}) => ({
+  site: siteView(cfg),
+  options: siteView(cfg).options || {},
+  fetch: (url, headers = {}) => fetchFor(cfg, url, headers),
+  log: (...args) => console.log(`[${cfg.key}]`, ...args),
+  ...extra
+});
+
+/** Calls one of the site's hooks; what it throws comes back naming the plugin. */
+export async function callPlugin(cfg, name, ...args) {
+  try {
+    return await cfg._plugin[name](...args);
+  } catch (e) {
+    throw new Error(`plugin ${cfg.plugin}: ${name} failed → ${e?.message ?? e}`);
+  }
+}
+
+/** Runs the site's beforeScrape hook, if any; browser modes pass the loaded `page`. */
+export async function beforeScrape(cfg, extra) {
+  if (cfg._plugin?.beforeScrape) await callPlugin(cfg, 'beforeScrape', pluginContext(cfg, extra));
+}
+
+/** transformItem then filterItem over a mode's items, before detail pages and cleanup. */
+export async function applyHooks(items, cfg) {
+  const { transformItem, filterItem } = cfg._plugin || {};
+  if (!transformItem && !filterItem) return items;
+  const out = [];
+  for (const item of items) {
+    const ctx = pluginContext(cfg, { raw: rawOf(item) });
+    let it = item;
+    if (transformItem) {
+      const next = await callPlugin(cfg, 'transformItem', it, ctx);
+      if (next === null || next === false) continue;
+      if (next !== undefined) {
+        if (typeof next !== 'object' || !safe(next.title)) throw new Error(`plugin ${cfg.plugin}: transformItem must return an item with a title, null or nothing`);
+        it = next;
+      }
+    }
+    if (filterItem && (await callPlugin(cfg, 'filterItem', it, ctx)) === false) continue;
+    out.push(it);
+  }
+  if (out.length < items.length) console.log(`[${cfg.key}] plugin dropped ${items.length - out.length} item(s)`);
+  return out;
+}
@@ -0,0 +1,68 @@
+// record.mjs — captures a site's current response as a test fixture
+// (test/fixtures/<key>/), so mode changes can be replayed offline.
+import fs from 'fs';
+import path from 'path';
+import { openBrowser, openSitePage } from './browser.mjs';
+import { fetchWithRetry } from './http.mjs';
+import { applyDefaults } from './sites.mjs';
+import { UA_DESKTOP } from './util.mjs';
+
+export const FIXTURES_DIR = path.join(process.cwd(), 'test', 'fixtures');
+
+// mode → [config field holding the source URL, fixture file name]
+const SOURCES = {
+  dom:    ['url', 'index.html'],
+  jsonld: ['url', 'index.html'],
+  json:   ['api', 'data.json'],
+  ics:    ['ics', 'calendar.ics'],
+  rss:    ['rss', 'feed.xml']
+};
+
+// Rendered DOM with scripts removed (JSON-LD kept) so the replay doesn't re-run the site's JS.
+async function renderedHTML(cfg) {
+  const { browser, pool } = await openBrowser({ poolSize: 1 });
+  try {
+    const { ctx, page: p } = await openSitePage(pool, cfg);
+    await p.evaluate(() => {
+      document.querySelectorAll('script:not([type="application/ld+json"]), noscript').forEach(s => s.remove());
+    });
+    const html = await p.content();
+    await pool.release(ctx);
+    return html;
+  } finally {
+    await browser.close();
+  }
+}
+
+/** Writes test/fixtures/<key>/site.json plus the captured source; returns the fixture dir. */
+export async function record(sites, key, dir = FIXTURES_DIR) {
+  const site = sites.find(s => s.key === key);
+  if (!site) throw new Error(`no site "${key}" in sites.json`);
+  const [field, file] = SOURCES[site.mode] || [];
+  if (!field) throw new Error(`${key}: mode "${site.mode}" can't be recorded`);
+
+  const cfg = { ...site };
+  applyDefaults(cfg);
+  let body;
+  if (site.mode === 'dom' || site.mode === 'jsonld') {
+    body = await renderedHTML(cfg);
+  } else {
+    const res = await fetchWithRetry(site[field], { headers: { 'user-agent': UA_DESKTOP } });
+    if (!res.ok) throw new Error(`${key}: HTTP ${res.status} ${site[field]}`);
+    body = await res.text();
+  }
+
+  const out = path.join(dir, key);
+  fs.mkdirSync(out, { recursive: true });
+  fs.writeFileSync(path.join(out, file), body, 'utf8');
+
+  // only the first page is captured, so the replay must not paginate
+  const fixtureSite = { ...site, [field]: `{{base}}/${file}` };
+  if (fixtureSite.pagination) {
+    delete fixtureSite.pagination;
+    console.warn(`${key}: pagination dropped — only the first page was recorded`);
+  }
+  fs.writeFileSync(path.join(out, 'site.json'), JSON.stringify(fixtureSite, null, 2) + '\n', 'utf8');
+  console.log(`Recorded ${key} (${site.mode}) → ${path.relative(process.cwd(), out)}/${file}`);
+  return out;
+}
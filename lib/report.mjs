@@ -0,0 +1,148 @@
+// report.mjs — per-run source health: docs/status.json (with history),
+// docs/status.html and regression alerts.
+import fs from 'fs';
+import { describeHttpStats } from './http.mjs';
+
+export const HEALTH = {
+  historyPerSite: 30,   // runs kept per site
+  runsKept: 100,        // run summaries kept
+  baselineRuns: 10,     // successful runs in the rolling baseline
+  minBaselineRuns: 3,   // don't judge drops before this many samples
+  dropRatio: 0.5,       // flag when count < baseline × (1 − dropRatio)
+  maxFailures: 3        // flag after this many failed/empty runs in a row
+};
+
+const median = (xs) => {
+  const s = [...xs].sort((a, b) => a - b);
+  const m = Math.floor(s.length / 2);
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+};
+
+export function loadStatus(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch { return { updated: null, runs: [], sites: {} }; }
+}
+
+/**
+ * Folds one run's per-site results into the persisted status.
+ * results: [{ key, mode, ok, count, durationMs, selector, error }]
+ * Returns the alerts currently raised and which of them are new this run.
+ */
+export function updateStatus(status, results, { now = new Date(), durationMs = 0, extra = {} } = {}) {
+  const at = now.toISOString();
+  const alerts = [];
+  const newAlerts = [];
+
+  for (const r of results) {
+    const site = status.sites[r.key] || { history: [] };
+    const prevBaseline = baselineOf(site.history);
+    const state = !r.ok ? 'error' : r.count === 0 ? 'empty' : 'ok';
+
+    site.mode = r.mode;
+    site.history.push({
+      at, status: state, count: r.count || 0, durationMs: r.durationMs,
+      ...(r.selector ? { selector: r.selector } : {}),
+      ...(r.error ? { error: r.error } : {})
+    });
+    site.history = site.history.slice(-HEALTH.historyPerSite);
+    site.consecutiveFailures = state === 'ok' ? 0 : (site.consecutiveFailures || 0) + 1;
+    site.baseline = baselineOf(site.history);
+    site.last = site.history[site.history.length - 1];
+
+    const reasons = [];
+    if (site.consecutiveFailures >= HEALTH.maxFailures) {
+      reasons.push(`${site.consecutiveFailures} failed runs in a row (last: ${r.error || 'no items'})`);
+    }
+    if (state === 'ok' && prevBaseline != null && r.count < prevBaseline * (1 - HEALTH.dropRatio)) {
+      reasons.push(`count dropped to ${r.count} from a baseline of ${prevBaseline}`);
+    }
+    const wasFlagged = !!site.flagged;
+    site.flagged = reasons.length > 0;
+    site.reasons = reasons;
+    if (site.flagged) {
+      const alert = { key: r.key, reasons, since: wasFlagged ? site.flaggedSince : at };
+      site.flaggedSince = alert.since;
+      alerts.push(alert);
+      if (!wasFlagged) newAlerts.push(alert);
+    } else {
+      delete site.flaggedSince;
+    }
+    status.sites[r.key] = site;
+  }
+
+  // sites removed from sites.json drop out of the report
+  const live = new Set(results.map(r => r.key));
+  for (const key of Object.keys(status.sites)) if (!live.has(key)) delete status.sites[key];
+
+  status.updated = at;
+  status.runs = [...(status.runs || []), {
+    at, durationMs,
+    sites: results.length,
+    ok: results.filter(r => r.ok && r.count > 0).length,
+    failed: results.filter(r => !r.ok).length,
+    empty: results.filter(r => r.ok && r.count === 0).length,
+    items: results.reduce((n, r) => n + (r.count || 0), 0),
+    alerts: alerts.map(a => a.key),
+    ...extra
+  }].slice(-HEALTH.runsKept);
+
+  return { status, alerts, newAlerts };
+}
+
+function baselineOf(history) {
+  const counts = history.filter(h => h.status === 'ok').slice(-HEALTH.baselineRuns).map(h => h.count);
+  return counts.length >= HEALTH.minBaselineRuns ? median(counts) : null;
+}
+
+// ---------- rendering ----------
+const esc = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const BARS = '▁▂▃▄▅▆▇█';
+const spark = (xs) => {
+  const max = Math.max(1, ...xs);
+  return xs.map(x => BARS[Math.min(BARS.length - 1, Math.floor((x / max) * (BARS.length - 1)))]).join('');
+};
+
+export function buildStatusHTML(status) {
+  const rows = Object.entries(status.sites).sort(([a], [b]) => a.localeCompare(b)).map(([key, s]) => {
+    const last = s.last || {};
+    const cls = s.flagged ? 'bad' : last.status === 'ok' ? 'ok' : 'warn';
+    return `<tr class="${cls}">
+  <td>${esc(key)}</td><td>${esc(s.mode)}</td><td>${esc(last.status)}</td>
+  <td>${last.count ?? ''}</td><td>${s.baseline ?? '–'}</td>
+  <td title="last ${s.history.length} runs">${spark(s.history.map(h => h.count))}</td>
+  <td>${last.durationMs != null ? (last.durationMs / 1000).toFixed(1) + 's' : ''}</td>
+  <td><code>${esc(last.selector || '')}</code></td>
+  <td>${esc([...(s.reasons || []), last.error || ''].filter(Boolean).join('; '))}</td>
+</tr>`;
+  }).join('\n');
+  const run = status.runs[status.runs.length - 1] || {};
+  return `<!doctype html><meta charset="utf-8">
+<title>North ATL Events — source status</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 2em; }
+  table { border-collapse: collapse; } td, th { padding: .3em .6em; border-bottom: 1px solid #ddd; text-align: left; }
+  tr.bad { background: #fde2e2; } tr.warn { background: #fff6d6; }
+</style>
+<h1>Source status</h1>
+<p>Last run ${esc(status.updated)} — ${run.ok ?? 0}/${run.sites ?? 0} sources OK, ${run.items ?? 0} items, ${((run.durationMs || 0) / 1000).toFixed(0)}s.
+<a href="status.json">status.json</a>${run.http ? `<br>HTTP: ${esc(describeHttpStats(run.http))}` : ''}${run.invalidFeeds?.length ? `<br>Failed their check, previous copy kept: ${esc(run.invalidFeeds.map(f => f.file).join(', '))}` : ''}</p>
+<table>
+<tr><th>Site</th><th>Mode</th><th>Status</th><th>Items</th><th>Baseline</th><th>History</th><th>Time</th><th>Selector</th><th>Problem</th></tr>
+${rows}
+</table>
+`;
+}
+
+// Markdown body suitable for `gh issue create --body-file`.
+export function buildIssueMarkdown(alerts, status) {
+  const lines = [
+    `## Event sources need attention (${status.updated})`,
+    '',
+    '| Site | Problem | Flagged since |',
+    '| --- | --- | --- |',
+    ...alerts.map(a => `| \`${a.key}\` | ${a.reasons.join('; ').replace(/\|/g, '\\|')} | ${a.since} |`),
+    '',
+    'See docs/status.html for history. Debug captures for dom sites are in docs/debug/.'
+  ];
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,124 @@
+// rules.mjs — which items a feed keeps and how they're tagged. Rules come from a
+// site's `rules` (and its older `filters`) plus config.json's global `rules`
+// and `radius`; tags also come from keyword dictionaries.
+import { now } from './dates.mjs';
+import { milesBetween, placeOf } from './venues.mjs';
+
+// config.json `tags` adds to or replaces these; an empty list turns a tag off.
+export const DEFAULT_TAGS = {
+  music:  ['live music', 'band', 'concert', 'acoustic', 'singer', 'songwriter', 'dj', 'jazz', 'blues', 'bluegrass', 'karaoke', 'open mic', 'tribute'],
+  comedy: ['comedy', 'comedian', 'stand-up', 'standup', 'improv', 'roast'],
+  family: ['family', 'kids', 'children', 'all ages', 'storytime', 'story time', 'puppet'],
+  free:   ['free', 'no cover', 'free admission', 'free entry'],
+  trivia: ['trivia', 'quiz', 'bingo']
+};
+
+export const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_SETS = { weekend: ['sat', 'sun'], weekday: ['mon', 'tue', 'wed', 'thu', 'fri'] };
+export const DAY_NAMES = [...DAYS, ...Object.keys(DAY_SETS)];
+export const TEXT_FIELDS = ['title', 'venue', 'description', 'town', 'text'];
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * "/re/flags" is a regular expression; anything else matches as a whole word or
+ * phrase, ignoring case ("band" matches "The Band", not "husband").
+ */
+export function compilePattern(p) {
+  if (p instanceof RegExp) return p;
+  const m = /^\/(.+)\/([a-z]*)$/.exec(p);
+  if (m) return new RegExp(m[1], m[2]);
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRe(p.trim())}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+// The title as the site wrote it, without our "[Town] " prefix.
+const fieldText = (it, field) => {
+  if (field === 'text') return ['title', 'venue', 'description', 'price'].map(f => fieldText(it, f)).join('\n');
+  const v = it[field] || '';
+  return field === 'title' ? v.replace(/^\[[^\]]*\]\s*/, '') : v;
+};
+
+const minutes = (hhmm) => { const [h, m] = hhmm.split(':').map(Number); return h * 60 + m; };
+
+// `start` is ISO with the event's own offset, so its date and clock are local.
+const localDay = (it) => DAYS[new Date(`${it.start.slice(0, 10)}T00:00:00Z`).getUTCDay()];
+const localTime = (it) => minutes(it.start.slice(11, 16));
+
+/**
+ * One rule's conditions as a predicate; every condition given must hold.
+ * Date and time conditions never match undated items, time ones never all-day
+ * items, and `near` never matches an item without coordinates. `venues` is the
+ * registry index that `near` centers are looked up in.
+ */
+function compileMatch(rule, venues) {
+  const tests = [];
+  for (const field of TEXT_FIELDS) {
+    if (rule[field] == null) continue;
+    const res = [rule[field]].flat().map(compilePattern);
+    tests.push(it => { const t = fieldText(it, field); return res.some(re => re.test(t)); });
+  }
+  if (rule.days) {
+    const days = new Set([rule.days].flat().flatMap(d => DAY_SETS[d] || [d]));
+    tests.push(it => !!it.start && days.has(localDay(it)));
+  }
+  if (rule.after)  tests.push(it => !!it.start && !it.allDay && localTime(it) >= minutes(rule.after));
+  if (rule.before) tests.push(it => !!it.start && !it.allDay && localTime(it) < minutes(rule.before));
+  if (rule.withinDays != null) {
+    tests.push((it, at) => !!it.start && Date.parse(it.start) < at.getTime() + rule.withinDays * 86400000);
+  }
+  if (rule.near) {
+    const center = placeOf(venues, rule.near.center);
+    if (!center) console.warn(`rules: "${rule.near.center}" is not a town or venue in venues.json`);
+    tests.push(it => !!center && it.lat != null && milesBetween(center, it) <= rule.near.miles);
+  }
+  return (it, at) => tests.every(t => t(it, at));
+}
+
+// sites.json `filters` predate rules: plain substrings over the whole item.
+const legacyRules = (filters = {}) => [
+  ...(filters.exclude?.length ? [{ action: 'exclude', text: filters.exclude.map(w => new RegExp(escapeRe(w), 'i')) }] : []),
+  ...(filters.include?.length ? [{ action: 'include', text: filters.include.map(w => new RegExp(escapeRe(w), 'i')) }] : [])
+];
+
+// config.json `radius`: events placed outside it are dropped; ones we can't place stay.
+const radiusRule = (radius, venues) => {
+  if (!placeOf(venues, radius.center)) return [];
+  const inside = compileMatch({ near: radius }, venues);
+  return [{ action: 'exclude', test: (it) => it.lat != null && !inside(it) }];
+};
+
+/**
+ * Compiles a site's rules together with the global config into `cfg._rules`:
+ * an item is dropped when any exclude rule matches, and where a scope (the site,
+ * or config.json) has include rules it must match one of them. Tag rules and
+ * dictionary words add to `tags`.
+ */
+export function compileRules(cfg, config = {}) {
+  const venues = config._venues;
+  const scope = (rules) => rules.map(r => ({ ...r, test: compileMatch(r, venues) }));
+  const scopes = [
+    scope([...legacyRules(cfg.filters), ...(cfg.rules || [])]),
+    [...scope(config.rules || []), ...(config.radius ? radiusRule(config.radius, venues) : [])]
+  ];
+  const dictionary = Object.entries({ ...DEFAULT_TAGS, ...config.tags })
+    .filter(([, words]) => words.length)
+    .map(([tag, words]) => ({ tags: [tag], test: compileMatch({ text: words }) }));
+  return { scopes, tagRules: [...dictionary, ...scopes.flat().filter(r => r.tags)] };
+}
+
+/** Keeps the items `rules` (from compileRules) allow, each with its `tags`. */
+export function applyRules(items, rules, { at = now() } = {}) {
+  const out = [];
+  for (const it of items) {
+    const keep = rules.scopes.every(rs => {
+      if (rs.some(r => r.action === 'exclude' && r.test(it, at))) return false;
+      const inc = rs.filter(r => r.action === 'include');
+      return !inc.length || inc.some(r => r.test(it, at));
+    });
+    if (!keep) continue;
+    const tags = new Set(it.tags || []);
+    for (const r of rules.tagRules) if (r.test(it, at)) r.tags.forEach(t => tags.add(t));
+    out.push({ ...it, tags: [...tags].sort() });
+  }
+  return out;
+}
@@ -0,0 +1,95 @@
+// scheduler.mjs — runs sites concurrently with global and per-host limits,
+// a bounded pool of browser contexts and a wall-clock timeout per site.
+
+export function createSemaphore(max) {
+  let active = 0;
+  const waiters = [];
+  const acquire = () => new Promise(resolve => {
+    if (active < max) { active++; resolve(); } else waiters.push(resolve);
+  });
+  const release = () => {
+    const next = waiters.shift();
+    if (next) next(); else active--;
+  };
+  const run = async (fn) => {
+    await acquire();
+    try { return await fn(); } finally { release(); }
+  };
+  return { acquire, release, run };
+}
+
+/**
+ * At most `size` browser contexts open at once. Contexts are fresh per acquire
+ * (some Cloudflare setups dislike reuse) and tracked by owner so a timed-out
+ * site's contexts can be closed from outside.
+ */
+export function createContextPool(browser, { size = 2, setup } = {}) {
+  const sem = createSemaphore(size);
+  const owned = new Map();
+
+  async function acquire(options, owner) {
+    await sem.acquire();
+    try {
+      const ctx = await browser.newContext(options);
+      if (setup) await setup(ctx);
+      owned.set(ctx, owner);
+      return ctx;
+    } catch (e) {
+      sem.release();
+      throw e;
+    }
+  }
+
+  async function release(ctx) {
+    if (!owned.has(ctx)) return;
+    owned.delete(ctx);
+    sem.release();
+    await ctx.close().catch(() => {});
+  }
+
+  async function releaseOwner(owner) {
+    for (const [ctx, o] of [...owned]) if (o === owner) await release(ctx);
+  }
+
+  return { acquire, release, releaseOwner };
+}
+
+export class TimeoutError extends Error {
+  constructor(label, ms) {
+    super(`${label} timed out after ${Math.round(ms / 1000)}s`);
+    this.name = 'TimeoutError';
+  }
+}
+
+// Runs fn(signal); aborts the signal and rejects once `ms` have passed.
+export async function withTimeout(ms, label, fn) {
+  const ac = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => { ac.abort(); reject(new TimeoutError(label, ms)); }, ms);
+  });
+  try {
+    return await Promise.race([fn(ac.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Runs every task with at most `concurrency` in flight overall and `perHost`
+ * per hostname. Tasks are { host, run }; results come back in input order as
+ * { ok: true, value } or { ok: false, error }.
+ */
+export async function runTasks(tasks, { concurrency = 4, perHost = 1 } = {}) {
+  const global = createSemaphore(concurrency);
+  const hosts = new Map();
+  const hostSem = (h) => {
+    if (!hosts.has(h)) hosts.set(h, createSemaphore(perHost));
+    return hosts.get(h);
+  };
+  // host slot first, then a global slot, so a queued host never holds global capacity
+  return Promise.all(tasks.map(t => hostSem(t.host || '').run(() => global.run(async () => {
+    try { return { ok: true, value: await t.run() }; }
+    catch (error) { return { ok: false, error }; }
+  }))));
+}
@@ -0,0 +1,394 @@
+// schema.mjs — validation for sites.json, config.json and venues.json.
+import { isValidZone } from './dates.mjs';
+import { DAYS, DAY_NAMES, TEXT_FIELDS, compilePattern } from './rules.mjs';
+
+// ---------- field types ----------
+const str      = (extra = {}) => ({ type: 'string', ...extra });
+const url      = (extra = {}) => ({ type: 'url', ...extra });
+const selector = (extra = {}) => ({ type: 'selector', ...extra });
+const int      = (min = 0, extra = {}) => ({ type: 'integer', min, ...extra });
+const bool     = () => ({ type: 'boolean' });
+const strList  = () => ({ type: 'array', items: str() });
+const pattern  = () => ({ type: 'pattern' });
+const num      = (min, max) => ({ type: 'number', min, max });
+const latLng   = () => ({
+  type: 'object',
+  fields: { lat: num(-90, 90), lng: num(-180, 180) },
+  check: (p) => (p.lat == null || p.lng == null ? 'needs both lat and lng' : null)
+});
+// a town or venue from venues.json, or { lat, lng }
+const place    = () => ({ type: 'place' });
+const circle   = () => ({ type: 'object', fields: { center: { ...place(), required: true }, miles: { ...num(0), required: true } } });
+const clock    = () => str({ pattern: /^([01]?\d|2[0-3]):[0-5]\d$/, hint: 'a 24-hour time like "18:30"' });
+
+// One entry of a site's or config.json's `rules`: conditions plus what to do on a match.
+const RULE = {
+  type: 'object',
+  fields: {
+    action: str({ enum: ['include', 'exclude'] }),
+    tags: strList(),
+    ...Object.fromEntries(TEXT_FIELDS.map(f => [f, pattern()])),
+    days: { type: 'array', items: str({ enum: DAY_NAMES }) },
+    after: clock(),
+    before: clock(),
+    withinDays: int(0),
+    near: circle()
+  },
+  check: (r) => (r.action || r.tags ? null : 'needs an "action" or "tags"')
+};
+
+const COMMON = {
+  key: str({ required: true, pattern: /^[A-Za-z0-9_-]+$/, hint: 'letters, digits, "_" or "-"' }),
+  mode: str({ required: true }),
+  venue: str(),
+  town: str(),
+  tz: { type: 'zone' },
+  max: int(1),
+  waitMs: int(0),
+  timeoutMs: int(1000),
+  retries: int(0),
+  priority: { type: 'number' },
+  aggregator: bool(),
+  identify: bool(),
+  // plugins.mjs: a local module's hooks, given `options` as they are
+  plugin: str({ pattern: /\.m?js$/, hint: 'a path to a .mjs or .js file' }),
+  options: { type: 'any' },
+  filters: { type: 'object', fields: { include: strList(), exclude: strList() } },
+  rules: { type: 'array', items: RULE },
+  clean: { type: 'object', fields: { strip: { type: 'array', items: pattern() }, maxLength: int(50), summaryLength: int(20) } },
+  detail: {
+    type: 'object',
+    fields: {
+      enabled: bool(),
+      max: int(0),
+      ttlDays: int(0),
+      selectors: {
+        type: 'object',
+        fields: Object.fromEntries(
+          ['description', 'start', 'end', 'image', 'price', 'ticketUrl', 'performers', 'organizer', 'address', 'eventStatus']
+            .map(f => [f, str({ pattern: /^[^@]+(@[\w:-]+)?$/, hint: 'a CSS selector, optionally followed by @attribute' })])
+        )
+      }
+    }
+  }
+};
+
+export const MODE_SCHEMAS = {
+  dom: {
+    url: url({ required: true }),
+    ua: str({ enum: ['mobile', 'desktop'] }),
+    item: selector(), title: selector(), link: selector(), date: selector(), image: selector(),
+    jsonldFirst: bool(),
+    pagination: {
+      type: 'object',
+      fields: {
+        type: str({ required: true, enum: ['click', 'next-link', 'url', 'scroll'] }),
+        selector: selector(),
+        url: str({ pattern: /\{page\}/, hint: 'a URL containing {page}' }),
+        firstPage: int(0),
+        maxPages: int(1),
+        maxItems: int(1),
+        waitMs: int(0)
+      }
+    }
+  },
+  jsonld: {
+    url: url({ required: true })
+  },
+  json: {
+    api: url({ required: true }),
+    map: {
+      type: 'object',
+      fields: { path: str(), title: str(), link: str(), date: str(), end: str(), venue: str(), image: str() }
+    }
+  },
+  ics: {
+    ics: url({ required: true }),
+    lookaheadDays: int(1)
+  },
+  rss: {
+    rss: url({ required: true })
+  },
+  // platforms.mjs: just the site's base URL
+  tribe: {
+    base: url({ required: true }),
+    lookaheadDays: int(1),
+    maxPages: int(1)
+  },
+  mec: {
+    base: url({ required: true }),
+    lookaheadDays: int(1)
+  },
+  eventbrite: {
+    base: url({ required: true, pattern: /\/o\/[^/?#]*-\d+\/?$/, hint: 'an organizer page like https://www.eventbrite.com/o/name-12345678' }),
+    maxPages: int(1),
+    tokenEnv: str({ pattern: /^[A-Z_][A-Z0-9_]*$/, hint: 'an environment variable name' })
+  },
+  // the plugin's scrape() is the mode; `browser` gives it a loaded `url`
+  custom: {
+    plugin: str({ required: true, pattern: /\.m?js$/, hint: 'a path to a .mjs or .js file' }),
+    url: url(),
+    browser: bool(),
+    ua: str({ enum: ['mobile', 'desktop'] })
+  }
+};
+
+// ---------- suggestions ----------
+// Edit distance counting adjacent transpositions as one edit ("titel" → "title").
+function distance(a, b) {
+  a = a.toLowerCase(); b = b.toLowerCase();
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 0; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+export function didYouMean(word, candidates) {
+  let best = null, bestD = Infinity;
+  for (const c of candidates) {
+    const d = distance(word, c);
+    if (d < bestD) { best = c; bestD = d; }
+  }
+  return best && bestD <= Math.max(2, Math.floor(best.length / 3)) ? best : null;
+}
+
+// ---------- selector syntax ----------
+// Not a full CSS parser: catches the typos that make Playwright throw at runtime.
+export function selectorProblem(sel) {
+  if (!sel.trim()) return 'is empty';
+  const parts = [];
+  let depth = [], quote = null, cur = '';
+  for (const ch of sel) {
+    if (quote) { if (ch === quote) quote = null; cur += ch; continue; }
+    if (ch === '"' || ch === "'") { quote = ch; cur += ch; continue; }
+    if (ch === '(' || ch === '[') depth.push(ch);
+    if (ch === ')' || ch === ']') {
+      const open = depth.pop();
+      if ((ch === ')' && open !== '(') || (ch === ']' && open !== '[')) return `has an unmatched "${ch}"`;
+    }
+    if (ch === ',' && !depth.length) { parts.push(cur); cur = ''; continue; }
+    cur += ch;
+  }
+  if (quote) return `has an unterminated ${quote} quote`;
+  if (depth.length) return `has an unclosed "${depth[depth.length - 1]}"`;
+  parts.push(cur);
+  for (const part of parts) {
+    const p = part.trim();
+    if (!p) return 'has an empty entry between commas';
+    if (/[>+~]\s*$/.test(p)) return `"${p}" ends with a combinator`;
+    if (/^[>+~]/.test(p)) return `"${p}" starts with a combinator`;
+    if (/(^|[\s>+~])[.#](?=[\s>+~,:[]|$)/.test(p)) return `"${p}" has an empty class or id`;
+  }
+  return null;
+}
+
+// ---------- validation ----------
+const typeName = (v) => (Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v);
+
+function checkValue(value, spec, path, errors) {
+  const fail = (msg) => errors.push(`${path}: ${msg}`);
+  switch (spec.type) {
+    case 'string':
+    case 'url':
+    case 'selector':
+    case 'zone':
+      if (typeof value !== 'string') return fail(`expected a string, got ${typeName(value)}`);
+      if (spec.type === 'url' && !/^https?:\/\/[^\s]+$/i.test(value)) return fail(`"${value}" is not an http(s) URL`);
+      if (spec.type === 'selector') { const p = selectorProblem(value); if (p) return fail(`selector ${p}`); }
+      if (spec.type === 'zone' && !isValidZone(value)) return fail(`"${value}" is not a known IANA time zone`);
+      if (spec.enum && !spec.enum.includes(value)) {
+        const s = didYouMean(value, spec.enum);
+        return fail(`"${value}" is not one of ${spec.enum.join(', ')}${s ? ` — did you mean "${s}"?` : ''}`);
+      }
+      if (spec.pattern && !spec.pattern.test(value)) return fail(`"${value}" should be ${spec.hint || spec.pattern}`);
+      return;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !isFinite(value)) return fail(`expected a number, got ${typeName(value)}`);
+      if (spec.type === 'integer' && !Number.isInteger(value)) return fail(`expected an integer, got ${value}`);
+      if (spec.min != null && value < spec.min) return fail(`must be ≥ ${spec.min}, got ${value}`);
+      if (spec.max != null && value > spec.max) return fail(`must be ≤ ${spec.max}, got ${value}`);
+      return;
+    case 'pattern':
+      for (const [i, p] of (Array.isArray(value) ? value : [value]).entries()) {
+        const at = Array.isArray(value) ? `${path}[${i}]` : path;
+        if (typeof p !== 'string' || !p.trim()) { errors.push(`${at}: expected a word, phrase or /regex/`); continue; }
+        try { compilePattern(p); } catch (e) { errors.push(`${at}: ${e.message}`); }
+      }
+      return;
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail(`expected true/false, got ${typeName(value)}`);
+      return;
+    case 'array':
+      if (!Array.isArray(value)) return fail(`expected an array, got ${typeName(value)}`);
+      value.forEach((v, i) => checkValue(v, spec.items, `${path}[${i}]`, errors));
+      return;
+    case 'object':
+      if (typeName(value) !== 'object') return fail(`expected an object, got ${typeName(value)}`);
+      checkFields(value, spec.fields, path, errors);
+      if (spec.check) { const p = spec.check(value); if (p) fail(p); }
+      return;
+    case 'place':
+      if (typeof value === 'string') return value.trim() ? undefined : fail('expected a town or venue name');
+      return checkValue(value, latLng(), path, errors);
+    case 'any':
+      return;
+    case 'map':
+      if (typeName(value) !== 'object') return fail(`expected an object, got ${typeName(value)}`);
+      for (const [k, v] of Object.entries(value)) checkValue(v, spec.values, `${path}.${k}`, errors);
+      return;
+  }
+}
+
+function checkFields(obj, fields, path, errors) {
+  const known = Object.keys(fields);
+  for (const [k, spec] of Object.entries(fields)) {
+    if (spec.required && (obj[k] == null || obj[k] === '')) errors.push(`${path}.${k}: required`);
+  }
+  for (const [k, v] of Object.entries(obj)) {
+    if (!fields[k]) {
+      const s = didYouMean(k, known);
+      errors.push(`${path}.${k}: unknown key${s ? ` — did you mean "${s}"?` : ''}`);
+      continue;
+    }
+    if (v != null) checkValue(v, fields[k], `${path}.${k}`, errors);
+  }
+}
+
+/** Returns a list of human-readable problems with the parsed sites.json (empty when valid). */
+export function validateSites(sites, file = 'sites.json') {
+  const errors = [];
+  if (!Array.isArray(sites)) return [`${file}: expected a top-level array of sites`];
+  const keys = new Map();
+  sites.forEach((site, i) => {
+    const label = `${file}[${i}]${site && site.key ? ` (${site.key})` : ''}`;
+    if (typeName(site) !== 'object') { errors.push(`${label}: expected an object`); return; }
+
+    const modes = Object.keys(MODE_SCHEMAS);
+    if (site.mode != null && !modes.includes(site.mode)) {
+      const s = didYouMean(String(site.mode), modes);
+      errors.push(`${label}.mode: unknown mode "${site.mode}"${s ? ` — did you mean "${s}"?` : ''} (expected ${modes.join(', ')})`);
+      const anyMode = Object.assign({}, ...Object.values(MODE_SCHEMAS));
+      const loose = Object.fromEntries(Object.entries(anyMode).map(([k, v]) => [k, { ...v, required: false }]));
+      checkFields(site, { ...loose, ...COMMON }, label, errors);
+    } else {
+      const fields = { ...COMMON, ...(MODE_SCHEMAS[site.mode] || {}) };
+      const before = errors.length;
+      checkFields(site, fields, label, errors);
+      // keys that belong to a different mode get a more useful message
+      for (let j = before; j < errors.length; j++) {
+        const m = errors[j].match(/\.([^.:]+): unknown key$/);
+        const owner = m && modes.find(md => MODE_SCHEMAS[md][m[1]]);
+        if (owner) errors[j] = errors[j].replace(/unknown key$/, `only valid for mode "${owner}"`);
+      }
+    }
+
+    if (site.key) {
+      if (keys.has(site.key)) errors.push(`${label}.key: duplicate key "${site.key}" (also used by ${file}[${keys.get(site.key)}])`);
+      else keys.set(site.key, i);
+    }
+  });
+  return errors;
+}
+
+// ---------- config.json ----------
+// One of config.json's `webhooks`: where new events are posted, and which of them.
+// The URL is usually a secret, so `urlEnv` can name the environment variable holding it.
+const WEBHOOK = {
+  type: 'object',
+  fields: {
+    name: str(),
+    url: url(),
+    urlEnv: str({ pattern: /^[A-Z_][A-Z0-9_]*$/, hint: 'an environment variable name like "SLACK_WEBHOOK_URL"' }),
+    format: str({ enum: ['json', 'slack', 'discord'] }),
+    towns: strList(),
+    venues: strList(),
+    batch: int(1),
+    retries: int(0)
+  },
+  check: (w) => (w.url || w.urlEnv ? null : 'needs a "url" or "urlEnv"')
+};
+
+export const CONFIG_SCHEMA = {
+  channel: {
+    type: 'object',
+    fields: {
+      title: str(),
+      description: str(),
+      link: url(),
+      language: str({ pattern: /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i, hint: 'a language tag like "en-us"' }),
+      author: str(),
+      hub: url()
+    }
+  },
+  http: { type: 'object', fields: { userAgent: str() } },
+  rules: { type: 'array', items: RULE },
+  tags: { type: 'map', values: { type: 'array', items: pattern() } },
+  radius: circle(),
+  webhooks: { type: 'array', items: WEBHOOK },
+  // images.mjs: the stored copies and what counts as too small
+  images: {
+    type: 'object',
+    fields: { enabled: bool(), maxWidth: int(100), minWidth: int(1), minHeight: int(1), quality: int(1, { max: 100 }), max: int(0), ttlDays: int(1) }
+  },
+  digest: {
+    type: 'object',
+    fields: {
+      from: str({ enum: DAYS }),
+      to: str({ enum: DAYS }),
+      max: int(1),
+      title: str(),
+      email: {
+        type: 'object',
+        fields: {
+          from: str(),
+          to: { ...strList(), required: true },
+          subject: str(),
+          smtp: { type: 'object', fields: { host: str(), port: int(1), secure: bool() } }
+        }
+      }
+    }
+  }
+};
+
+/** Problems with the parsed config.json (empty when valid). */
+export function validateConfig(config, file = 'config.json') {
+  if (typeName(config) !== 'object') return [`${file}: expected an object`];
+  const errors = [];
+  checkFields(config, CONFIG_SCHEMA, file, errors);
+  return errors;
+}
+
+// ---------- venues.json ----------
+const VENUE = {
+  type: 'object',
+  fields: {
+    name: str({ required: true }),
+    aliases: strList(),
+    address: str(),
+    town: str(),
+    lat: num(-90, 90),
+    lng: num(-180, 180),
+    website: url()
+  },
+  check: (v) => ((v.lat == null) !== (v.lng == null) ? 'needs both lat and lng' : null)
+};
+
+export const VENUES_SCHEMA = {
+  towns: { type: 'map', values: latLng() },
+  venues: { type: 'array', items: VENUE }
+};
+
+/** Problems with the parsed venues.json (empty when valid). */
+export function validateVenues(registry, file = 'venues.json') {
+  if (typeName(registry) !== 'object') return [`${file}: expected an object with "towns" and "venues"`];
+  const errors = [];
+  checkFields(registry, VENUES_SCHEMA, file, errors);
+  return errors;
+}
@@ -0,0 +1,94 @@
+// sites.mjs — loading, validating and defaulting sites.json entries.
+import fs from 'fs';
+import path from 'path';
+import { pluginPath } from './plugins.mjs';
+import { compileRules } from './rules.mjs';
+import { validateConfig, validateSites, validateVenues } from './schema.mjs';
+import { stripJsonComments } from './util.mjs';
+import { placeOf, venueConflicts, venueIndex } from './venues.mjs';
+
+export const DEFAULT_SELECTORS = {
+  item:  "li.mec-event-article, .mec-event-list li, .tribe-events-calendar-list__event, article, .event, .event-card, .event-item, li.event, li.EventList-item, .card, .listing, .tile",
+  title: ".mec-event-title a, .entry-title a, .entry-title, h1, h2, h3, .title, .event-title, .card-title, [itemprop='name']",
+  link:  ".mec-event-title a, a[href]",
+  date:  ".mec-start-date, .tribe-event-date-start, time, [datetime], .date, .event-date, .card-date, [class*='date'], [class*='time']",
+  image: "img, [data-src], [data-original], [data-lazy], [data-image], [style*='background-image']"
+};
+
+// JSON with comments; parse errors name the line and column.
+function readJSONC(file) {
+  const raw = stripJsonComments(fs.readFileSync(file, 'utf8'));
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    const pos = +(e.message.match(/position (\d+)/)?.[1] ?? NaN);
+    const where = isNaN(pos) ? '' : ` (line ${raw.slice(0, pos).split('\n').length}, column ${pos - raw.lastIndexOf('\n', pos - 1)})`;
+    throw new Error(`${file}: ${e.message}${where}`);
+  }
+}
+
+export const loadSites = (file = './sites.json') => readJSONC(file);
+
+// Prints `problems` under a heading; true when there were none.
+const report = (file, problems) => {
+  if (!problems.length) return true;
+  console.error(`${file} has ${problems.length} problem(s):`);
+  for (const p of problems) console.error(`  - ${p}`);
+  return false;
+};
+
+// Plugin files must exist; they're only imported when their site runs.
+const missingPlugins = (sites, name) => sites.flatMap((s, i) =>
+  s.plugin && !fs.existsSync(pluginPath(s.plugin)) ? [`${name}[${i}] (${s.key}).plugin: ${s.plugin} does not exist`] : []);
+
+// Loads and validates sites.json; prints every problem and returns null if there are any.
+export function checkSites(file = './sites.json') {
+  let sites;
+  try { sites = loadSites(file); } catch (e) { console.error(e.message); return null; }
+  const problems = validateSites(sites, path.basename(file));
+  return report(file, problems.length ? problems : missingPlugins(sites, path.basename(file))) ? sites : null;
+}
+
+// JSONC file → value, or `fallback` when it doesn't exist; null (problems printed) when invalid.
+function checkFile(file, validate, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  let value;
+  try { value = readJSONC(file); } catch (e) { console.error(e.message); return null; }
+  return report(file, validate(value, path.basename(file))) ? value : null;
+}
+
+/**
+ * Loads config.json (global rules, tags and radius) and venues.json (the venue
+ * registry), both optional. The registry's index rides along as `config._venues`.
+ * Returns null if either has problems.
+ */
+export function checkConfig(file = './config.json', venuesFile = './venues.json') {
+  const config = checkFile(file, validateConfig, {});
+  const registry = checkFile(venuesFile, (v, name) => {
+    const problems = validateVenues(v, name);
+    return problems.length ? problems : venueConflicts(v).map(c => `${name}: ${c}`);
+  }, {});
+  if (!config || !registry) return null;
+
+  const index = venueIndex(registry);
+  const centers = [['radius', config.radius], ...(config.rules || []).map((r, i) => [`rules[${i}].near`, r.near])];
+  const unknown = centers.filter(([, c]) => c && !placeOf(index, c.center))
+    .map(([where, c]) => `${path.basename(file)}.${where}.center: "${c.center}" is not a town or venue in ${path.basename(venuesFile)}`);
+  if (!report(file, unknown)) return null;
+  return { ...config, _venues: index };
+}
+
+// `config` comes from checkConfig: global rules, tags, radius and the venue registry.
+export function applyDefaults(cfg, config = {}) {
+  if (cfg.mode === 'dom') {
+    cfg.item  = cfg.item  || DEFAULT_SELECTORS.item;
+    cfg.title = cfg.title || DEFAULT_SELECTORS.title;
+    cfg.link  = cfg.link  || DEFAULT_SELECTORS.link;
+    cfg.date  = cfg.date  || DEFAULT_SELECTORS.date;
+    cfg.image = cfg.image || DEFAULT_SELECTORS.image;
+  }
+  if (cfg.waitMs == null) cfg.waitMs = 2500;
+
+  cfg._venues = config._venues;
+  cfg._rules = compileRules(cfg, config);
+}
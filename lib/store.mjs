@@ -0,0 +1,156 @@
+// store.mjs — events persisted across runs (data/events.json), so the feed
+// survives a source's bad run, knows when each event was first seen and can
+// tell subscribers what changed.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { diffEvent, statusOf, stripMarkers } from './changes.mjs';
+import { normTitle } from './dedupe.mjs';
+
+export const STORE = {
+  graceMs: 3 * 86400000,  // keep a failing source's events, or removed ones, this long after they were last seen
+  dropRatio: 0.5,         // a source listing under half of its stored events counts as failing…
+  minDropBase: 4,         // …once it had at least this many
+  changesPerEvent: 10,     // change history kept on each event
+  updatesKept: 200         // entries kept for docs/updates.xml
+};
+
+export function loadStore(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch { return { updated: null, events: {} }; }
+}
+
+export function saveStore(file, store) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(store, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Lookup key for an event: the source, its link, its title without decoration
+ * or status markers and its local start day. `start` is ISO with an offset, so
+ * its first ten characters are the day where the event happens. A stored
+ * event keeps the `id` it was first seen with even when its key later changes.
+ */
+export const eventId = (it) => crypto.createHash('sha1')
+  .update([seriesKey(it), (it.start || '').slice(0, 10)].join('|'))
+  .digest('hex').slice(0, 16);
+
+// Everything in the key except the day: the same show on another date shares it.
+const seriesKey = (it) => [it.source || '', it.link || '', normTitle(stripMarkers(it.title))].join('|');
+
+// An event is over once its end (or, without one, its start) has passed. Undated items never expire.
+const isPast = (ev, at) => {
+  const t = Date.parse(ev.end || ev.start || '');
+  return !isNaN(t) && t < at.getTime();
+};
+
+const sourcesOf = (ev) => (ev.sources?.length ? ev.sources : [ev.source]);
+
+/**
+ * Sources whose events are held rather than marked removed this run: those that
+ * errored, and those that came back empty or with far fewer events than the store
+ * holds for them — a Cloudflare page or a changed selector, more likely than a cleared calendar.
+ */
+export function failingSources(store, items, results, now = new Date()) {
+  const counts = (list) => {
+    const n = new Map();
+    for (const x of list) for (const s of sourcesOf(x)) n.set(s, (n.get(s) || 0) + 1);
+    return n;
+  };
+  const current = counts(items);
+  const previous = counts(Object.values(store.events).filter(ev => ev.status !== 'removed' && !isPast(ev, now)));
+  return new Set(results.filter(r => {
+    if (!r.ok) return true;
+    const n = current.get(r.key) || 0, before = previous.get(r.key) || 0;
+    return n === 0 || (before >= STORE.minDropBase && n < before * (1 - STORE.dropRatio));
+  }).map(r => r.key));
+}
+
+// Upcoming first; undated items last, newest first.
+export const byStart = (a, b) =>
+  (!a.start - !b.start) || (a.start ? Date.parse(a.start) - Date.parse(b.start) : 0) || b.firstSeen.localeCompare(a.firstSeen);
+
+/**
+ * Folds this run's merged items into the store and records what changed.
+ *  - a stored event keeps its id, guid and firstSeen; date, venue and status
+ *    changes are appended to its `changes` and to `store.updates`
+ *  - a one-off event that vanished while the same source/link/title appeared
+ *    on another day is the same event, rescheduled
+ *  - events from a site that errored, came back empty or lost most of its
+ *    listings (failingSources) are kept for STORE.graceMs; events a healthy
+ *    site stopped listing are marked "removed" and kept as long, dated or not
+ *  - everything already over is dropped
+ * `results` are the per-site outcomes. Returns the events in feed order plus
+ * what happened this run, with `held`: the sources that reported success but were treated as failing.
+ */
+export function updateStore(store, items, results, { now = new Date() } = {}) {
+  const at = now.toISOString();
+  const failed = failingSources(store, items, results, now);
+  const held = results.filter(r => r.ok && failed.has(r.key)).map(r => r.key);
+  const live = new Set(results.map(r => r.key));
+  const prevByKey = new Map(Object.values(store.events).map(ev => [ev.key || ev.id, ev]));
+  const next = {};
+  const added = [], kept = [], dropped = [], updates = [];
+
+  const track = (prev, it, key) => {
+    const ev = {
+      ...it, id: prev.id, key, guid: prev.guid || it.guid, status: statusOf(it),
+      changes: prev.changes || [], firstSeen: prev.firstSeen || at, lastSeen: at
+    };
+    const found = diffEvent(prev, ev).map(c => ({ ...c, at }));
+    if (found.length) {
+      ev.changes = [...ev.changes, ...found].slice(-STORE.changesPerEvent);
+      updates.push(...found.map(c => ({ ...c, id: ev.id, title: ev.title, link: ev.link })));
+    }
+    next[ev.id] = ev;
+  };
+
+  const unmatched = [];
+  for (const it of items) {
+    if (isPast(it, now)) continue;
+    const key = eventId(it);
+    const prev = prevByKey.get(key);
+    if (!prev) unmatched.push({ it, key });
+    else if (!next[prev.id]) track(prev, it, key);
+  }
+
+  // A vanished event and a new one sharing its series key is a reschedule —
+  // unless the key belongs to a recurring series, where it's one date dropped
+  // and another added.
+  const gone = Object.values(store.events).filter(ev => !next[ev.id] && !isPast(ev, now));
+  const count = (list, k) => list.filter(x => seriesKey(x) === k).length;
+  for (const { it, key } of unmatched) {
+    const sk = seriesKey(it);
+    const candidates = gone.filter(ev => !next[ev.id] && seriesKey(ev) === sk);
+    const series = count(Object.values(next), sk) > 0 || count(unmatched.map(u => u.it), sk) > 1;
+    if (candidates.length === 1 && !series) { track(candidates[0], it, key); continue; }
+    if (next[key]) continue;
+    next[key] = { ...it, id: key, key, status: statusOf(it), changes: [], firstSeen: at, lastSeen: at };
+    added.push(next[key]);
+  }
+
+  for (const ev of Object.values(store.events)) {
+    if (next[ev.id]) continue;
+    const sources = sourcesOf(ev);
+    if (isPast(ev, now) || !sources.some(s => live.has(s))) { dropped.push(ev); continue; }
+    const stale = now - Date.parse(ev.lastSeen) >= STORE.graceMs;
+    if (sources.some(s => failed.has(s))) {
+      if (stale) { dropped.push(ev); continue; }
+      next[ev.id] = ev;
+      kept.push(ev);
+    } else if (ev.status === 'removed') {
+      // undated items never pass, so "no longer listed" needs its own bound
+      if (stale) dropped.push(ev);
+      else next[ev.id] = ev;
+    } else {
+      const change = { type: 'removed', from: ev.status || 'scheduled', to: 'removed', at };
+      next[ev.id] = { ...ev, status: 'removed', changes: [...(ev.changes || []), change].slice(-STORE.changesPerEvent) };
+      updates.push({ ...change, id: ev.id, title: ev.title, link: ev.link });
+    }
+  }
+
+  store.updated = at;
+  store.events = next;
+  store.updates = [...(store.updates || []), ...updates].slice(-STORE.updatesKept);
+  return { events: Object.values(next).sort(byStart), added, kept, dropped, updates, held };
+}
@@ -0,0 +1,46 @@
+// util.mjs — small helpers and paths shared by the scraper modules.
+import path from 'path';
+
+export const OUT_DIR   = path.join(process.cwd(), 'docs');
+export const DEBUG_DIR = path.join(OUT_DIR, 'debug');
+export const SITE_URL  = process.env.SITE_URL || 'https://northatlantaevents.github.io/north-atl-events/';
+
+export const UA_DESKTOP =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36';
+export const UA_MOBILE =
+  'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15A372 Safari/604.1';
+
+export const sleep  = (ms) => new Promise(r => setTimeout(r, ms));
+export const safe   = (v) => (typeof v === 'string' ? v.trim() : (v ?? '') + '');
+export const norm   = (s) => safe(s).toLowerCase().replace(/\s+/g, ' ').trim();
+export const rfc822 = (d) => (d instanceof Date && !isNaN(d) ? d.toUTCString() : '');
+export const isImg  = (u) => /\.(png|jpe?g|gif|webp|avif)(\?.*)?$/i.test(u || '');
+export const esc    = (s) => safe(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+export const slugify = (s) => norm(s).replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+export const pickFirstFromSrcset = (srcset) => {
+  if (!srcset) return '';
+  const first = srcset.split(',')[0] || '';
+  return first.trim().split(/\s+/)[0] || '';
+};
+// An empty href stays empty, so a missing image never resolves to the page itself.
+export const toAbs = (href, base) => {
+  if (!href) return '';
+  try { return new URL(href, base).href; } catch { return href; }
+};
+// `u` when it's an absolute http(s) URL, else '' — feeds and pages link nothing else.
+export const httpUrl = (u) => {
+  try { return /^https?:$/.test(new URL(safe(u)).protocol) ? safe(u) : ''; } catch { return ''; }
+};
+export const pick  = (obj, pathStr) => {
+  if (!pathStr) return undefined;
+  return pathStr.split('.').reduce((o,k)=> (o && (k in o) ? o[k] : undefined), obj);
+};
+
+export function stripJsonComments(str) {
+  str = str.replace(/\/\*[\s\S]*?\*\//g, '');
+  str = str.replace(/(^|\s)\/\/.*$/gm, '');
+  return str;
+}
+
+// The URL a site is scraped from, whatever its mode calls it.
+export const sourceUrl = (cfg) => cfg.url || cfg.api || cfg.ics || cfg.rss || cfg.base;
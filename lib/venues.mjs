@@ -0,0 +1,88 @@
+// venues.mjs — the venue registry (venues.json): canonical names, aliases,
+// addresses and coordinates, so every source's spelling of a venue lands on
+// the same record and events can be placed on a map.
+import { safe } from './util.mjs';
+
+// "The MadLife Stage & Studios" → "madlife stage and studios"
+const nameKey = (s) => safe(s).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim().replace(/^the /, '');
+
+const STREET_WORDS = {
+  street: 'st', road: 'rd', avenue: 'ave', drive: 'dr', boulevard: 'blvd', highway: 'hwy', parkway: 'pkwy',
+  lane: 'ln', court: 'ct', place: 'pl', circle: 'cir', square: 'sq', trail: 'trl',
+  north: 'n', south: 's', east: 'e', west: 'w', northeast: 'ne', northwest: 'nw', southeast: 'se', southwest: 'sw'
+};
+
+// "8480 Main Street, Suite 100, Woodstock" → "8480 main st"; only numbered street addresses get a key.
+const streetKey = (s) => {
+  const words = nameKey(safe(s).split(',')[0]).replace(/\b(suite|ste|unit)\b.*$/, '').split(' ').filter(Boolean);
+  return /^\d+$/.test(words[0] || '') ? words.map(w => STREET_WORDS[w] || w).join(' ') : '';
+};
+
+/** Lookup tables for a parsed venues.json ({ towns, venues }). */
+export function venueIndex(registry = {}) {
+  const byName = new Map(), byStreet = new Map();
+  for (const v of registry.venues || []) {
+    for (const n of [v.name, ...(v.aliases || [])]) byName.set(nameKey(n), v);
+    const k = streetKey(v.address);
+    if (k) byStreet.set(k, v);
+  }
+  const towns = new Map(Object.entries(registry.towns || {}).map(([name, p]) => [nameKey(name), p]));
+  return { venues: registry.venues || [], byName, byStreet, towns };
+}
+
+// Registry entries that share a name or alias; venues.json can't be ambiguous.
+export function venueConflicts(registry = {}) {
+  const seen = new Map(), out = [];
+  for (const v of registry.venues || []) {
+    for (const n of new Set([v.name, ...(v.aliases || [])].map(nameKey))) {
+      if (seen.has(n) && seen.get(n) !== v.name) out.push(`"${n}" names both ${seen.get(n)} and ${v.name}`);
+      else seen.set(n, v.name);
+    }
+  }
+  return out;
+}
+
+/**
+ * The registry venue an item is at: by name or alias first, then by street
+ * address. An ICS LOCATION ("Madlife, Woodstock") is tried both ways.
+ */
+export function findVenue(index, it) {
+  const loc = safe(it.location);
+  const names = [it.venue, loc, loc.split(',')[0]];
+  for (const n of names) { const v = n && index.byName.get(nameKey(n)); if (v) return v; }
+  for (const a of [it.address, loc]) { const k = streetKey(a); if (k && index.byStreet.has(k)) return index.byStreet.get(k); }
+  return null;
+}
+
+/** A place to measure from: `{ lat, lng }`, or a town or venue named in the registry. */
+export function placeOf(index, center) {
+  if (typeof center !== 'string') return center || null;
+  const key = nameKey(center);
+  const p = index?.towns.get(key) || index?.byName.get(key);
+  return p && p.lat != null ? { lat: p.lat, lng: p.lng } : null;
+}
+
+// Great-circle distance in miles.
+export function milesBetween(a, b) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const h = Math.sin(rad(b.lat - a.lat) / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(rad(b.lng - a.lng) / 2) ** 2;
+  return 3958.8 * 2 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Gives items at a known venue their canonical name, address, coordinates and
+ * website. A site's own `town` stays; the registry's fills it when missing.
+ */
+export function resolveVenues(items, index) {
+  if (!index) return items;
+  return items.map(it => {
+    const v = findVenue(index, it);
+    if (!v) return it;
+    const out = { ...it, venue: v.name, town: it.town || v.town || '', address: v.address || it.address || '' };
+    if (v.lat != null) Object.assign(out, { lat: v.lat, lng: v.lng });
+    if (v.website) out.venueUrl = v.website;
+    return out;
+  });
+}
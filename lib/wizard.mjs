@@ -0,0 +1,209 @@
+// wizard.mjs — `node scraper.mjs wizard <url> [key]`: loads a venue page the
+// way scrapeDOM does, finds the repeated event cards and proposes a dom entry.
+import fs from 'fs';
+import path from 'path';
+import { LOAD_MORE_SEL, NEXT_LINK_SEL, openBrowser, openSitePage } from './browser.mjs';
+import { eventDates } from './dates.mjs';
+import { extractCard } from './modes.mjs';
+import { validateSites } from './schema.mjs';
+import { DEBUG_DIR, slugify } from './util.mjs';
+
+// Month names, weekdays, m/d and clock times: enough to tell a date line from a title.
+export const DATE_RE = String.raw`\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}\b|\b\d{1,2}\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)|\b(mon|tue|wed|thu|fri|sat|sun)[a-z]*\b|\b\d{1,2}\/\d{1,2}\b|\b\d{1,2}(:\d{2})?\s*[ap]\.?m\b|\b\d{4}-\d{2}-\d{2}`;
+
+/**
+ * Runs inside the page. Groups sibling elements sharing a tag and class list,
+ * scores each group as a card list (size, links, dates, images), then ranks
+ * selectors inside the best groups' cards for each field by how many cards
+ * they match. Must stay self-contained: Playwright serializes it.
+ */
+export function analyzePage({ dateRe, minCards = 3, keep = 3 }) {
+  const DATE = new RegExp(dateRe, 'i');
+  const esc = (s) => (window.CSS && CSS.escape ? CSS.escape(s) : s.replace(/[^\w-]/g, '\\$&'));
+  const classesOf = (el) => [...el.classList]
+    .filter(c => c.length < 40 && !/\d{3,}|^(active|selected|odd|even|first|last)$|^(is|has|js)-/.test(c)).sort();
+  const sig = (el) => el.tagName.toLowerCase() + classesOf(el).map(c => '.' + esc(c)).join('');
+  const textOf = (el) => (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+  const hasBg = (el) => /url\(/.test(el.getAttribute('style') || '');
+
+  // ---------- card groups ----------
+  const groups = new Map();
+  for (const parent of document.querySelectorAll('body, body *')) {
+    if (parent.children.length < minCards) continue;
+    const bySig = new Map();
+    for (const kid of parent.children) {
+      if (/^(script|style|br|hr|option)$/i.test(kid.tagName)) continue;
+      const s = sig(kid);
+      bySig.set(s, [...(bySig.get(s) || []), kid]);
+    }
+    for (const [s, els] of bySig) {
+      if (els.length < minCards) continue;
+      // a bare tag ("li", "div") needs its parent to mean anything
+      const sel = s.includes('.') ? s : `${sig(parent)} > ${s}`;
+      const prev = groups.get(sel);
+      groups.set(sel, prev ? { sel, els: [...prev.els, ...els] } : { sel, els });
+    }
+  }
+
+  const scored = [...groups.values()].map(g => {
+    const n = g.els.length;
+    const frac = (test) => g.els.filter(test).length / n;
+    const link = frac(el => el.matches('a[href]') || !!el.querySelector('a[href]'));
+    const date = frac(el => DATE.test(textOf(el)) || !!el.querySelector('time, [datetime]'));
+    const image = frac(el => !!el.querySelector('img, [style*="background-image"]') || hasBg(el));
+    const len = g.els.reduce((a, el) => a + textOf(el).length, 0) / n;
+    const shape = len < 15 ? 0.1 : len > 1500 ? 0.3 : 1;
+    const matches = document.querySelectorAll(g.sel).length;
+    return {
+      sel: g.sel, els: g.els, count: n, matches, link, date, image,
+      score: n * (0.2 + link) * (0.2 + date) * (0.8 + 0.2 * image) * shape * (matches > n * 1.5 ? 0.5 : 1)
+    };
+  }).filter(g => g.link > 0 && g.score > 0).sort((a, b) => b.score - a.score).slice(0, keep);
+
+  // ---------- fields inside the cards ----------
+  const fieldsFor = (cards) => {
+    const cand = new Map();
+    cards.forEach((card, i) => {
+      for (const el of card.querySelectorAll('*')) {
+        const s = sig(el);
+        const c = cand.get(s) || { sel: s, cards: new Set(), texts: [], heading: /^H[1-6]$/.test(el.tagName) };
+        c.cards.add(i);
+        if (c.texts.length < 20) c.texts.push(textOf(el));
+        c.href = c.href || el.matches('a[href]');
+        c.img = c.img || el.matches('img, [data-src]') || hasBg(el);
+        c.time = c.time || el.matches('time, [datetime]');
+        cand.set(s, c);
+      }
+    });
+    const all = [...cand.values()].map(c => ({
+      ...c,
+      coverage: c.cards.size / cards.length,
+      dateish: c.texts.filter(t => DATE.test(t)).length / Math.max(1, c.texts.length),
+      avgLen: c.texts.reduce((a, t) => a + t.length, 0) / Math.max(1, c.texts.length)
+    }));
+    const rank = (list, bonus) => list
+      .map(c => ({ sel: c.sel, coverage: c.coverage, score: c.coverage * bonus(c) }))
+      .filter(c => c.score > 0).sort((a, b) => b.score - a.score).slice(0, keep);
+    return {
+      title: rank(all.filter(c => c.avgLen >= 3 && c.avgLen <= 160 && c.dateish < 0.5),
+        c => 1 + (c.heading ? 1 : 0) + (/title|name|head/i.test(c.sel) ? 0.5 : 0) - (c.img ? 1 : 0)),
+      link: rank(all.filter(c => c.href), c => 1 + (c.avgLen > 3 ? 0.5 : 0)),
+      date: rank(all.filter(c => c.time || c.dateish >= 0.6),
+        // the tightest element wins over the wrappers around it
+        c => 1 + (c.time ? 0.5 : 0) + (/date|time|when|day/i.test(c.sel) ? 0.5 : 0) + 20 / (20 + c.avgLen)),
+      image: rank(all.filter(c => c.img), c => 1 + (/^img/.test(c.sel) ? 0.5 : 0))
+    };
+  };
+
+  const withFields = scored.map(g => ({ ...g, fields: fieldsFor(g.els) }));
+
+  // mark the winner for the screenshot
+  const best = withFields[0];
+  if (best) {
+    best.els.forEach(el => el.setAttribute('data-wizard', 'item'));
+    for (const [field, list] of Object.entries(best.fields)) {
+      if (!list[0]) continue;
+      best.els.forEach(card => { const el = card.querySelector(list[0].sel); if (el) el.setAttribute('data-wizard', field); });
+    }
+  }
+
+  const jsonld = [...document.querySelectorAll('script[type="application/ld+json"]')].reduce((n, s) => {
+    try {
+      const json = JSON.parse(s.textContent || '');
+      const nodes = [json].flat().flatMap(x => [x, ...(Array.isArray(x?.['@graph']) ? x['@graph'] : [])]);
+      return n + nodes.filter(x => [x?.['@type']].flat().some(t => /Event$/.test(t || ''))).length;
+    } catch { return n; }
+  }, 0);
+
+  // WordPress event plugins with their own modes
+  const platform = document.querySelector('[class*="tribe-events"], link[href*="/wp-json/tribe/"]') ? 'tribe'
+    : document.querySelector('[class*="mec-event"], [class*="mec-wrap"]') ? 'mec' : '';
+
+  return {
+    jsonld,
+    platform,
+    groups: withFields.map(g => ({
+      item: g.sel, count: g.count, matches: g.matches,
+      link: g.link, date: g.date, image: g.image, score: g.score, fields: g.fields
+    }))
+  };
+}
+
+const OUTLINE = `
+  [data-wizard] { outline-offset: -2px !important; }
+  [data-wizard="item"]  { outline: 3px solid #e53935 !important; }
+  [data-wizard="title"] { outline: 2px solid #1e88e5 !important; }
+  [data-wizard="link"]  { outline: 2px dashed #8e24aa !important; }
+  [data-wizard="date"]  { outline: 2px solid #43a047 !important; }
+  [data-wizard="image"] { outline: 3px solid #fb8c00 !important; }
+  [data-wizard="item"]::before { content: "item"; position: absolute; background: #e53935; color: #fff; font: 11px sans-serif; padding: 1px 4px; z-index: 99999; }
+`;
+
+const pct = (x) => `${Math.round(x * 100)}%`;
+
+/** Proposes a sites.json dom entry for `url`; prints it with rankings and a preview. */
+export async function wizard(url, { key, previewCount = 5 } = {}) {
+  const host = new URL(url).hostname.replace(/^www\./, '');
+  const cfg = { key: key || slugify(host.split('.').slice(0, -1).join('-')) || 'new_site', mode: 'dom', url, waitMs: 2500 };
+
+  const { browser, pool } = await openBrowser({ poolSize: 1 });
+  try {
+    const { ctx, page } = await openSitePage(pool, cfg);
+    const found = await page.evaluate(analyzePage, { dateRe: DATE_RE });
+
+    console.log(`\n${url}`);
+    console.log(`JSON-LD Event blocks: ${found.jsonld}`);
+    if (found.platform) {
+      const name = { tribe: 'The Events Calendar', mec: 'Modern Events Calendar' }[found.platform];
+      console.log(`This looks like ${name}; its own mode needs no selectors:\n${JSON.stringify({ key: cfg.key, mode: found.platform, base: new URL(url).origin }, null, 2)}`);
+    }
+    if (!found.groups.length) {
+      console.log('No repeated card structure found.');
+      if (found.jsonld) console.log(`Try:\n${JSON.stringify({ key: cfg.key, mode: 'jsonld', url }, null, 2)}`);
+      await pool.release(ctx);
+      return null;
+    }
+
+    console.log('\nCard candidates:');
+    for (const g of found.groups) {
+      console.log(`  ${g.item}  — ${g.count} card(s), links ${pct(g.link)}, dates ${pct(g.date)}, images ${pct(g.image)}`);
+    }
+    const best = found.groups[0];
+    for (const field of ['title', 'link', 'date', 'image']) {
+      const list = best.fields[field];
+      console.log(`\n${field}:`);
+      if (!list.length) console.log('  (none — the default selectors will be used)');
+      for (const c of list) console.log(`  ${c.sel}  — ${pct(c.coverage)} of cards`);
+    }
+
+    const entry = { key: cfg.key, mode: 'dom', url, item: best.item };
+    for (const field of ['title', 'link', 'date', 'image']) if (best.fields[field][0]) entry[field] = best.fields[field][0].sel;
+    if (found.jsonld) entry.jsonldFirst = true;
+    if (await page.$(NEXT_LINK_SEL)) entry.pagination = { type: 'next-link' };
+    else if (await page.$(LOAD_MORE_SEL)) entry.pagination = { type: 'click' };
+
+    const problems = validateSites([entry]);
+    if (problems.length) console.warn(`\nThe proposed entry has problems:\n  - ${problems.join('\n  - ')}`);
+
+    // preview with the same extraction scrapeDOM uses
+    const previewCfg = { ...entry, title: entry.title || 'h1, h2, h3', link: entry.link || 'a[href]', date: entry.date || 'time', image: entry.image || 'img' };
+    console.log('\nPreview:');
+    for (const el of (await page.locator(entry.item).elementHandles()).slice(0, previewCount)) {
+      const row = await extractCard(el, previewCfg);
+      const when = eventDates(row.date, previewCfg);
+      console.log(`  • ${row.title || '(no title)'}\n    ${when.start || `date? "${row.date}"`}\n    ${row.href || '(no link)'}${row.imageUrl ? `\n    ${row.imageUrl}` : ''}`);
+    }
+
+    fs.mkdirSync(DEBUG_DIR, { recursive: true });
+    const shot = path.join(DEBUG_DIR, `wizard-${entry.key}.png`);
+    await page.addStyleTag({ content: OUTLINE });
+    await page.screenshot({ path: shot, fullPage: true });
+    console.log(`\nAnnotated screenshot → ${path.relative(process.cwd(), shot)} (red: item, blue: title, purple: link, green: date, orange: image)`);
+
+    console.log(`\nsites.json entry:\n${JSON.stringify(entry, null, 2)}`);
+    await pool.release(ctx);
+    return entry;
+  } finally {
+    await browser.close();
+  }
+}
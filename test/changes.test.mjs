@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { annotate, diffEvent, statusOf, stripMarkers } from '../lib/changes.mjs';
+
+test('reads status markers from titles', () => {
+  assert.equal(statusOf({ title: 'CANCELLED: The Band' }), 'cancelled');
+  assert.equal(statusOf({ title: '[Woodstock] The Band - postponed' }), 'postponed');
+  assert.equal(statusOf({ title: 'The Band (Sold Out)' }), 'sold-out');
+  assert.equal(statusOf({ title: 'Cancelled Plans with Friends' }), 'scheduled');
+});
+
+test('strips markers so identity survives them', () => {
+  assert.equal(stripMarkers('CANCELLED: The Band'), 'The Band');
+  assert.equal(stripMarkers('[Woodstock] The Band — SOLD-OUT!'), '[Woodstock] The Band');
+  assert.equal(stripMarkers('Cancelled Plans with Friends'), 'Cancelled Plans with Friends');
+});
+
+test('annotates removed and rescheduled events', () => {
+  const removed = annotate({ title: '[Woodstock] The Band', status: 'removed', description: 'Madlife' });
+  assert.equal(removed.title, '[Woodstock] NO LONGER LISTED: The Band');
+
+  const moved = annotate({
+    title: 'The Band', status: 'scheduled', description: 'Madlife',
+    changes: [{ type: 'moved', from: '2026-10-23T20:00:00-04:00', to: '2026-10-24T20:00:00-04:00' }]
+  });
+  assert.equal(moved.description, 'Rescheduled from Fri, Oct 23, 8:00 PM. Madlife');
+
+  const cancelled = { title: 'CANCELLED: The Band', status: 'cancelled' };
+  assert.equal(annotate(cancelled), cancelled);
+});
+
+test('a time appearing on an all-day date is not a reschedule', () => {
+  const prev = { start: '2026-10-23T00:00:00-04:00', allDay: true };
+  assert.deepEqual(diffEvent(prev, { start: '2026-10-23T20:00:00-04:00', allDay: false, status: 'scheduled' }), []);
+  assert.equal(diffEvent(prev, { start: '2026-10-24T20:00:00-04:00', allDay: false, status: 'scheduled' })[0].type, 'moved');
+});
+
+test('schema.org eventStatus outranks the title', () => {
+  assert.equal(statusOf({ title: 'The Band', eventStatus: 'cancelled' }), 'cancelled');
+});
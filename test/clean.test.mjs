@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { cleanItems, decodeEntities, sanitizeHtml, truncate } from '../lib/clean.mjs';
+import { validateSites } from '../lib/schema.mjs';
+
+const SITE = { key: 'eb', mode: 'rss', rss: 'https://example.org/feed.xml', town: 'Roswell' };
+
+test('sanitizes HTML to the allowlist', () => {
+  const html = sanitizeHtml(`
+    <div style="color:red" onclick="steal()"><h1 class="x">Big   Night</h1>
+      <p>Doors at <strong style="font-weight:900">7</strong>.<script>track()</script></p>
+      <style>p { color: red }</style><iframe src="https://ads.example.com"></iframe>
+      <p><a href="/tickets?id=1" target="_blank">Tickets</a> · <a href="javascript:alert(1)">click</a></p>
+      <img src="/img/poster.jpg" width="600" alt="Poster"><img src="https://t.example.com/o.gif" width="1" height="1">
+      <img src="https://www.facebook.com/tr?id=123"><!-- comment --><font face="Arial">Old markup</font>
+    </div>`, 'https://example.org/events/big-night');
+  assert.equal(html,
+    '<h2>Big Night</h2> <p>Doors at <strong>7</strong>.</p> ' +
+    '<p><a href="https://example.org/tickets?id=1">Tickets</a> · click</p> ' +
+    '<img src="https://example.org/img/poster.jpg" alt="Poster"> Old markup');
+});
+
+test('decodes entities without reading tags', () => {
+  assert.equal(decodeEntities('Rock &amp; Roll &lt;Live&gt; &#8211; caf&eacute; <b>'), 'Rock & Roll <Live> – café <b>');
+  assert.equal(decodeEntities('\n&amp; first line kept'), '\n& first line kept');
+});
+
+test('cleans titles, descriptions and boilerplate on every item', () => {
+  const [item] = cleanItems([{
+    title: '[Roswell] Jazz   Night\n| Buy Tickets\nSOLD OUT',
+    link: 'https://example.org/events/jazz',
+    venue: ' The  Velvet Room ',
+    description: '<p>An evening of jazz&nbsp;standards.</p><p><a href="/rsvp">Learn More</a></p><p>Sponsored by Acme Bank</p>'
+  }], { ...SITE, clean: { strip: ['Sponsored by Acme Bank'] } });
+  assert.equal(item.title, '[Roswell] Jazz Night | SOLD OUT');
+  assert.equal(item.venue, 'The Velvet Room');
+  assert.equal(item.html, '<p>An evening of jazz standards.</p>');
+  assert.equal(item.description, 'An evening of jazz standards.');
+  assert.equal(item.summary, undefined);
+});
+
+test('item links resolve and only http(s) ones stay', () => {
+  const [card, tickets] = cleanItems([
+    { title: 'Card', link: 'javascript:void(0)', ticketUrl: '/tickets/9', image: 'data:image/gif;base64,R0lGOD', venueUrl: 'mailto:box@example.org' },
+    { title: 'Show', link: '/events/show', ticketUrl: 'tickets', image: '//cdn.example.org/p.jpg' }
+  ], SITE);
+  assert.deepEqual([card.link, card.ticketUrl, card.image, card.venueUrl], ['', 'https://example.org/tickets/9', '', '']);
+  assert.deepEqual([tickets.link, tickets.ticketUrl, tickets.image],
+    ['https://example.org/events/show', 'https://example.org/events/tickets', 'https://cdn.example.org/p.jpg']);
+});
+
+test('plain descriptions keep their paragraphs', () => {
+  const [item] = cleanItems([{ title: 'x', description: 'One  line\nnext line\n\n\n  Second &amp; last  ' }], SITE);
+  assert.equal(item.description, 'One line\nnext line\n\nSecond & last');
+  assert.equal(item.html, undefined);
+});
+
+test('long descriptions are cut, with a summary', () => {
+  const para = (n) => `Paragraph ${n} ${'words and more words '.repeat(8).trim()}.`;
+  const [item] = cleanItems([{
+    title: 'Long',
+    link: 'https://example.org/e',
+    description: [1, 2, 3, 4].map(n => `<p>${para(n)}</p>`).join('')
+  }], { ...SITE, clean: { maxLength: 400, summaryLength: 100 } });
+  assert.ok(item.description.length <= 400 && item.description.endsWith('…'));
+  assert.ok(item.summary.length <= 100 && item.summary.endsWith('…'));
+  assert.equal(item.html, `<p>${para(1)}</p><p>${para(2)}</p><p>…</p>`);
+
+  assert.equal(truncate('short', 10), 'short');
+  assert.equal(truncate('a sentence that runs past the limit', 20), 'a sentence that…');
+  assert.match(validateSites([{ ...SITE, clean: { strip: ['/(unclosed/'] } }])[0], /clean\.strip/);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { eventDates, findDateText, isoInZone, parseEventDate } from '../lib/dates.mjs';
+
+process.env.SCRAPER_NOW ||= '2026-10-15T12:00:00Z';
+
+// [start, end, allDay] as Eastern ISO strings, or null
+const parse = (s) => {
+  const r = parseEventDate(s);
+  return r && [isoInZone(r.start), r.end ? isoInZone(r.end) : null, r.allDay];
+};
+
+test('ISO date ranges run through their last day', () => {
+  const weekend = ['2026-10-25T00:00:00-04:00', '2026-10-28T00:00:00-04:00', true];
+  assert.deepEqual(parse('2026-10-25 to 2026-10-27'), weekend);
+  assert.deepEqual(parse('2026-10-25 - 2026-10-27'), weekend);
+  assert.deepEqual(parse('2026-10-25T19:00 - 2026-10-25T22:00'), ['2026-10-25T19:00:00-04:00', '2026-10-25T22:00:00-04:00', false]);
+});
+
+test('a separate date-only end runs through that day', () => {
+  const cfg = { tz: 'America/New_York' };
+  assert.equal(eventDates('2026-10-24', cfg, '2026-10-26').end, '2026-10-27T00:00:00-04:00');
+  assert.equal(eventDates('2026-10-24T19:00', cfg, '2026-10-24T22:00').end, '2026-10-24T22:00:00-04:00');
+});
+
+test('days a month doesn\'t have are not dates', () => {
+  assert.equal(parse('Jan 32'), null);
+  assert.equal(parse('Feb 30, 2027'), null);
+  assert.equal(parse('2026-02-30'), null);
+  assert.deepEqual(parse('Feb 29, 2028'), ['2028-02-29T00:00:00-05:00', null, true]);
+});
+
+test('a time skipped by spring-forward moves on by the gap; a repeated one is the first', () => {
+  assert.deepEqual(parse('Mar 8, 2026 2:30am'), ['2026-03-08T03:30:00-04:00', null, false]);
+  assert.deepEqual(parse('Mar 8, 2026 3:30am'), ['2026-03-08T03:30:00-04:00', null, false]);
+  assert.deepEqual(parse('Nov 1, 2026 1:30am'), ['2026-11-01T01:30:00-04:00', null, false]);
+});
+
+test('finds the date in running text', () => {
+  assert.equal(findDateText('Join us Fri, Oct 23, 7 - 10pm on the Square'), 'Fri, Oct 23, 7 - 10pm');
+  assert.equal(findDateText('Open October 24th through 26th, 2026 in the park'), 'October 24th through 26th, 2026');
+  assert.equal(findDateText('Runs 2026-10-25 to 2026-10-27.'), '2026-10-25 to 2026-10-27');
+  assert.equal(findDateText('You may 5 times, or on May 6'), 'May 6');
+  assert.equal(findDateText('Chalk art & craft beer'), '');
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { digestDue, digestMarkdown, digestWindow, lastSent, markSent, selectDigest, sendDigest } from '../lib/digest.mjs';
+import { validateConfig } from '../lib/schema.mjs';
+
+const SITES = [{ key: 'venue', priority: 10 }, { key: 'eventbrite', priority: 0 }];
+const ev = (id, start, extra = {}) => ({ id, guid: id, title: id, start, source: 'eventbrite', town: 'Roswell', ...extra });
+const ITEMS = [
+  ev('wednesday', '2026-10-14T19:00:00-04:00'),
+  ev('plain', '2026-10-16T20:00:00-04:00'),
+  ev('from-the-venue', '2026-10-16T21:00:00-04:00', { source: 'venue' }),
+  ev('with-a-poster', '2026-10-16T22:00:00-04:00', { image: 'https://example.org/p.jpg' }),
+  ev('in-woodstock', '2026-10-16T19:00:00-04:00', { town: 'Woodstock', venue: 'MadLife', price: '$20' }),
+  ev('called-off', '2026-10-17T20:00:00-04:00', { status: 'cancelled' }),
+  ev('sunday-fair', '2026-10-18T00:00:00-04:00', { allDay: true, town: '' }),
+  ev('next-week', '2026-10-22T20:00:00-04:00')
+];
+
+test('the window is the one under way, else the next', () => {
+  assert.deepEqual(digestWindow('2026-10-13'), { start: '2026-10-15', end: '2026-10-18' });
+  assert.deepEqual(digestWindow('2026-10-17'), { start: '2026-10-15', end: '2026-10-18' });
+  assert.deepEqual(digestWindow('2026-10-17', { from: 'fri', to: 'mon' }), { start: '2026-10-16', end: '2026-10-19' });
+  assert.deepEqual(digestWindow('2026-10-17', { from: 'sat', to: 'sat' }), { start: '2026-10-17', end: '2026-10-17' });
+});
+
+test('picks the window, ranked by image then source priority, by day and town', () => {
+  const d = selectDigest(ITEMS, {}, { sites: SITES, today: '2026-10-15' });
+  assert.equal(d.count, 5);
+  assert.deepEqual(d.days.map(x => [x.day, x.towns.map(t => [t.town, t.items.map(i => i.id)])]), [
+    ['2026-10-16', [['Roswell', ['with-a-poster', 'from-the-venue', 'plain']], ['Woodstock', ['in-woodstock']]]],
+    ['2026-10-18', [['Around North ATL', ['sunday-fair']]]]
+  ]);
+  assert.equal(selectDigest(ITEMS, { max: 2 }, { sites: SITES, today: '2026-10-15' }).count, 2);
+
+  const text = digestMarkdown(d);
+  assert.match(text, /^# This weekend in North ATL\n\nOctober 15 – October 18 · 5 events\n\n## Friday, October 16\n\n### Roswell\n/);
+  assert.match(text, /- \*\*\[in-woodstock\]\(https:\/\/\S+\/event\/in-woodstock\.html\)\*\* — 7:00 PM · MadLife · \$20/);
+  assert.match(text, /- \*\*\[sunday-fair\]\(\S+\)\*\* — All day/);
+  assert.deepEqual(validateConfig({ digest: { from: 'fri', to: 'sun', email: { to: ['me@example.org'], smtp: { host: 'localhost', port: 1025 } } } }), []);
+  assert.match(validateConfig({ digest: { from: 'friday' } })[0], /digest\.from/);
+});
+
+test('an all-day event that ended the night before the window isn\'t in it', () => {
+  const fairs = [
+    ev('mon-to-wed', '2026-10-19T00:00:00-04:00', { allDay: true, end: '2026-10-22T00:00:00-04:00' }),
+    ev('wed-to-thu', '2026-10-21T00:00:00-04:00', { allDay: true, end: '2026-10-23T00:00:00-04:00' })
+  ];
+  const d = selectDigest(fairs, {}, { sites: SITES, today: '2026-10-22' });
+  assert.deepEqual(d.days.map(x => [x.day, x.towns.flatMap(t => t.items.map(i => i.id))]), [['2026-10-22', ['wed-to-thu']]]);
+});
+
+// Just enough SMTP to take one message.
+async function smtpServer(t) {
+  const received = [];
+  const server = net.createServer(socket => {
+    let data = null, buffer = '';
+    const reply = (line) => socket.write(line + '\r\n');
+    reply('220 test ESMTP');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let at;
+      while ((at = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, at);
+        buffer = buffer.slice(at + 2);
+        if (data && line === '.') { received.push(data.join('\n')); data = null; reply('250 queued'); }
+        else if (data) data.push(line);
+        else if (/^DATA/i.test(line)) { data = []; reply('354 go ahead'); }
+        else if (/^QUIT/i.test(line)) { reply('221 bye'); socket.end(); }
+        else reply('250 ok');
+      }
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  t.after(() => new Promise(r => server.close(r)));
+  return { port: server.address().port, received };
+}
+
+test('due once per window, from the first run after it opens', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'sent.json');
+  const at = (today, opts = {}) => selectDigest(ITEMS, opts, { today });
+
+  assert.equal(digestDue(at('2026-10-14'), lastSent(file), '2026-10-14'), false, 'Wednesday is before the window');
+  // Thursday's runs were missed; Saturday's still sends, once
+  const d = at('2026-10-17');
+  assert.equal(digestDue(d, lastSent(file), '2026-10-17'), true);
+  markSent(file, d);
+  assert.equal(lastSent(file).start, '2026-10-15');
+  assert.equal(digestDue(at('2026-10-18'), lastSent(file), '2026-10-18'), false);
+  assert.equal(digestDue(at('2026-10-22'), lastSent(file), '2026-10-22'), true, 'the next window');
+  // config.json `from` moves when the window opens
+  assert.equal(digestDue(at('2026-10-22', { from: 'fri' }), lastSent(file), '2026-10-22'), false);
+  assert.equal(digestDue(at('2026-10-23', { from: 'fri' }), lastSent(file), '2026-10-23'), true);
+});
+
+test('sends through SMTP to a local server', async (t) => {
+  const { port, received } = await smtpServer(t);
+  const d = selectDigest(ITEMS, {}, { sites: SITES, today: '2026-10-15' });
+  await sendDigest(d, { from: 'events@example.org', to: ['me@example.org'], smtp: { host: '127.0.0.1', port } });
+  assert.equal(received.length, 1);
+  assert.match(received[0], /^Subject: =\?UTF-8\?Q\?This_weekend_in_North_ATL=3A_October_15/m);
+  assert.match(received[0], /^To: me@example\.org$/m);
+  assert.match(received[0], /Content-Type: text\/html/);
+  await assert.rejects(sendDigest(d, { to: [] }), /nobody to send to/);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { enrichItems } from '../lib/enrich.mjs';
+
+const PAGE = `<html><head><meta property="og:image" content="/og.jpg">
+<script type="application/ld+json">{"@type":"Event","name":"Gig","startDate":"2026-10-23T20:00:00-04:00",
+"offers":[{"price":15},{"price":"25.00"}]}</script></head></html>`;
+
+const site = (extra = {}) => {
+  const calls = [];
+  const cfg = {
+    key: 'x', mode: 'json', api: 'https://venue.test/api', ...extra,
+    _fetch: async (url) => { calls.push(url); return new Response(PAGE, { status: 200 }); }
+  };
+  return { cfg, calls };
+};
+const item = (n) => ({ title: `Gig ${n}`, link: `https://venue.test/e/${n}`, description: 'Venue — Oct 23', start: '', dateUnparsed: true });
+
+test('caches detail pages per URL and caps fetches per run', async () => {
+  const { cfg, calls } = site({ detail: { max: 2 } });
+  const first = await enrichItems([item(1), item(2), item(3)], cfg);
+  assert.equal(calls.length, 2);
+  assert.equal(first[0].price, '$15–$25');
+  assert.equal(first[0].start, '2026-10-23T20:00:00-04:00');
+  assert.equal(first[0].image, 'https://venue.test/og.jpg');
+  assert.equal(first[2].price, undefined);
+
+  const second = await enrichItems([item(1), item(2), item(3)], cfg);
+  assert.deepEqual(calls.slice(2), ['https://venue.test/e/3']);
+  assert.equal(second[2].price, '$15–$25');
+});
+
+test('only fills missing images when a site has no detail block', async () => {
+  const { cfg, calls } = site({ mode: 'dom', url: 'https://venue.test/events' });
+  const [withImage, without] = await enrichItems([{ ...item(1), image: 'https://venue.test/a.jpg' }, item(2)], cfg);
+  assert.equal(calls.length, 1);
+  assert.equal(withImage.image, 'https://venue.test/a.jpg');
+  assert.equal(without.image, 'https://venue.test/og.jpg');
+  assert.equal(without.price, undefined);
+
+  const { cfg: other, calls: none } = site();
+  await enrichItems([item(1)], other);
+  assert.equal(none.length, 0);
+});
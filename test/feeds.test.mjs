@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { XMLParser } from 'fast-xml-parser';
+import { validateAtom, validateRSS } from '../lib/feedcheck.mjs';
+import { buildAtom, buildRSS, buildUpdatesRSS, writeChecked, writeOutputs } from '../lib/outputs.mjs';
+import { validateConfig } from '../lib/schema.mjs';
+
+const CHANNEL = { title: 'Events', link: 'https://example.org/', description: 'Things to do', language: 'en-us', feedUrl: 'https://example.org/feed.xml' };
+const ITEMS = [
+  {
+    title: '[Roswell] Rock & Roll <Live>',
+    link: 'https://example.com/e?id=1&ref=feed',
+    guid: 'https://example.com/e?id=1#rock and roll#2026-10-23',
+    description: 'Doors at 7 — bring <friends> ]]> and earplugs',
+    image: 'https://example.com/poster.PNG?w=800&h=600',
+    start: '2026-10-23T20:00:00-04:00',
+    end: '2026-10-23T23:00:00-04:00',
+    venue: 'Roswell Cultural Arts Center',
+    town: 'Roswell',
+    tags: ['music'],
+    lat: 34.0271,
+    lng: -84.3589,
+    firstSeen: '2026-10-01T09:30:00.000Z'
+  },
+  { title: 'Harvest Fair', guid: 'fair', start: '2026-10-24T00:00:00-04:00', allDay: true, description: 'All day \u0007fun' }
+];
+
+const parse = (xml) => new XMLParser({ ignoreAttributes: false }).parse(xml);
+
+test('RSS escapes text and carries HTML in a real CDATA section', () => {
+  const xml = buildRSS(ITEMS, CHANNEL);
+  assert.deepEqual(validateRSS(xml), []);
+  assert.doesNotMatch(xml, /&lt;!\[CDATA\[/);
+  assert.doesNotMatch(xml, /\u0007/);
+
+  const [show, fair] = parse(xml).rss.channel.item;
+  assert.equal(show.title, '[Roswell] Rock & Roll <Live>');
+  assert.equal(show.description,
+    '<p><img src="https://example.com/poster.PNG?w=800&amp;h=600" alt=""/></p><p>Doors at 7 — bring &lt;friends&gt; ]]&gt; and earplugs</p>');
+  assert.deepEqual(show.enclosure, { '@_url': 'https://example.com/poster.PNG?w=800&h=600', '@_length': '0', '@_type': 'image/png' });
+  assert.equal(show.guid['@_isPermaLink'], 'false');
+  assert.equal(show.pubDate, 'Thu, 01 Oct 2026 09:30:00 GMT');
+  assert.equal(show['ev:startdate'], '2026-10-23T20:00:00-04:00');
+  assert.equal(show['ev:location'], 'Roswell Cultural Arts Center, Roswell');
+  assert.equal(fair['ev:startdate'], '2026-10-24');
+});
+
+test('the channel comes from config, with a self link', () => {
+  const { channel } = parse(buildRSS([], CHANNEL)).rss;
+  assert.equal(channel.link, 'https://example.org/');
+  assert.equal(channel.language, 'en-us');
+  assert.equal(channel['atom:link']['@_href'], 'https://example.org/feed.xml');
+  assert.deepEqual(validateConfig({ channel: { title: 'Mine', link: 'https://example.net/', language: 'en-us' } }), []);
+  assert.match(validateConfig({ channel: { link: 'example.net' } })[0], /channel\.link/);
+});
+
+test('Atom entries have IRI ids, dates and event elements', () => {
+  const xml = buildAtom(ITEMS, { ...CHANNEL, feedUrl: 'https://example.org/feed.atom' });
+  assert.deepEqual(validateAtom(xml), []);
+  const { feed } = parse(xml);
+  assert.equal(feed.id, 'https://example.org/feed.atom');
+  const [show, fair] = feed.entry;
+  assert.match(show.id, /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  assert.equal(show.id, parse(buildAtom(ITEMS, CHANNEL)).feed.entry[0].id);
+  assert.equal(show.published, '2026-10-01T09:30:00.000Z');
+  assert.equal(show.link[1]['@_rel'], 'enclosure');
+  assert.deepEqual(show.category.map(c => c['@_term']), ['Roswell', 'Roswell Cultural Arts Center', 'music']);
+  assert.equal(show['ev:enddate'], '2026-10-23T23:00:00-04:00');
+  assert.equal(fair.updated, feed.updated);
+});
+
+test('the validators catch what readers choke on', () => {
+  const rss = (item, channel = '<title>t</title><link>https://e.org/</link><description>d</description>') =>
+    validateRSS(`<rss version="2.0"><channel>${channel}<item>${item}</item></channel></rss>`, 'feed.xml');
+  assert.deepEqual(rss('<title>ok</title>'), []);
+  assert.match(rss('<description>&lt;![CDATA[<p>x</p>]]&gt;</description>')[0], /feed\.xml: item 1: description has an escaped CDATA/);
+  assert.match(rss('<title>x</title><enclosure url="https://e.org/a.jpg" type="image/jpeg"/>')[0], /needs a length/);
+  assert.match(rss('<title>x</title><guid>abc</guid>')[0], /permalink but not a URL/);
+  assert.match(rss('<title>x</title><pubDate>2026-10-01</pubDate>')[0], /not an RFC 822 date/);
+  assert.match(rss('<title>x</title><ev:startdate>soon</ev:startdate>').join(), /prefix "ev" is used but not declared/);
+  assert.match(rss('<title>x</title>', '<title>t</title>')[0], /channel: <link> is required/);
+  assert.match(validateRSS('<rss version="2.0"><channel>')[0], /not well-formed/);
+
+  const atom = validateAtom('<feed xmlns="http://www.w3.org/2005/Atom"><id>x</id><title>t</title><updated>2026-10-01</updated>' +
+    '<entry><id>one two</id><title>e</title><updated>2026-10-01T00:00:00Z</updated></entry></feed>');
+  assert.match(atom[0], /updated "2026-10-01" is not an RFC 3339 date/);
+  assert.match(atom[1], /id "one two" is not an IRI/);
+  assert.match(atom[2], /needs an author/);
+});
+
+test('the updates feed validates', () => {
+  const updates = [{ id: 'e1', type: 'cancelled', title: 'Show', link: 'https://example.com/show', at: '2026-10-14T10:00:00.000Z' }];
+  assert.deepEqual(validateRSS(buildUpdatesRSS(updates, CHANNEL)), []);
+});
+
+test('a feed that fails its check keeps the previous copy instead of stopping the build', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feeds-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'feed.xml'), 'last good copy');
+  const problems = writeChecked(dir, 'feed.xml', '<rss/>', validateRSS);
+  assert.ok(problems.length);
+  assert.equal(fs.readFileSync(path.join(dir, 'feed.xml'), 'utf8'), 'last good copy');
+  assert.deepEqual(writeChecked(dir, 'feed.xml', buildRSS(ITEMS, CHANNEL), validateRSS), []);
+
+  // split feeds for towns that no longer have events are cleared
+  fs.mkdirSync(path.join(dir, 'town'));
+  fs.writeFileSync(path.join(dir, 'town', 'gone.xml'), 'old');
+  // a card's javascript: href is dropped rather than freezing every feed it's in
+  const manifest = writeOutputs([...ITEMS, { ...ITEMS[0], guid: 'js', link: 'javascript:void(0)', ticketUrl: '/tickets' }], CHANNEL, dir);
+  assert.deepEqual(manifest.invalid, []);
+  const rss = fs.readFileSync(path.join(dir, 'feed.xml'), 'utf8');
+  assert.doesNotMatch(rss, /javascript:|"\/tickets"/);
+  assert.ok(!fs.existsSync(path.join(dir, 'town', 'gone.xml')));
+  assert.ok(fs.existsSync(path.join(dir, 'town', 'roswell.xml')));
+});
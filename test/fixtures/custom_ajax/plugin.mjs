@@ -0,0 +1,27 @@
+// A taproom calendar that fills itself from a bespoke JSON endpoint: headlines
+// like "Band A w/ Band B" carry the line-up, and private rentals are listed too.
+
+export async function scrape({ site, options, fetch }) {
+  const url = new URL(options.endpoint, site.url).href;
+  const res = await fetch(url, { accept: 'application/json' });
+  if (!res.ok) throw new Error(`HTTP ${res.status} ${url}`);
+  const { rows = [] } = await res.json();
+  return rows.map(r => ({
+    id: r.eid,
+    title: r.headline,
+    link: `${r.slug}/`,
+    date: `${r.day}T${r.doors}`,
+    description: r.blurb,
+    image: r.art ? new URL(r.art, site.url).href : '',
+    price: r.cover ? `$${r.cover}` : 'Free'
+  }));
+}
+
+// "Band A w/ Band B & Band C" → performers, keeping the headline as the title
+export function transformItem(item) {
+  const [, acts] = item.title.match(/^\[[^\]]+\] (.+)$/) || [, item.title];
+  if (!/\sw\/\s/i.test(acts)) return;
+  item.performers = acts.split(/\s+w\/\s+|\s+&\s+(?=[A-Z])|,\s+/i).map(s => s.trim()).filter(Boolean);
+}
+
+export const filterItem = (item, { raw }) => !raw.rental && !/^(\[[^\]]+\] )?private event\b/i.test(item.title);
@@ -0,0 +1,88 @@
+// harness.mjs — replays recorded fixtures through a local HTTP server.
+//
+// Each test/fixtures/<key>/ holds a site.json (sources written as {{base}}/file)
+// and the files it points at. `node scraper.mjs record <siteKey>` creates one.
+import assert from 'assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { openBrowser } from '../lib/browser.mjs';
+import { fetchWithRetry } from '../lib/http.mjs';
+import { applyDefaults } from '../lib/sites.mjs';
+
+// Relative dates ("Oct 25", "tomorrow") and the ICS window resolve against this.
+process.env.SCRAPER_NOW ||= '2026-10-15T12:00:00Z';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURES = path.join(HERE, 'fixtures');
+const SNAPSHOTS = path.join(HERE, '__snapshots__');
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.xml': 'application/rss+xml; charset=utf-8'
+};
+
+export const fixtureKeys = () =>
+  fs.readdirSync(FIXTURES).filter(k => fs.existsSync(path.join(FIXTURES, k, 'site.json'))).sort();
+
+// A directory serves its index.* file; `{{base}}` in served text becomes the server's
+// own URL, so fixtures can hold the absolute links real APIs return.
+function serve(dir) {
+  const server = http.createServer((req, res) => {
+    let file = path.join(dir, decodeURIComponent(new URL(req.url, 'http://x').pathname));
+    if (file.startsWith(dir) && fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+      const index = fs.readdirSync(file).find(f => /^index\./.test(f));
+      file = index ? path.join(file, index) : file;
+    }
+    if (!file.startsWith(dir) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      res.writeHead(404).end();
+      return;
+    }
+    // extensionless files stand in for API endpoints (wp-json/…) and are text too
+    const ext = path.extname(file);
+    res.writeHead(200, { 'content-type': TYPES[ext] || (ext ? 'application/octet-stream' : 'application/json') });
+    res.end(TYPES[ext] || !ext
+      ? fs.readFileSync(file, 'utf8').replaceAll('{{base}}', `http://${req.headers.host}`)
+      : fs.readFileSync(file));
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Serves test/fixtures/<key>/ and returns the site's cfg pointed at it, ready for
+ * the mode functions. Fetches outside the fixture fail fast instead of going online.
+ */
+export async function serveFixture(key) {
+  const dir = path.join(FIXTURES, key);
+  const server = await serve(dir);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const cfg = JSON.parse(fs.readFileSync(path.join(dir, 'site.json'), 'utf8').replaceAll('{{base}}', base));
+  applyDefaults(cfg);
+  cfg._stats = {};
+  cfg._fetch = (url, options, opts) => url.startsWith(base)
+    ? fetchWithRetry(url, options, { ...opts, retries: 0 })
+    : Promise.reject(new Error(`fixture replay: no network access to ${url}`));
+  return { cfg, base, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// Chromium for the dom/jsonld fixtures, or null when it isn't installed.
+export async function tryOpenBrowser() {
+  try { return await openBrowser({ poolSize: 1 }); } catch { return null; }
+}
+
+/**
+ * Compares `text` to test/__snapshots__/<name>. A missing snapshot is written
+ * and passes; UPDATE_SNAPSHOTS=1 rewrites them all.
+ */
+export function matchSnapshot(name, text) {
+  const file = path.join(SNAPSHOTS, name);
+  if (process.env.UPDATE_SNAPSHOTS || !fs.existsSync(file)) {
+    fs.mkdirSync(SNAPSHOTS, { recursive: true });
+    fs.writeFileSync(file, text, 'utf8');
+    return;
+  }
+  assert.equal(text, fs.readFileSync(file, 'utf8'), `snapshot ${name} changed (UPDATE_SNAPSHOTS=1 to accept)`);
+}
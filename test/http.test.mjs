@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createClient, fetchFor, loadHttpCache, saveHttpCache, USER_AGENT } from '../lib/http.mjs';
+import { UA_DESKTOP } from '../lib/util.mjs';
+
+const ROBOTS = `User-agent: *
+Disallow: /
+
+User-agent: north-atl-events
+Disallow: /private/
+Crawl-delay: 0.3
+`;
+const FEED = '<rss version="2.0"><channel><title>t</title></channel></rss>';
+
+// robots.txt, an ETag'd feed, a max-age'd page, and a log of what was asked
+async function site(t) {
+  const log = [];
+  const server = http.createServer((req, res) => {
+    log.push({ url: req.url, at: Date.now(), ua: req.headers['user-agent'], inm: req.headers['if-none-match'] });
+    if (req.url === '/robots.txt') return res.end(ROBOTS);
+    if (req.url === '/feed.xml') {
+      if (req.headers['if-none-match'] === '"v1"') { res.writeHead(304); return res.end(); }
+      res.writeHead(200, { 'content-type': 'application/rss+xml', etag: '"v1"' });
+      return res.end(FEED);
+    }
+    if (req.url === '/page') { res.writeHead(200, { 'cache-control': 'max-age=600' }); return res.end('fresh for ten minutes'); }
+    res.writeHead(404); res.end();
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  t.after(() => new Promise(r => server.close(r)));
+  return { base: `http://127.0.0.1:${server.address().port}`, log };
+}
+
+test('honours robots.txt for our user agent, once per host, Crawl-delay apart', async (t) => {
+  const { base, log } = await site(t);
+  const client = createClient();
+  await assert.rejects(client.fetch(`${base}/private/list`), /robots\.txt disallows/);
+  assert.equal((await client.fetch(`${base}/page`)).status, 200);
+  assert.equal((await client.fetch(`${base}/elsewhere`)).status, 404);
+
+  assert.equal(log.filter(r => r.url === '/robots.txt').length, 1);
+  assert.deepEqual(log.map(r => r.url), ['/robots.txt', '/page', '/elsewhere']);
+  assert.ok(log[2].at - log[1].at >= 250, 'Crawl-delay was not waited out');
+  assert.equal(log[1].ua, USER_AGENT);
+  assert.equal(client.stats.blocked, 1);
+});
+
+test('revalidates with ETags and reuses fresh responses', async (t) => {
+  const { base, log } = await site(t);
+  const cache = {};
+  const first = createClient({ cache });
+  assert.equal(await (await first.fetch(`${base}/feed.xml`)).text(), FEED);
+  await first.fetch(`${base}/page`);
+
+  // the next run, with the cache loaded from disk
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'http-')), 'http.json');
+  t.after(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+  saveHttpCache(file, cache);
+  const next = createClient({ cache: loadHttpCache(file) });
+  const again = await next.fetch(`${base}/feed.xml`);
+  assert.equal(again.status, 200);
+  assert.equal(again.headers.get('x-cache'), 'revalidated');
+  assert.equal(await again.text(), FEED);
+  assert.equal(await (await next.fetch(`${base}/page`)).text(), 'fresh for ten minutes');
+
+  assert.equal(log.filter(r => r.url === '/page').length, 1);
+  assert.equal(log.filter(r => r.url === '/feed.xml').at(-1).inm, '"v1"');
+  assert.deepEqual(next.stats, {
+    requests: 2, bytes: 0, notModified: 1, fromCache: 1,
+    bytesSaved: Buffer.byteLength(FEED) + Buffer.byteLength('fresh for ten minutes'), blocked: 0
+  });
+});
+
+test('sites go through the run client, with a browser user agent if they ask', async () => {
+  const seen = [];
+  const client = { userAgent: 'test-agent/2', fetch: async (url, options) => { seen.push(options.headers['user-agent']); return { ok: true }; } };
+  await fetchFor({ _http: client }, 'https://example.org/a', {});
+  await fetchFor({ _http: client, identify: false }, 'https://example.org/b', {});
+  assert.deepEqual(seen, ['test-agent/2', UA_DESKTOP]);
+});
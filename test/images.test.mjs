@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { validateAtom, validateRSS } from '../lib/feedcheck.mjs';
+import { deriveImage, isPlaceholderUrl, processImages, pruneImages, sniffImage } from '../lib/images.mjs';
+import { scrapeSite } from '../lib/modes.mjs';
+import { compileRules } from '../lib/rules.mjs';
+import { buildAtom, buildRSS } from '../lib/outputs.mjs';
+import { SITE_URL } from '../lib/util.mjs';
+import { serveFixture } from './harness.mjs';
+
+process.env.SCRAPER_NOW ||= '2026-10-15T12:00:00Z';
+
+// A gradient, so it isn't mistaken for a blank placeholder.
+const photo = (width, height, format = 'jpeg') => {
+  const raw = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < raw.length; i++) raw[i] = (i * 7) % 256;
+  return sharp(raw, { raw: { width, height, channels: 3 } })[format]().toBuffer();
+};
+const solid = (width, height) => sharp({ create: { width, height, channels: 3, background: '#eeeeee' } }).png().toBuffer();
+
+test('sniffs the real type and turns down placeholders, spacers and blanks', async () => {
+  assert.equal(sniffImage(await photo(10, 10, 'png')), 'image/png');
+  assert.equal(sniffImage(await photo(10, 10, 'webp')), 'image/webp');
+  assert.equal(sniffImage(Buffer.from('<!doctype html><html><body>Not found</body></html>')), '');
+  assert.equal(sniffImage(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"/>')), 'image/svg+xml');
+
+  assert.ok(isPlaceholderUrl('data:image/gif;base64,R0lGODlhAQABAAAAACw='));
+  assert.ok(isPlaceholderUrl('https://example.org/wp-content/plugins/lazy-load/images/1x1.trans.gif'));
+  assert.ok(isPlaceholderUrl('https://example.org/img/placeholder_event.png'));
+  assert.ok(!isPlaceholderUrl('https://example.org/uploads/blanket-fort-festival.jpg'));
+
+  assert.match((await deriveImage(await photo(80, 60))).reject, /too small \(80×60\)/);
+  assert.match((await deriveImage(await photo(1200, 40))).reject, /too small \(1200×40\)/);
+  assert.match((await deriveImage(await photo(1500, 200))).reject, /a 1500×200 strip/);
+  assert.match((await deriveImage(await solid(400, 300))).reject, /blank/);
+
+  const big = await deriveImage(await photo(1600, 1200, 'png'));
+  assert.deepEqual([big.type, big.width, big.height, big.length], ['image/jpeg', 800, 600, big.data.length]);
+  assert.match(big.file, /^[0-9a-f]{16}\.jpg$/);
+  assert.equal(sniffImage(big.data), 'image/jpeg');
+});
+
+// Serves `files` ({ path: { type, body } }) and counts requests per path.
+// A `chunks` array is streamed instead, without a Content-Length.
+async function server(t, files) {
+  const hits = {};
+  const srv = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    const f = files[req.url];
+    if (!f) return res.writeHead(404).end();
+    res.writeHead(200, { 'content-type': f.type, etag: `"${req.url}"` });
+    if (!f.chunks) return res.end(f.body);
+    for (const c of f.chunks) res.write(c);
+    res.end();
+  });
+  await new Promise(r => srv.listen(0, '127.0.0.1', r));
+  t.after(() => new Promise(r => srv.close(r)));
+  return { base: `http://127.0.0.1:${srv.address().port}`, hits };
+}
+
+test('stores a checked copy, falling back to the next candidate and then the detail page', async (t) => {
+  const poster = await photo(1000, 1400, 'png');
+  const { base, hits } = await server(t, {
+    '/poster.png': { type: 'application/octet-stream', body: poster },
+    '/dot.gif': { type: 'image/gif', body: await sharp({ create: { width: 1, height: 1, channels: 4, background: '#0000' } }).gif().toBuffer() },
+    '/og.jpg': { type: 'image/jpeg', body: await photo(1200, 630) },
+    '/show': { type: 'text/html', body: `<html><head><meta property="og:image" content="/og.jpg"></head></html>` },
+    '/error.jpg': { type: 'image/jpeg', body: '<html>Oops</html>' }
+  });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'img-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const cfg = { key: 'venue', mode: 'json', api: `${base}/events.json`, _images: { cache: {}, dir } };
+  const items = [
+    { title: 'Lazy card', guid: 'a', link: `${base}/a`, image: 'data:image/gif;base64,R0lGOD', imageAlts: [`${base}/poster.png`] },
+    { title: 'Spacer', guid: 'b', link: `${base}/show`, image: `${base}/dot.gif` },
+    { title: 'Broken', guid: 'c', link: `${base}/gone`, image: `${base}/error.jpg` },
+    { title: 'None', guid: 'd', link: `${base}/d`, image: '' }
+  ];
+
+  const out = await processImages(items, cfg);
+  assert.equal(out[0].imageAlts, undefined);
+  assert.ok(out[0].image.startsWith(`${SITE_URL}img/`));
+  assert.match(out[0].image, /\/[0-9a-f]{16}\.jpg$/);
+  assert.deepEqual({ ...out[0].imageInfo, length: 0 }, { type: 'image/jpeg', length: 0, width: 800, height: 1120, source: `${base}/poster.png` });
+  assert.equal(fs.statSync(path.join(dir, path.basename(out[0].image))).size, out[0].imageInfo.length);
+  assert.equal(out[1].imageInfo.source, `${base}/og.jpg`, 'the 1px spacer gives way to og:image');
+  assert.equal(out[2].image, '', 'an HTML error page is no image');
+  assert.equal(out[3].image, '');
+  assert.match(cfg._images.cache[`${base}/dot.gif`].reject, /too small \(1×1\)/);
+
+  // a second run answers from the cache
+  const again = await processImages(items, cfg);
+  assert.deepEqual(again.map(i => i.image), out.map(i => i.image));
+  assert.equal(hits['/poster.png'], 1);
+
+  const rss = buildRSS(out);
+  const enclosure = rss.match(/<enclosure url="([^"]+)" length="(\d+)" type="([^"]+)"\/>/);
+  assert.deepEqual(enclosure.slice(1), [out[0].image, String(out[0].imageInfo.length), 'image/jpeg']);
+  assert.deepEqual(validateRSS(rss), []);
+  assert.deepEqual(validateAtom(buildAtom(out)), []);
+
+  fs.writeFileSync(path.join(dir, 'old.jpg'), 'no longer used');
+  assert.equal(pruneImages(out, dir), 1);
+  assert.deepEqual(fs.readdirSync(dir).sort(), [path.basename(out[0].image), path.basename(out[1].image)].sort());
+});
+
+test('stays within the detail page limit and the byte limit, whatever Content-Length says', async (t) => {
+  const tiny = await photo(40, 40);
+  const huge = [Buffer.concat([await photo(200, 200), Buffer.alloc(1 << 20)]), ...Array(15).fill(Buffer.alloc(1 << 20))];
+  const { base, hits } = await server(t, {
+    '/tiny.jpg': { type: 'image/jpeg', body: tiny },
+    '/huge.jpg': { type: 'image/jpeg', chunks: huge },
+    '/one': { type: 'text/html', body: '<meta property="og:image" content="/tiny.jpg?1">' },
+    '/two': { type: 'text/html', body: '<meta property="og:image" content="/tiny.jpg?2">' }
+  });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'img-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const cfg = { key: 'venue', mode: 'json', api: `${base}/events.json`, detail: { max: 1 }, _images: { cache: {}, dir }, _detailRun: { fetched: 0 } };
+  const out = await processImages([
+    { title: 'One', guid: '1', link: `${base}/one`, image: `${base}/tiny.jpg` },
+    { title: 'Two', guid: '2', link: `${base}/two`, image: `${base}/tiny.jpg` },
+    { title: 'Huge', guid: '3', link: '', image: `${base}/huge.jpg` }
+  ], cfg);
+  assert.deepEqual([hits['/one'], hits['/two']], [1, undefined], 'one detail page, as detail.max says');
+  assert.equal(out[2].image, '');
+  assert.equal(cfg._images.cache[`${base}/huge.jpg`].reject, 'over 15 MB');
+});
+
+test('images are only fetched for the items the rules keep', async (t) => {
+  const { cfg, close } = await serveFixture('json_api');
+  t.after(close);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'img-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const fetched = [];
+  const fetch = cfg._fetch;
+  Object.assign(cfg, {
+    _images: { cache: {}, dir },
+    _rules: compileRules({ rules: [{ action: 'exclude', title: '/riverside/i' }] }),
+    _fetch: (url, ...rest) => { fetched.push(url); return fetch(url, ...rest); }
+  });
+  const items = await scrapeSite(cfg);
+  assert.ok(items.length && !items.some(i => /riverside/i.test(i.title)));
+  assert.deepEqual(fetched.filter(u => u.includes('/uploads/')), []);
+});
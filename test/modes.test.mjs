@@ -0,0 +1,75 @@
+// Replays every fixture through its mode, snapshots the items and the RSS built from them, and validates the feeds;
+// the DOM mode's page walk is also run over stand-in pages, so it's covered without Chromium.
+import { after, test } from 'node:test';
+import assert from 'assert/strict';
+import { fixtureKeys, matchSnapshot, serveFixture, tryOpenBrowser } from './harness.mjs';
+import { scrapeSite, walkPages } from '../lib/modes.mjs';
+import { validateAtom, validateRSS } from '../lib/feedcheck.mjs';
+import { buildAtom, buildRSS } from '../lib/outputs.mjs';
+
+const BROWSER_MODES = new Set(['dom', 'jsonld']);
+
+let browser;
+const getBrowser = async () => (browser ??= await tryOpenBrowser());
+after(async () => { if (browser) await browser.browser.close(); });
+
+for (const key of fixtureKeys()) {
+  test(`fixture ${key}`, async (t) => {
+    const { cfg, base, close } = await serveFixture(key);
+    try {
+      let pool;
+      if (BROWSER_MODES.has(cfg.mode)) {
+        const b = await getBrowser();
+        if (!b) return t.skip('Chromium is not installed (npx playwright install chromium)');
+        pool = b.pool;
+      }
+      const items = await scrapeSite(cfg, pool);
+      assert.ok(items.length > 0, `${key} produced no items`);
+
+      // the server's port changes every run
+      const stable = (s) => s.replaceAll(base, '{{base}}');
+      matchSnapshot(`${key}.items.json`, stable(JSON.stringify(items, null, 2)) + '\n');
+      const rss = buildRSS(items);
+      matchSnapshot(`${key}.rss.xml`, stable(rss) + '\n');
+      assert.deepEqual(validateRSS(rss, key), []);
+      assert.deepEqual(validateAtom(buildAtom(items), key), []);
+    } finally {
+      await close();
+    }
+  });
+}
+
+// Pages of card rows; `turn` reports each page asked for and whether there was one.
+function pages(list) {
+  let at = 0;
+  const asked = [];
+  return {
+    asked,
+    walker: {
+      cards: async () => list[at],
+      extract: async (row) => row,
+      turn: async (pageNo) => { asked.push(pageNo); if (pageNo > list.length) return false; at = pageNo - 1; return true; }
+    }
+  };
+}
+const card = (n) => ({ title: `Show ${n}`, href: `/e/${n}`, date: `Oct ${n}` });
+
+test('the DOM page walk stops at maxPages, a page with nothing new, no next page or enough cards', async () => {
+  const opts = { key: 'paged', maxPages: 3, take: 100 };
+  let run = pages([[card(1), card(2)], [card(3)], [card(4)], [card(5)]]);
+  assert.deepEqual((await walkPages(run.walker, opts)).map(r => r.title), ['Show 1', 'Show 2', 'Show 3', 'Show 4']);
+  assert.deepEqual(run.asked, [2, 3], 'maxPages');
+
+  // a "load more" page repeats what was already read, then adds nothing
+  run = pages([[card(1)], [card(1), card(2)], [card(1), card(2)], [card(3)]]);
+  assert.deepEqual((await walkPages(run.walker, { ...opts, maxPages: 10 })).map(r => r.title), ['Show 1', 'Show 2']);
+  assert.deepEqual(run.asked, [2, 3]);
+
+  run = pages([[card(1)], [card(2)]]);
+  assert.equal((await walkPages(run.walker, { ...opts, maxPages: 10 })).length, 2);
+  assert.deepEqual(run.asked, [2, 3], 'no next page');
+
+  run = pages([[card(1), card(2), card(3)], [card(4)]]);
+  assert.equal((await walkPages(run.walker, { ...opts, take: 2 })).length, 2);
+  assert.deepEqual(run.asked, [], 'enough cards on the first page');
+});
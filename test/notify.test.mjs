@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { validateRSS } from '../lib/feedcheck.mjs';
+import { deliver, loadQueue, newEvents, queueEvents, saveQueue, webhookPayload } from '../lib/notify.mjs';
+import { buildAtom, buildRSS } from '../lib/outputs.mjs';
+import { validateConfig } from '../lib/schema.mjs';
+
+process.env.SCRAPER_NOW ||= '2026-10-15T12:00:00Z';
+
+const CHANNEL = { title: 'Events', link: 'https://example.org/', description: 'd', feedUrl: 'https://example.org/feed.xml', hub: 'https://hub.example.org/' };
+const ev = (n, town, extra = {}) => ({
+  id: `e${n}`, guid: `guid-${n}`, title: `[${town}] Show ${n}`, town, venue: `${town} Hall`,
+  start: '2026-10-17T20:00:00-04:00', link: `https://example.org/${n}`, ...extra
+});
+
+// Records every POST; the first `failFirst` answer 503.
+async function receiver(t, { failFirst = 0 } = {}) {
+  const posts = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      posts.push({ url: req.url, type: req.headers['content-type'], body });
+      res.writeHead(posts.length <= failFirst ? 503 : 204).end();
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  t.after(() => new Promise(r => server.close(r)));
+  return { base: `http://127.0.0.1:${server.address().port}`, posts };
+}
+
+test('new events are the guids the previous run did not have', () => {
+  const before = [ev(1, 'Roswell'), ev(2, 'Canton')];
+  assert.deepEqual(newEvents(before, [ev(2, 'Canton'), ev(3, 'Roswell')]).map(e => e.guid), ['guid-3']);
+  assert.deepEqual(newEvents([], [ev(1, 'Roswell')]), []);
+});
+
+test('payloads for generic JSON, Slack and Discord', () => {
+  const items = [ev(1, 'Roswell', { image: 'https://example.org/p.jpg', price: '$10' }), ev(2, 'Canton', { title: 'A <b> & c' })];
+  const json = webhookPayload('json', items, CHANNEL);
+  assert.equal(json.events[0].title, 'Show 1');
+  assert.match(json.events[0].url, /\/event\/e1\.html$/);
+
+  const slack = webhookPayload('slack', items, CHANNEL);
+  assert.equal(slack.text, '2 new events on Events');
+  assert.match(slack.blocks[1].text.text, /^\*<\S+\/event\/e1\.html\|Show 1>\*\nSat, Oct 17, 8:00 PM · Roswell Hall, Roswell · \$10$/);
+  assert.equal(slack.blocks[1].accessory.image_url, 'https://example.org/p.jpg');
+  assert.match(slack.blocks[2].text.text, /A &lt;b&gt; &amp; c/);
+
+  const discord = webhookPayload('discord', items, CHANNEL);
+  assert.equal(discord.embeds.length, 2);
+  assert.equal(discord.embeds[0].timestamp, '2026-10-18T00:00:00.000Z');
+  assert.deepEqual(discord.embeds[0].thumbnail, { url: 'https://example.org/p.jpg' });
+  assert.deepEqual(discord.allowed_mentions, { parse: [] });
+});
+
+test('delivers filtered batches to each webhook, retrying failures', async (t) => {
+  const { base, posts } = await receiver(t, { failFirst: 1 });
+  const events = [1, 2, 3, 4, 5].map(n => ev(n, n % 2 ? 'Roswell' : 'Canton'));
+  const result = await deliver({ events, changed: true }, [
+    { name: 'roswell', url: `${base}/slack`, format: 'slack', towns: ['roswell'], batch: 2, retries: 1 },
+    { name: 'venue', url: `${base}/json`, venues: ['Canton Hall'] },
+    { name: 'secret', urlEnv: 'NO_SUCH_WEBHOOK_URL' }
+  ], { channel: { ...CHANNEL, hub: undefined } });
+
+  assert.deepEqual(result.webhooks, [
+    { name: 'roswell', sent: 3, failed: 0 },
+    { name: 'venue', sent: 2, failed: 0 },
+    { name: 'secret', sent: 0, failed: 5 }
+  ]);
+  const slack = posts.filter(p => p.url === '/slack').map(p => JSON.parse(p.body).blocks.length - 1);
+  assert.deepEqual(slack, [2, 2, 1], 'the first batch is retried after a 503');
+  assert.deepEqual(JSON.parse(posts.find(p => p.url === '/json').body).events.map(e => e.guid), ['guid-2', 'guid-4']);
+  assert.equal(result.pinged, false);
+});
+
+test('only what failed stays queued, for the destinations it failed, until it is a week old', async (t) => {
+  const { base, posts } = await receiver(t);
+  const events = [ev(1, 'Roswell'), ev(2, 'Canton')];
+  const webhooks = [{ name: 'ok', url: `${base}/ok` }, { name: 'secret', urlEnv: 'NOTIFY_TEST_URL' }];
+  const first = await deliver({ events, changed: true }, webhooks, { channel: CHANNEL, topics: [CHANNEL.feedUrl], fetch: async () => ({ ok: false, status: 503 }) });
+  assert.deepEqual(first.left.events.map(e => [e.guid, e.retry]), [['guid-1', ['ok', 'secret']], ['guid-2', ['ok', 'secret']]]);
+  assert.equal(first.left.changed, true, 'the hub ping failed too');
+
+  process.env.NOTIFY_TEST_URL = `${base}/secret`;
+  t.after(() => delete process.env.NOTIFY_TEST_URL);
+  const partial = { events: first.left.events.map((e, n) => (n ? { ...e, retry: ['secret'] } : e)), changed: false };
+  const second = await deliver(partial, webhooks, { channel: { ...CHANNEL, hub: undefined } });
+  assert.deepEqual(second.webhooks.map(w => [w.name, w.sent]), [['ok', 1], ['secret', 2]]);
+  assert.deepEqual(posts.map(p => JSON.parse(p.body).events.map(e => e.guid)), [['guid-1'], ['guid-1', 'guid-2']]);
+  assert.deepEqual(second.left, { events: [], changed: false });
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'notify.json');
+  queueEvents(file, [ev(3, 'Canton')]);
+  assert.equal(loadQueue(file).events[0].queued, new Date(process.env.SCRAPER_NOW).toISOString());
+  saveQueue(file, { events: [ev(4, 'Canton', { queued: '2026-10-01T12:00:00Z' }), ...loadQueue(file).events], changed: false });
+  assert.deepEqual(loadQueue(file).events.map(e => e.guid), ['guid-3']);
+});
+
+test('pings the WebSub hub named in the feeds', async (t) => {
+  const { base, posts } = await receiver(t);
+  const channel = { ...CHANNEL, hub: `${base}/hub` };
+  const result = await deliver({ events: [], changed: true }, [], { channel, topics: [channel.feedUrl] });
+  assert.equal(result.pinged, true);
+  assert.equal(posts[0].type, 'application/x-www-form-urlencoded');
+  assert.equal(posts[0].body, 'hub.mode=publish&hub.url=https%3A%2F%2Fexample.org%2Ffeed.xml');
+  assert.equal((await deliver({ events: [], changed: false }, [], { channel, topics: [channel.feedUrl] })).pinged, false);
+
+  const rss = buildRSS([], channel);
+  assert.match(rss, new RegExp(`<atom:link href="${base}/hub" rel="hub"/>`));
+  assert.deepEqual(validateRSS(rss), []);
+  assert.match(buildAtom([], channel), /<link rel="hub" href="http:\/\/127\.0\.0\.1:\d+\/hub"\/>/);
+  assert.match(validateConfig({ webhooks: [{ format: 'teams' }] }).join('\n'), /webhooks\[0\]\.format[\s\S]*needs a "url" or "urlEnv"/);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildEventHTML, buildListHTML, calendarLinks, eventJsonLd, writeSite } from '../lib/pages.mjs';
+
+process.env.SCRAPER_NOW ||= '2026-10-15T12:00:00Z';
+
+const ITEMS = [
+  {
+    id: 'f00d', guid: 'https://example.org/jazz', title: '[Roswell] Jazz Night', town: 'Roswell', venue: 'The Velvet Room',
+    start: '2026-10-17T20:00:00-04:00', end: '2026-10-17T23:00:00-04:00', link: 'https://example.org/jazz',
+    description: 'Standards & <originals>', price: '$15–$25', status: 'sold-out', lat: 34.02, lng: -84.36
+  },
+  { id: 'beef', guid: 'fest', title: 'Fall Fest', town: 'Canton', start: '2026-10-14T10:00:00-04:00', end: '2026-10-16T18:00:00-04:00', description: 'Three days' },
+  { id: 'cafe', guid: 'fair', title: 'Harvest Fair', town: 'Alpharetta', start: '2026-11-24', allDay: true, price: 'Free', status: 'cancelled' },
+  { id: 'dead', guid: 'tba', title: 'Open Mic', venue: 'The Velvet Room', description: 'Date to come' }
+];
+const MANIFEST = { main: [{ label: 'RSS', href: 'feed.xml' }], splits: { town: [{ slug: 'roswell', name: 'Roswell', count: 1, feeds: [{ label: 'RSS', href: 'town/roswell.xml' }] }] } };
+
+const jsonLd = (html) => JSON.parse(html.match(/<script type="application\/ld\+json">(.*?)<\/script>/)[1]);
+
+test('the index lists events by day, ongoing ones under today, with their feeds', () => {
+  const html = buildListHTML(ITEMS, MANIFEST);
+  const days = [...html.matchAll(/<section class="day" id="([^"]+)"/g)].map(m => m[1]);
+  assert.deepEqual(days, ['day-2026-10-15', 'day-2026-10-17', 'day-2026-11-24', 'undated']);
+  assert.match(html, /<li class="event sold-out" data-town="Roswell" data-venue="The Velvet Room" data-day="2026-10-17" data-search="jazz night the velvet room roswell">/);
+  assert.match(html, /<time datetime="2026-10-17T20:00:00-04:00">8:00 PM<\/time> <a href="event\/f00d.html">Jazz Night<\/a>/);
+  assert.match(html, /<option>The Velvet Room<\/option>/);
+  assert.match(html, /<li id="town-roswell">Roswell \(1\) — <a href="town\/roswell.xml">RSS<\/a><\/li>/);
+});
+
+test('event pages carry schema.org Event JSON-LD', () => {
+  const html = buildEventHTML(ITEMS[0]);
+  assert.match(html, /<h1>Jazz Night <span class="badge sold-out">Sold out<\/span><\/h1>/);
+  assert.match(html, /Saturday, October 17, 8:00 PM – 11:00 PM/);
+  assert.match(html, /<p>Standards &amp; &lt;originals&gt;<\/p>/);
+  const ld = jsonLd(html);
+  assert.equal(ld['@type'], 'Event');
+  assert.equal(ld.name, 'Jazz Night');
+  assert.equal(ld.startDate, '2026-10-17T20:00:00-04:00');
+  assert.deepEqual(ld.location.geo, { '@type': 'GeoCoordinates', latitude: 34.02, longitude: -84.36 });
+  assert.deepEqual(ld.offers, {
+    '@type': 'AggregateOffer', url: 'https://example.org/jazz', lowPrice: 15, highPrice: 25,
+    priceCurrency: 'USD', availability: 'https://schema.org/SoldOut'
+  });
+  assert.ok(!html.includes('<originals>'), 'the JSON-LD block must escape markup');
+
+  const fair = eventJsonLd(ITEMS[2]);
+  assert.equal(fair.eventStatus, 'https://schema.org/EventCancelled');
+  assert.equal(fair.startDate, '2026-11-24');
+  assert.deepEqual(fair.offers, { '@type': 'Offer', price: 0, priceCurrency: 'USD' });
+  assert.equal(eventJsonLd(ITEMS[3]).offers, undefined);
+});
+
+test('add-to-calendar links use UTC times, or exclusive dates for all-day events', () => {
+  const jazz = new URL(calendarLinks(ITEMS[0]).google);
+  assert.equal(jazz.searchParams.get('dates'), '20261018T000000Z/20261018T030000Z');
+  assert.equal(jazz.searchParams.get('location'), 'The Velvet Room, Roswell');
+  const fair = calendarLinks(ITEMS[2]);
+  assert.equal(new URL(fair.google).searchParams.get('dates'), '20261124/20261125');
+  assert.equal(new URL(fair.outlook).searchParams.get('allday'), 'true');
+  assert.deepEqual(calendarLinks(ITEMS[3]), {});
+});
+
+test('event pages only link http(s) URLs', () => {
+  const html = buildEventHTML({ ...ITEMS[0], link: 'javascript:alert(1)', ticketUrl: 'https://tickets.example.org/jazz', venueUrl: 'data:text/html,hi' });
+  assert.match(html, /<p class="links"><a href="https:\/\/tickets\.example\.org\/jazz">Tickets<\/a><\/p>/);
+  assert.doesNotMatch(html, /javascript:|data:text/);
+  assert.equal(eventJsonLd({ ...ITEMS[0], link: 'javascript:alert(1)' }).sameAs, undefined);
+});
+
+test('an all-day end is the day after the last one, kept for links and taken back for people', () => {
+  const day = { id: 'd1', guid: 'd1', title: 'Pumpkin Day', start: '2026-10-25T00:00:00-04:00', end: '2026-10-26T00:00:00-04:00', allDay: true };
+  assert.equal(new URL(calendarLinks(day).google).searchParams.get('dates'), '20261025/20261026');
+  assert.equal(new URL(calendarLinks(day).outlook).searchParams.get('enddt'), '2026-10-26');
+  assert.match(buildEventHTML(day), /<time datetime="[^"]+">Sunday, October 25<\/time>/);
+  assert.equal(eventJsonLd(day).endDate, '2026-10-25');
+
+  const weekend = { ...day, end: '2026-10-27T00:00:00-04:00' };
+  assert.equal(new URL(calendarLinks(weekend).google).searchParams.get('dates'), '20261025/20261027');
+  assert.match(buildEventHTML(weekend), />Sunday, October 25 – Monday, October 26<\/time>/);
+  assert.equal(eventJsonLd(weekend).endDate, '2026-10-26');
+});
+
+test('writes the calendars, week pages and an event page for each event', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'event'));
+  fs.writeFileSync(path.join(dir, 'event', 'gone.html'), 'an event no longer listed');
+  writeSite(ITEMS, MANIFEST, undefined, dir);
+
+  const files = (sub) => fs.readdirSync(path.join(dir, sub)).sort();
+  assert.deepEqual(files('calendar'), ['2026-10.html', '2026-11.html']);
+  assert.deepEqual(files('week'), ['2026-10-11.html', '2026-10-18.html', '2026-10-25.html', '2026-11-01.html',
+    '2026-11-08.html', '2026-11-15.html', '2026-11-22.html']);
+  assert.deepEqual(files('event'), ['beef.html', 'beef.ics', 'cafe.html', 'cafe.ics', 'dead.html', 'f00d.html', 'f00d.ics']);
+  assert.ok(fs.existsSync(path.join(dir, 'site.js')) && fs.existsSync(path.join(dir, 'site.css')));
+
+  const october = fs.readFileSync(path.join(dir, 'calendar', '2026-10.html'), 'utf8');
+  assert.match(october, /<span class="date">10<\/span>/);
+  assert.match(october, /<a class="date" href="..\/week\/2026-10-11.html#day-2026-10-17">17<\/a>/);
+  assert.match(october, /<a rel="next" href="2026-11.html">November 2026 →<\/a>/);
+  assert.match(fs.readFileSync(path.join(dir, 'event', 'f00d.ics'), 'utf8'), /SUMMARY:\[Roswell\] Jazz Night/);
+});
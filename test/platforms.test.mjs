@@ -0,0 +1,75 @@
+// The fixture runs in modes.test.mjs cover tribe, mec and the Eventbrite page; this covers the token path and odd zones.
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { EVENTBRITE_API, organizerId, scrapeEventbrite, scrapeTribe } from '../lib/platforms.mjs';
+import { validateSites } from '../lib/schema.mjs';
+
+const ORGANIZER = 'https://www.eventbrite.com/o/river-city-arts-12345678';
+
+const apiEvent = (id, over = {}) => ({
+  id,
+  name: { text: `Event ${id}` },
+  url: `https://www.eventbrite.com/e/event-${id}`,
+  summary: 'A night out.',
+  start: { timezone: 'America/New_York', utc: '2026-10-24T00:00:00Z' },
+  end: { timezone: 'America/New_York', utc: '2026-10-24T03:00:00Z' },
+  status: 'live',
+  is_free: false,
+  ticket_availability: { minimum_ticket_price: { display: '$20.00' } },
+  venue: { name: 'Roswell Cultural Arts Center', address: { localized_address_display: '950 Forrest St, Roswell, GA 30075' }, latitude: '34.0271', longitude: '-84.3589' },
+  logo: { url: 'https://img.evbuc.com/small.jpg', original: { url: 'https://img.evbuc.com/original.jpg' } },
+  ...over
+});
+
+test('reads an organizer through the API with a token, following continuations', async (t) => {
+  process.env.TEST_EB_TOKEN = 'secret';
+  t.after(() => delete process.env.TEST_EB_TOKEN);
+  const calls = [];
+  const pages = [
+    { events: [apiEvent('1')], pagination: { has_more_items: true, continuation: 'abc' } },
+    { events: [apiEvent('2', { status: 'canceled', is_free: true })], pagination: { has_more_items: false } }
+  ];
+  const cfg = {
+    key: 'eb', mode: 'eventbrite', base: ORGANIZER, town: 'Roswell', tokenEnv: 'TEST_EB_TOKEN',
+    _fetch: async (url, options) => {
+      calls.push({ url, auth: options.headers.authorization });
+      return { ok: true, json: async () => pages[calls.length - 1] };
+    }
+  };
+  const items = await scrapeEventbrite(cfg);
+
+  assert.equal(calls.length, 2);
+  assert.ok(calls[0].url.startsWith(`${EVENTBRITE_API}/organizers/12345678/events/?status=live`));
+  assert.match(calls[1].url, /continuation=abc/);
+  assert.equal(calls[0].auth, 'Bearer secret');
+
+  assert.equal(items[0].title, '[Roswell] Event 1');
+  assert.equal(items[0].start, '2026-10-23T20:00:00-04:00');
+  assert.equal(items[0].price, '$20.00');
+  assert.equal(items[0].image, 'https://img.evbuc.com/original.jpg');
+  assert.deepEqual([items[0].lat, items[0].lng], [34.0271, -84.3589]);
+  assert.equal(items[1].price, 'Free');
+  assert.equal(items[1].eventStatus, 'cancelled');
+});
+
+test('a Tribe timezone Intl can\'t use falls back to the site\'s', async () => {
+  const events = [
+    { id: 1, title: 'Fall Fest', url: 'https://example.org/e/1', timezone: 'UTC-5', all_day: true, start_date: '2026-10-24 00:00:00', end_date: '2026-10-25 23:59:59' },
+    { id: 2, title: 'Night Market', url: 'https://example.org/e/2', timezone: 'UTC-5', utc_start_date: '2026-10-24 22:00:00', utc_end_date: '2026-10-25 02:00:00' }
+  ];
+  const cfg = { key: 'tribe', mode: 'tribe', base: 'https://example.org', town: 'Roswell', _fetch: async () => ({ ok: true, json: async () => ({ events }) }) };
+  const items = await scrapeTribe(cfg);
+  assert.deepEqual(items.map(i => [i.start, i.end]), [
+    ['2026-10-24T00:00:00-04:00', '2026-10-26T00:00:00-04:00'],
+    ['2026-10-24T18:00:00-04:00', '2026-10-24T22:00:00-04:00']
+  ]);
+});
+
+test('organizer ids and base URLs', () => {
+  assert.equal(organizerId(ORGANIZER), '12345678');
+  assert.equal(organizerId(`${ORGANIZER}/?utm_source=x`), '12345678');
+  const site = (base) => validateSites([{ key: 'eb', mode: 'eventbrite', base }]);
+  assert.deepEqual(site(ORGANIZER), []);
+  assert.match(site('https://www.eventbrite.com/d/ga--atlanta/events/')[0], /organizer page/);
+  assert.match(validateSites([{ key: 't', mode: 'tribe' }])[0], /base: required/);
+});
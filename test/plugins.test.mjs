@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { serveFixture } from './harness.mjs';
+import { scrapeSite } from '../lib/modes.mjs';
+import { validateSites } from '../lib/schema.mjs';
+
+// Writes a throwaway plugin module and returns its path.
+function plugin(t, source) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugin-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'plugin.mjs');
+  fs.writeFileSync(file, source, 'utf8');
+  return file;
+}
+
+async function fixture(t, key, extra = {}) {
+  const { cfg, close } = await serveFixture(key);
+  t.after(close);
+  return Object.assign(cfg, extra);
+}
+
+test('a custom mode splits line-ups and drops private rentals', async (t) => {
+  const items = await scrapeSite(await fixture(t, 'custom_ajax'));
+  assert.deepEqual(items.map(i => i.title), [
+    '[Woodstock] The Stray Dogs w/ Marigold Lane',
+    '[Woodstock] Trivia Night',
+    '[Woodstock] Creekside Acoustic w/ June Harlow & The Pines'
+  ]);
+  assert.deepEqual(items[2].performers, ['Creekside Acoustic', 'June Harlow', 'The Pines']);
+  assert.equal(items[0].start, '2026-10-23T19:30:00-04:00');
+});
+
+test('hooks see the raw record behind each item of a built-in mode', async (t) => {
+  const file = plugin(t, `
+    export function beforeScrape({ site, page }) { if (!page) globalThis.pluginSite = site; }
+    export function transformItem(item, { raw, options }) {
+      if (raw.when.start === 'TBA') return null;
+      return { ...item, tags: [options.tag, raw.place.title.toLowerCase()] };
+    }
+    export const filterItem = (item) => !/alive after 5/i.test(item.title);
+  `);
+  t.after(() => delete globalThis.pluginSite);
+  const items = await scrapeSite(await fixture(t, 'json_api', { plugin: file, options: { tag: 'outdoors' } }));
+  assert.deepEqual(items.map(i => i.title), ['[Roswell] Roswell Riverside Sounds', '[Roswell] Jazz on the Porch']);
+  // the site's settings, read-only and without the run's internals
+  const { pluginSite } = globalThis;
+  assert.equal(pluginSite.key, 'json_api');
+  assert.ok(Object.isFrozen(pluginSite) && Object.isFrozen(pluginSite.options));
+  assert.deepEqual(Object.keys(pluginSite).filter(k => k.startsWith('_')), []);
+  assert.deepEqual(items.map(i => i.tags.filter(tag => ['outdoors', 'riverside park', 'barrington hall'].includes(tag)).sort()),
+    [['outdoors', 'riverside park'], ['barrington hall', 'outdoors']]);
+});
+
+test('a failing plugin fails its own site, naming the plugin', async (t) => {
+  const broken = plugin(t, 'export function transformItem() { throw new Error("boom"); }');
+  await assert.rejects(scrapeSite(await fixture(t, 'json_api', { plugin: broken })), /plugin \S+plugin\.mjs: transformItem failed → boom/);
+  const unloadable = plugin(t, 'export const scrape = ;');
+  await assert.rejects(scrapeSite(await fixture(t, 'custom_ajax', { plugin: unloadable })), /plugin \S+plugin\.mjs: .*SyntaxError|Unexpected token/);
+  const meddling = plugin(t, 'export function beforeScrape({ site }) { site.town = "Elsewhere"; }');
+  await assert.rejects(scrapeSite(await fixture(t, 'json_api', { plugin: meddling })), /beforeScrape failed → Cannot assign to read only property 'town'/);
+  const empty = plugin(t, 'export const name = "nothing";');
+  await assert.rejects(scrapeSite(await fixture(t, 'json_api', { plugin: empty })), /exports none of scrape, beforeScrape/);
+
+  // the next site is unaffected
+  assert.equal((await scrapeSite(await fixture(t, 'json_api'))).length, 4);
+  assert.match(validateSites([{ key: 'x', mode: 'custom' }]).join('\n'), /\.plugin: required/);
+  assert.match(validateSites([{ key: 'x', mode: 'json', api: 'https://example.org/', plugin: 'hooks.py' }]).join('\n'), /\.plugin: "hooks\.py" should be a path to a \.mjs or \.js file/);
+});
+
+// The test runner keeps its own process listeners, so this one runs in a child as the CLI would.
+test('an error a plugin leaves uncaught fails its own site only', (t) => {
+  const loose = plugin(t, `
+    export function transformItem() { Promise.reject(new Error('nobody awaited me')); }
+  `);
+  const script = `
+    import { serveFixture } from ${JSON.stringify(pathToFileURL(path.resolve('test/harness.mjs')).href)};
+    import { scrapeSite } from ${JSON.stringify(pathToFileURL(path.resolve('lib/modes.mjs')).href)};
+    const sites = await Promise.all([serveFixture('json_api'), serveFixture('json_api')]);
+    // alongside a site without one, as the scheduler runs them
+    const [failed, fine] = await Promise.allSettled([scrapeSite(Object.assign(sites[0].cfg, { plugin: ${JSON.stringify(loose)} })), scrapeSite(sites[1].cfg)]);
+    sites.forEach(s => s.close());
+    console.log(JSON.stringify({ error: failed.reason?.message, count: fine.value?.length }));
+  `;
+  const out = execFileSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf8', timeout: 60000 });
+  const { error, count } = JSON.parse(out.split('\n').find(line => line.startsWith('{')));
+  assert.match(error, /plugin \S+plugin\.mjs: uncaught → nobody awaited me/);
+  assert.equal(count, 4);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { applyRules, compilePattern, compileRules } from '../lib/rules.mjs';
+import { validateConfig, validateSites } from '../lib/schema.mjs';
+
+const at = new Date('2026-10-15T12:00:00Z');
+const ITEMS = [
+  { title: '[Woodstock] The Vinyl Saints', town: 'Woodstock', venue: 'Madlife', description: 'Live band', start: '2026-10-17T20:00:00-04:00' },  // Sat evening
+  { title: '[Woodstock] Trivia Tuesday', town: 'Woodstock', venue: 'Reformation', description: '', start: '2026-10-20T19:00:00-04:00' },
+  { title: '[Roswell] Kids Storytime', town: 'Roswell', venue: 'Library', description: 'All ages', start: '2026-11-28T00:00:00-05:00', allDay: true },
+  { title: '[Roswell] Private Event', town: 'Roswell', venue: 'Library', description: '', start: '2026-10-18T10:00:00-04:00' },
+  { title: 'Date TBA', venue: 'Somewhere', description: '' }
+];
+const run = (site, config) => applyRules(ITEMS, compileRules(site, config), { at }).map(it => it.title.replace(/^\[[^\]]*\] /, ''));
+
+test('plain patterns match whole words, /slashed/ ones are regexes', () => {
+  assert.ok(compilePattern('band').test('The Band'));
+  assert.ok(!compilePattern('band').test('husband'));
+  assert.ok(compilePattern('open mic').test('Open Mic Night'));
+  assert.ok(compilePattern('/trivia|quiz/i').test('Pub QUIZ'));
+});
+
+test('exclude and include rules by field, day, time and window', () => {
+  assert.deepEqual(run({ rules: [{ action: 'exclude', title: '/^private/i' }] }).length, 4);
+  // the [Town] prefix isn't part of the title as far as rules go
+  assert.deepEqual(run({ rules: [{ action: 'include', title: '/^kids/i' }] }), ['Kids Storytime']);
+  assert.deepEqual(run({ rules: [{ action: 'include', venue: 'library' }] }), ['Kids Storytime', 'Private Event']);
+  assert.deepEqual(run({ rules: [{ action: 'include', days: ['weekend'] }] }), ['The Vinyl Saints', 'Kids Storytime', 'Private Event']);
+  assert.deepEqual(run({ rules: [{ action: 'include', after: '18:00' }] }), ['The Vinyl Saints', 'Trivia Tuesday']);
+  assert.deepEqual(run({ rules: [{ action: 'include', withinDays: 7 }] }), ['The Vinyl Saints', 'Trivia Tuesday', 'Private Event']);
+  // conditions in one rule all have to hold
+  assert.deepEqual(run({ rules: [{ action: 'exclude', days: ['sat'], after: '18:00' }] }).length, 4);
+});
+
+test('site and global include rules each have to pass', () => {
+  const site = { rules: [{ action: 'include', town: 'Woodstock' }] };
+  assert.deepEqual(run(site, { rules: [{ action: 'include', days: ['weekend'] }] }), ['The Vinyl Saints']);
+});
+
+test('sites.json filters still work as substrings', () => {
+  assert.deepEqual(run({ filters: { exclude: ['privat'] } }).length, 4);
+  assert.deepEqual(run({ filters: { include: ['vinyl', 'storytime'] } }), ['The Vinyl Saints', 'Kids Storytime']);
+});
+
+test('tags come from dictionaries and tag rules', () => {
+  const tags = (site, config) => applyRules(ITEMS, compileRules(site, config), { at }).map(it => it.tags);
+  assert.deepEqual(tags({}), [['music'], ['trivia'], ['family'], [], []]);
+  assert.deepEqual(tags({ rules: [{ tags: ['brewery'], venue: 'Reformation' }] }, { tags: { family: [] } })[1], ['brewery', 'trivia']);
+  assert.deepEqual(tags({}, { tags: { music: ['vinyl'], outdoors: ['somewhere'] } }), [['music'], ['trivia'], ['family'], [], ['outdoors']]);
+});
+
+test('validates rules in sites.json and config.json', () => {
+  const site = (rules) => validateSites([{ key: 'a', mode: 'rss', rss: 'https://example.com/feed', rules }]);
+  assert.deepEqual(site([{ action: 'exclude', title: 'private' }]), []);
+  assert.match(site([{ title: 'private' }])[0], /needs an "action" or "tags"/);
+  assert.match(site([{ action: 'include', days: ['saturday'] }])[0], /is not one of/);
+  assert.match(site([{ action: 'include', after: '7pm' }])[0], /24-hour time/);
+  assert.match(site([{ action: 'include', title: '/(unclosed/' }])[0], /Invalid regular expression/);
+  assert.deepEqual(validateConfig({ tags: { music: ['band', '/\\bdj\\b/i'] }, rules: [{ tags: ['x'], text: 'y' }] }), []);
+  assert.match(validateConfig({ tags: { music: 'band' } })[0], /config\.json\.tags\.music: expected an array/);
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { STORE, eventId, updateStore } from '../lib/store.mjs';
+
+const ev = (title, start, source = 'a', extra = {}) =>
+  ({ title, start, end: '', link: `https://example.org/${title}`, guid: title, source, sources: [source], ...extra });
+const run = (store, items, results, iso) => updateStore(store, items, results, { now: new Date(iso) });
+
+test('records first and last seen, and drops events once they start', () => {
+  const store = { events: {} };
+  const trivia = ev('trivia', '2026-10-20T19:00:00-04:00');
+  const band = ev('band', '2026-10-16T20:00:00-04:00');
+  const first = run(store, [trivia, band], [{ key: 'a', ok: true }], '2026-10-15T12:00:00Z');
+  assert.equal(first.added.length, 2);
+
+  const second = run(store, [trivia, band], [{ key: 'a', ok: true }], '2026-10-17T12:00:00Z');
+  assert.deepEqual(second.events.map(e => e.title), ['trivia']);
+  const stored = store.events[eventId(trivia)];
+  assert.equal(stored.firstSeen, '2026-10-15T12:00:00.000Z');
+  assert.equal(stored.lastSeen, '2026-10-17T12:00:00.000Z');
+  assert.equal(second.added.length, 0);
+});
+
+test('keeps a failing source\'s events for the grace period only', () => {
+  const store = { events: {} };
+  const gig = ev('gig', '2026-12-01T20:00:00-05:00');
+  run(store, [gig], [{ key: 'a', ok: true }], '2026-10-15T12:00:00Z');
+
+  const failing = run(store, [], [{ key: 'a', ok: false }], '2026-10-16T12:00:00Z');
+  assert.equal(failing.kept.length, 1);
+
+  const later = new Date(Date.parse('2026-10-15T12:00:00Z') + STORE.graceMs + 1).toISOString();
+  const expired = run(store, [], [{ key: 'a', ok: false }], later);
+  assert.equal(expired.events.length, 0);
+  assert.equal(expired.dropped.length, 1);
+});
+
+test('marks events a healthy source stops listing as removed, once', () => {
+  const store = { events: {} };
+  const fair = ev('fair', '2026-12-05');
+  run(store, [ev('gig', '2026-12-01T20:00:00-05:00'), fair], [{ key: 'a', ok: true }], '2026-10-15T12:00:00Z');
+  const { events, updates } = run(store, [fair], [{ key: 'a', ok: true }], '2026-10-16T12:00:00Z');
+  assert.equal(events.find(e => e.title === 'gig').status, 'removed');
+  assert.deepEqual(updates.map(u => u.type), ['removed']);
+  assert.equal(run(store, [fair], [{ key: 'a', ok: true }], '2026-10-17T12:00:00Z').updates.length, 0);
+});
+
+test('drops removed events after the grace period, dated or not', () => {
+  const store = { events: {} };
+  const fair = ev('fair', '2026-12-05');
+  run(store, [ev('gig', '2026-12-01T20:00:00-05:00'), ev('news', ''), fair], [{ key: 'a', ok: true }], '2026-10-15T12:00:00Z');
+  assert.equal(run(store, [fair], [{ key: 'a', ok: true }], '2026-10-16T12:00:00Z').events.length, 3);
+  const later = new Date(Date.parse('2026-10-15T12:00:00Z') + STORE.graceMs + 1).toISOString();
+  const expired = run(store, [fair], [{ key: 'a', ok: true }], later);
+  assert.deepEqual(expired.events.map(e => e.title), ['fair']);
+  assert.deepEqual(expired.dropped.map(e => e.title).sort(), ['gig', 'news']);
+});
+
+test('a source that comes back empty or far short is held like a failing one', () => {
+  const store = { events: {} };
+  const shows = [1, 2, 3, 4, 5, 6].map(n => ev(`show ${n}`, `2026-11-0${n}T20:00:00-04:00`));
+  run(store, shows, [{ key: 'a', ok: true }], '2026-10-15T12:00:00Z');
+
+  // a Cloudflare page: no items, no error
+  const empty = run(store, [], [{ key: 'a', ok: true }], '2026-10-16T12:00:00Z');
+  assert.deepEqual(empty.held, ['a']);
+  assert.equal(empty.kept.length, 6);
+  assert.deepEqual(empty.updates, []);
+
+  // two of six is a broken selector, not four cancellations
+  const short = run(store, shows.slice(0, 2), [{ key: 'a', ok: true }], '2026-10-17T12:00:00Z');
+  assert.deepEqual(short.held, ['a']);
+  assert.ok(short.events.every(e => e.status !== 'removed'));
+
+  // five of six is an ordinary removal
+  const full = run(store, shows, [{ key: 'a', ok: true }], '2026-10-18T12:00:00Z');
+  const one = run(store, shows.slice(1), [{ key: 'a', ok: true }], '2026-10-19T12:00:00Z');
+  assert.deepEqual([full.held, one.held], [[], []]);
+  assert.deepEqual(one.updates.map(u => [u.type, u.title]), [['removed', 'show 1']]);
+});
+
+test('keeps identity when a one-off show is rescheduled', () => {
+  const store = { events: {} };
+  const fri = ev('gig', '2026-10-23T20:00:00-04:00', 'a', { guid: 'gig#fri' });
+  run(store, [fri], [{ key: 'a', ok: true }], '2026-10-15T12:00:00Z');
+  const sat = { ...fri, start: '2026-10-24T21:00:00-04:00', guid: 'gig#sat' };
+  const { events, updates, added } = run(store, [sat], [{ key: 'a', ok: true }], '2026-10-16T12:00:00Z');
+  assert.equal(events.length, 1);
+  assert.equal(added.length, 0);
+  assert.equal(events[0].guid, 'gig#fri');
+  assert.deepEqual(updates.map(u => [u.type, u.from, u.to]), [['moved', fri.start, sat.start]]);
+
+  // matched by its new key from then on
+  assert.equal(run(store, [sat], [{ key: 'a', ok: true }], '2026-10-17T12:00:00Z').updates.length, 0);
+});
+
+test('a recurring date dropping out is a removal, not a reschedule', () => {
+  const store = { events: {} };
+  const week = (d) => ev('trivia', `2026-10-${d}T19:00:00-04:00`);
+  run(store, [week(20), week(27)], [{ key: 'a', ok: true }], '2026-10-15T12:00:00Z');
+  const { updates, added } = run(store, [week(20), { ...week(27), start: '2026-11-03T19:00:00-05:00' }], [{ key: 'a', ok: true }], '2026-10-16T12:00:00Z');
+  assert.deepEqual(updates.map(u => u.type), ['removed']);
+  assert.equal(added.length, 1);
+});
+
+test('reports status markers and venue changes', () => {
+  const store = { events: {} };
+  const gig = ev('The Band', '2026-10-23T20:00:00-04:00', 'a', { venue: 'Madlife' });
+  run(store, [gig], [{ key: 'a', ok: true }], '2026-10-15T12:00:00Z');
+  const { events, updates } = run(store, [{ ...gig, title: 'CANCELLED: The Band', venue: 'The Velvet Room' }],
+    [{ key: 'a', ok: true }], '2026-10-16T12:00:00Z');
+  assert.equal(events.length, 1);
+  assert.equal(events[0].status, 'cancelled');
+  assert.deepEqual(updates.map(u => u.type).sort(), ['cancelled', 'venue']);
+});
+
+test('sorts by upcoming start with undated items last', () => {
+  const { events } = run({ events: {} }, [
+    ev('later', '2026-11-02T20:00:00-05:00'),
+    ev('undated', ''),
+    ev('sooner', '2026-10-18T20:00:00-04:00')
+  ], [{ key: 'a', ok: true }], '2026-10-15T12:00:00Z');
+  assert.deepEqual(events.map(e => e.title), ['sooner', 'later', 'undated']);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildGeoJSON, buildRSS } from '../lib/outputs.mjs';
+import { applyRules, compileRules } from '../lib/rules.mjs';
+import { checkConfig } from '../lib/sites.mjs';
+import { milesBetween, resolveVenues, venueConflicts, venueIndex } from '../lib/venues.mjs';
+
+const REGISTRY = {
+  towns: { Roswell: { lat: 34.0232, lng: -84.3616 } },
+  venues: [
+    { name: 'MadLife Stage & Studios', aliases: ['MadLife'], address: '8480 Main St, Woodstock, GA 30188', town: 'Woodstock', lat: 34.1013, lng: -84.5193 },
+    { name: 'Roswell Cultural Arts Center', address: '950 Forrest Street, Roswell, GA', town: 'Roswell', lat: 34.0271, lng: -84.3589 }
+  ]
+};
+const index = venueIndex(REGISTRY);
+
+test('resolves spellings, aliases, ICS locations and addresses to one venue', () => {
+  const items = [
+    { venue: 'Madlife Stage and Studios' },
+    { venue: 'THE MADLIFE' },
+    { venue: '', location: 'Madlife, Woodstock' },
+    { venue: 'RCAC', address: '950 Forrest St., Roswell, GA 30075' },
+    { venue: 'Somewhere Else', town: 'Canton' }
+  ];
+  const out = resolveVenues(items, index);
+  assert.deepEqual(out.map(i => i.venue), ['MadLife Stage & Studios', 'MadLife Stage & Studios', 'MadLife Stage & Studios', 'Roswell Cultural Arts Center', 'Somewhere Else']);
+  assert.equal(out[0].town, 'Woodstock');
+  assert.equal(out[3].lat, 34.0271);
+  assert.equal(out[4], items[4]);
+});
+
+test('flags a name two venues claim', () => {
+  assert.deepEqual(venueConflicts(REGISTRY), []);
+  const clash = { venues: [...REGISTRY.venues, { name: 'Madlife' }] };
+  assert.match(venueConflicts(clash)[0], /"madlife" names both MadLife Stage & Studios and Madlife/);
+});
+
+test('radius and near rules measure from a town or venue', () => {
+  assert.ok(Math.abs(milesBetween(REGISTRY.towns.Roswell, REGISTRY.venues[0]) - 10.4) < 0.5);
+  const items = resolveVenues([
+    { title: 'Show', venue: 'MadLife' },
+    { title: 'Play', venue: 'Roswell Cultural Arts Center' },
+    { title: 'Unplaced', venue: 'Unknown Bar' }
+  ], index);
+  const titles = (config, site = {}) => applyRules(items, compileRules(site, { ...config, _venues: index })).map(i => i.title);
+  assert.deepEqual(titles({ radius: { center: 'Roswell', miles: 5 } }), ['Play', 'Unplaced']);
+  assert.deepEqual(titles({ radius: { center: 'Roswell', miles: 15 } }), ['Show', 'Play', 'Unplaced']);
+  assert.deepEqual(titles({}, { rules: [{ action: 'include', near: { center: 'MadLife', miles: 1 } }] }), ['Show']);
+  const near = applyRules(items, compileRules({ rules: [{ tags: ['nearby'], near: { center: { lat: 34.03, lng: -84.36 }, miles: 2 } }] }));
+  assert.deepEqual(near.map(i => i.tags.includes('nearby')), [false, true, false]);
+});
+
+test('placed events carry coordinates into RSS and GeoJSON', () => {
+  const [placed, unplaced] = resolveVenues([
+    { title: 'Show', link: 'https://example.com/show', guid: 'show', venue: 'MadLife', start: '2026-10-23T20:00:00-04:00' },
+    { title: 'Other', link: 'https://example.com/other', guid: 'other', venue: 'Unknown Bar' }
+  ], index);
+  const rss = buildRSS([placed, unplaced]);
+  assert.match(rss, /<geo:lat>34\.1013<\/geo:lat><geo:long>-84\.5193<\/geo:long>/);
+  assert.equal(rss.match(/<geo:lat>/g).length, 1);
+
+  const geo = JSON.parse(buildGeoJSON([placed, unplaced]));
+  assert.equal(geo.features.length, 1);
+  assert.deepEqual(geo.features[0].geometry, { type: 'Point', coordinates: [-84.5193, 34.1013] });
+  assert.equal(geo.features[0].properties.venue, 'MadLife Stage & Studios');
+});
+
+test('config.json radius centers must be in venues.json', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'venues-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const write = (name, value) => { fs.writeFileSync(path.join(dir, name), JSON.stringify(value)); return path.join(dir, name); };
+  const venues = write('venues.json', REGISTRY);
+  t.mock.method(console, 'error', () => {});
+
+  const config = checkConfig(write('config.json', { radius: { center: 'Roswell', miles: 10 } }), venues);
+  assert.equal(config._venues.venues.length, 2);
+  assert.equal(checkConfig(write('config.json', { radius: { center: 'Smyrna', miles: 10 } }), venues), null);
+  assert.match(console.error.mock.calls.at(-1).arguments[0], /"Smyrna" is not a town or venue/);
+});
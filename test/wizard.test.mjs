@@ -0,0 +1,26 @@
+// The wizard should rediscover a fixture's hand-written selectors from its page alone.
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { serveFixture, tryOpenBrowser } from './harness.mjs';
+import { openSitePage } from '../lib/browser.mjs';
+import { DATE_RE, analyzePage } from '../lib/wizard.mjs';
+
+test('wizard finds the dom_paged cards and fields', async (t) => {
+  const b = await tryOpenBrowser();
+  if (!b) return t.skip('Chromium is not installed (npx playwright install chromium)');
+  const { cfg, close } = await serveFixture('dom_paged');
+  try {
+    const { ctx, page } = await openSitePage(b.pool, cfg);
+    const found = await page.evaluate(analyzePage, { dateRe: DATE_RE });
+    await b.pool.release(ctx);
+
+    const best = found.groups[0];
+    assert.equal(best.item, 'div.event-card');
+    assert.equal(best.fields.title[0].sel, 'h3');
+    assert.equal(best.fields.date[0].sel, 'time');
+    assert.equal(best.fields.link[0].sel, 'a');
+  } finally {
+    await close();
+    await b.browser.close();
+  }
+});